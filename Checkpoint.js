@@ -0,0 +1,137 @@
+/**
+ * Resumable Execution
+ *
+ * Apps Script stops an execution after 6 minutes. When a run gets close to
+ * that limit, sendDailyEventSummary stops taking on new work, saves the
+ * recipients it has not finished as a checkpoint, and schedules a one-off
+ * trigger that calls resumeDailyEventSummary to continue where it left off.
+ *
+ * The checkpoint is JSON stored in Script Properties, split across several
+ * properties because a single property value is limited to 9KB.
+ */
+
+const RUN_CHECKPOINT_PREFIX = 'RUN_CHECKPOINT_';
+const RUN_CHECKPOINT_CHUNK_SIZE = 8000;
+const CONTINUATION_HANDLER = 'resumeDailyEventSummary';
+const CONTINUATION_DELAY_MS = 60 * 1000;
+const MAX_CHECKPOINT_ERRORS = 50;
+
+class RunCheckpoint {
+  /**
+   * @param {Properties} properties - Properties store (default: Script Properties)
+   */
+  constructor(properties = null) {
+    this.properties = properties || PropertiesService.getScriptProperties();
+  }
+
+  /**
+   * Loads the saved checkpoint
+   * @returns {Object|null} Checkpoint state or null if none is saved
+   */
+  load() {
+    const chunkCount = parseInt(this.properties.getProperty(`${RUN_CHECKPOINT_PREFIX}CHUNKS`), 10);
+    if (!chunkCount) {
+      return null;
+    }
+
+    let json = '';
+    for (let i = 0; i < chunkCount; i++) {
+      const chunk = this.properties.getProperty(`${RUN_CHECKPOINT_PREFIX}${i}`);
+      if (chunk === null) {
+        Logger.log(`WARNING: Run checkpoint is incomplete (missing chunk ${i}), ignoring it`);
+        return null;
+      }
+      json += chunk;
+    }
+
+    try {
+      return JSON.parse(json);
+    } catch (e) {
+      Logger.log(`WARNING: Run checkpoint is corrupt, ignoring it: ${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Saves checkpoint state, replacing any previous checkpoint
+   * @param {Object} state - Checkpoint state
+   */
+  save(state) {
+    this.clear();
+
+    const json = JSON.stringify(state);
+    const chunkCount = Math.ceil(json.length / RUN_CHECKPOINT_CHUNK_SIZE);
+    for (let i = 0; i < chunkCount; i++) {
+      const chunk = json.substring(i * RUN_CHECKPOINT_CHUNK_SIZE, (i + 1) * RUN_CHECKPOINT_CHUNK_SIZE);
+      this.properties.setProperty(`${RUN_CHECKPOINT_PREFIX}${i}`, chunk);
+    }
+    this.properties.setProperty(`${RUN_CHECKPOINT_PREFIX}CHUNKS`, String(chunkCount));
+  }
+
+  /**
+   * Removes the saved checkpoint
+   */
+  clear() {
+    const chunkCount = parseInt(this.properties.getProperty(`${RUN_CHECKPOINT_PREFIX}CHUNKS`), 10) || 0;
+    for (let i = 0; i < chunkCount; i++) {
+      this.properties.deleteProperty(`${RUN_CHECKPOINT_PREFIX}${i}`);
+    }
+    this.properties.deleteProperty(`${RUN_CHECKPOINT_PREFIX}CHUNKS`);
+  }
+
+  /**
+   * Builds the summary of a finished segment for storage in the checkpoint
+   * @param {ExecutionTracker} tracker - Tracker of the segment
+   * @returns {Object} Serializable segment summary
+   */
+  static summarizeSegment(tracker) {
+    const metrics = { ...tracker.metrics };
+    metrics.errors = tracker.metrics.errors.slice(0, MAX_CHECKPOINT_ERRORS);
+
+    return {
+      executionTimeMs: tracker.getExecutionTime(),
+      metrics: metrics
+    };
+  }
+}
+
+/**
+ * Schedules a one-off trigger that resumes an interrupted run
+ * @returns {string} Unique ID of the created trigger
+ */
+function scheduleContinuation() {
+  requireScriptOwner('change its triggers', true);
+  const trigger = ScriptApp.newTrigger(CONTINUATION_HANDLER)
+    .timeBased()
+    .after(CONTINUATION_DELAY_MS)
+    .create();
+  Logger.log(`Scheduled continuation trigger in ${CONTINUATION_DELAY_MS / 1000}s`);
+  return trigger.getUniqueId();
+}
+
+/**
+ * Deletes leftover continuation triggers
+ * One-off triggers stay in the project's trigger list after firing, so they
+ * are removed when a run resumes or starts afresh.
+ */
+function deleteContinuationTriggers() {
+  requireScriptOwner('change its triggers', true);
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === CONTINUATION_HANDLER)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
+/**
+ * Continues a run that stopped near the execution time limit
+ * Called by the continuation trigger; safe to run manually.
+ */
+function resumeDailyEventSummary() {
+  requireScriptOwner('send summaries', true);
+  try {
+    deleteContinuationTriggers();
+  } catch (e) {
+    Logger.log(`WARNING: Could not delete continuation trigger: ${e.message}`);
+  }
+
+  sendDailyEventSummary({ resume: true });
+}
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for Resumable Execution
+ */
+
+function createRunCheckpointTestSuite() {
+  const suite = new TestSuite('Resumable Execution');
+  
+  const createExhaustedTracker = () => {
+    const tracker = new ExecutionTracker({ timeBudgetMs: 1000 });
+    tracker.startTime = new Date(Date.now() - 2000);
+    return tracker;
+  };
+  
+  suite.test('RunCheckpoint - saves and loads state', () => {
+    const checkpoint = new RunCheckpoint(MockUtilities.createMockProperties());
+    const state = { runId: 'run-1', forceResend: false, pendingEmails: ['a@example.com'], segments: [] };
+    
+    Assert.equal(checkpoint.load(), null, 'Should have no checkpoint initially');
+    
+    checkpoint.save(state);
+    Assert.objectEqual(checkpoint.load(), state, 'Should load saved state');
+    
+    checkpoint.clear();
+    Assert.equal(checkpoint.load(), null, 'Should clear checkpoint');
+  });
+  
+  suite.test('RunCheckpoint - splits large state across properties', () => {
+    const properties = MockUtilities.createMockProperties();
+    const checkpoint = new RunCheckpoint(properties);
+    const pendingEmails = [];
+    for (let i = 0; i < 500; i++) {
+      pendingEmails.push(`recipient${i}@example.com`);
+    }
+    
+    checkpoint.save({ runId: 'run-2', pendingEmails: pendingEmails, segments: [] });
+    
+    Assert.true(Number(properties.store['RUN_CHECKPOINT_CHUNKS']) > 1, 'Should use multiple chunks');
+    Object.keys(properties.store).forEach(key => {
+      Assert.true(properties.store[key].length <= 9000, `Property ${key} should stay below the 9KB limit`);
+    });
+    Assert.equal(checkpoint.load().pendingEmails.length, 500, 'Should reassemble all pending recipients');
+    
+    checkpoint.save({ runId: 'run-3', pendingEmails: [], segments: [] });
+    Assert.equal(Object.keys(properties.store).length, 2, 'Should remove stale chunks when saving smaller state');
+  });
+  
+  suite.test('RunCheckpoint - ignores incomplete checkpoints', () => {
+    const properties = MockUtilities.createMockProperties({ 'RUN_CHECKPOINT_CHUNKS': '2', 'RUN_CHECKPOINT_0': '{"runId":' });
+    const checkpoint = new RunCheckpoint(properties);
+    
+    Assert.equal(checkpoint.load(), null, 'Should ignore checkpoint with missing chunks');
+  });
+  
+  suite.test('RunCheckpoint.summarizeSegment - caps stored errors', () => {
+    const tracker = new ExecutionTracker();
+    for (let i = 0; i < 80; i++) {
+      tracker.addError(new Error(`Error ${i}`), 'Test');
+    }
+    
+    const segment = RunCheckpoint.summarizeSegment(tracker);
+    
+    Assert.equal(segment.metrics.errors.length, 50, 'Should cap errors kept in the checkpoint');
+    Assert.equal(tracker.metrics.errors.length, 80, 'Should not modify tracker errors');
+  });
+  
+  suite.test('fetchCalendarDataBatched - defers groups once the time budget is used up', () => {
+    let calendarLookups = 0;
+    this.CalendarApp = {
+      getCalendarById: (id) => {
+        calendarLookups++;
+        return MockUtilities.createMockCalendar('Calendar', []);
+      }
+    };
+    
+    const recipients = [
+      { email: 'a@example.com', calendarId: 'cal-a@gmail.com', preferences: {} },
+      { email: 'b@example.com', calendarId: 'cal-b@gmail.com', preferences: {} }
+    ];
+    
+    const result = fetchCalendarDataBatched(recipients, createExhaustedTracker());
+    
+    Assert.equal(calendarLookups, 0, 'Should not fetch calendars after budget is used up');
+    Object.keys(result).forEach(groupKey => {
+      Assert.true(result[groupKey].deferred, 'Should mark group as deferred');
+    });
+  });
+  
+  suite.test('sendEmailsBatched - returns emails deferred by the time budget', () => {
+    const sent = [];
+    this.GmailApp = {
+      sendEmail: (to) => { sent.push(to); }
+    };
+    
+    const emailQueue = [
+      { to: 'a@example.com', subject: 'Test', body: 'Body' },
+      { to: 'b@example.com', subject: 'Test', body: 'Body' }
+    ];
+    
+    const deferred = sendEmailsBatched(emailQueue, createExhaustedTracker());
+    
+    Assert.equal(sent.length, 0, 'Should not send after budget is used up');
+    Assert.equal(deferred.length, 2, 'Should return all unsent emails');
+  });
+  
+  return suite;
+}
@@ -17,23 +17,24 @@
 function loadConfiguration() {
   // Load configuration from external sources (Properties Service or Secret Manager)
   const SPREADSHEET_ID = Config.get('SPREADSHEET_ID');
-  const CONFIG_SHEET_NAME = Config.get('CONFIG_SHEET_NAME', 'Config');
+  const CONFIG_SHEET_NAME = Config.get('CONFIG_SHEET_NAME');
 
   if (!SPREADSHEET_ID) {
     throw new Error(`
 ❌ SPREADSHEET_ID not configured!
 
 Please run the setup process:
-1. Execute runInitialSetup() function once
-2. Or manually set the property: Config.set('SPREADSHEET_ID', 'your-sheet-id')
+1. Open the setup wizard (deploy the project as a web app and open its URL)
+2. Or run runInitialSetup('your-sheet-url-or-id') once
 
 For security reasons, the spreadsheet ID should never be hardcoded in the source code.
 `);
   }
 
+  let spreadsheet;
   let configSheet;
   try {
-    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+    spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
     configSheet = spreadsheet.getSheetByName(CONFIG_SHEET_NAME);
 
     if (!configSheet) {
@@ -59,33 +60,67 @@ For security reasons, the spreadsheet ID should never be hardcoded in the source
     return null;
   }
 
-  // Assuming headers are in the first row
+  // Assuming headers are in the first row; names are matched loosely and by alias (see CONFIG_SHEET_COLUMNS)
   const headers = configData[0];
-  const emailColumnIndex = headers.indexOf("Recipient Email");
-  // The column name in the sheet should still be "Calendar ID" for backward compatibility
-  // but the value should now be the Calendar ID (email address)
-  const calendarIdColumnIndex = headers.indexOf("Calendar ID");
+  const headerResolution = resolveConfigSheetHeaders(headers);
+  const warnings = headerResolution.warnings.slice();
+  // Rows skipped for preferences they cannot be sent with; reported as failures so the admin hears of them
+  const errors = [];
+  const columns = headerResolution.indexes;
+  const emailColumnIndex = columns["Recipient Email"];
+  // The value should be the Calendar ID (email address)
+  const calendarIdColumnIndex = columns["Calendar ID"];
   
   // Optional columns for preferences
-  const timezoneColumnIndex = headers.indexOf("Timezone");
-  const timeFormatColumnIndex = headers.indexOf("Time Format");
-  const dateRangeColumnIndex = headers.indexOf("Date Range");
-  const frequencyColumnIndex = headers.indexOf("Frequency");
-  const statusColumnIndex = headers.indexOf("Status");
-  const filterKeywordsColumnIndex = headers.indexOf("Filter Keywords");
+  const timezoneColumnIndex = columns["Timezone"];
+  const timeFormatColumnIndex = columns["Time Format"];
+  const dateRangeColumnIndex = columns["Date Range"];
+  const frequencyColumnIndex = columns["Frequency"];
+  const statusColumnIndex = columns["Status"];
+  const filterKeywordsColumnIndex = columns["Filter Keywords"];
+  const formatColumnIndex = columns["Format"];
+  const templateColumnIndex = columns["Template"];
+  const sendTimeColumnIndex = columns["Send Time"];
+  const skipWeekendsColumnIndex = columns["Skip Weekends"];
+  const myStatusColumnIndex = columns["My Status"];
+  const ownershipColumnIndex = columns["Ownership"];
+  const visibilityColumnIndex = columns["Visibility"];
+  const showAsColumnIndex = columns["Show As"];
+  const minDurationColumnIndex = columns["Min Duration"];
+  const eventColorsColumnIndex = columns["Event Colors"];
+  const groupByColumnIndex = columns["Group By"];
+
+  Object.entries(headerResolution.matches)
+    .filter(([, match]) => match.alias)
+    .forEach(([column, match]) => Logger.log(`Using column "${match.header}" as "${column}"`));
+  if (headerResolution.unrecognized.length > 0) {
+    warnings.push(`Unrecognized columns in "${CONFIG_SHEET_NAME}" were ignored: ${headerResolution.unrecognized.join(', ')}`);
+  }
+  warnings.forEach(warning => Logger.log(`WARNING: ${warning}`));
 
   if (emailColumnIndex === -1 || calendarIdColumnIndex === -1) {
     Logger.log("ERROR: Missing 'Recipient Email' or 'Calendar ID' column in the configuration sheet. Please ensure these columns exist.");
     MailApp.sendEmail({
       to: Session.getActiveUser().getEmail(),
       subject: "ERROR: Calendar Summary Script - Missing Columns",
-      body: `The daily calendar summary script failed because the configuration sheet is missing required columns. Please ensure 'Recipient Email' and 'Calendar ID' columns exist in sheet "${CONFIG_SHEET_NAME}".`
+      body: `The daily calendar summary script failed because the configuration sheet is missing required columns. Please ensure 'Recipient Email' and 'Calendar ID' columns exist in sheet "${CONFIG_SHEET_NAME}". Running provisionConfigSheet() adds any missing columns without changing existing data.`
     });
     return null;
   }
 
-  // Parse recipients from configuration data
+  // Load sheet-managed email templates (optional "Templates" tab)
+  let templates = {};
+  if (templateColumnIndex !== -1) {
+    try {
+      templates = loadEmailTemplates(spreadsheet);
+    } catch (e) {
+      Logger.log(`WARNING: Could not load email templates, using built-in layout. Error: ${e.message}`);
+    }
+  }
+
+  // Parse recipients from configuration data; outcomes are written back to the sheet after the run
   const recipients = [];
+  const rowResults = new ConfigRowResults(configSheet, columns);
   for (let i = 1; i < configData.length; i++) {
     const row = configData[i];
     const recipientEmail = row[emailColumnIndex];
@@ -94,77 +129,154 @@ For security reasons, the spreadsheet ID should never be hardcoded in the source
     // Skip rows with empty email or calendar ID
     if (!recipientEmail || !calendarId) {
       Logger.log(`Skipping row ${i + 1} due to missing Recipient Email or Calendar ID.`);
+      if (recipientEmail || calendarId) {
+        rowResults.record(i + 1, `${ROW_RESULT_PROBLEM} Missing ${recipientEmail ? 'Calendar ID' : 'Recipient Email'}`);
+      }
       continue;
     }
 
-    // Validate email and calendar ID format
-    const validation = validateRecipientData(recipientEmail, calendarId);
-    if (!validation.isValid) {
-      Logger.log(`Skipping row ${i + 1} due to validation errors: ${validation.errors.join(', ')}`);
+    // Validate email and calendar ID format; a row may list several comma-separated calendars
+    const calendarIds = String(calendarId).split(',').map(id => id.trim()).filter(id => id);
+    const calendarValidations = (calendarIds.length > 0 ? calendarIds : ['']).map(id => validateRecipientData(recipientEmail, id));
+    if (!calendarValidations.some(validation => validation.isValid)) {
+      const errors = [...new Set(calendarValidations.flatMap(validation => validation.errors))];
+      Logger.log(`Skipping row ${i + 1} due to validation errors: ${errors.join(', ')}`);
+      rowResults.record(i + 1, `${ROW_RESULT_PROBLEM} ${errors.join(', ')}`);
       continue;
     }
 
-    // Parse optional preference columns
-    const timezone = timezoneColumnIndex !== -1 ? row[timezoneColumnIndex] : null;
-    const timeFormat = timeFormatColumnIndex !== -1 ? row[timeFormatColumnIndex] : null;
-    const dateRange = dateRangeColumnIndex !== -1 ? row[dateRangeColumnIndex] : null;
-    const frequency = frequencyColumnIndex !== -1 ? row[frequencyColumnIndex] : null;
-    const status = statusColumnIndex !== -1 ? row[statusColumnIndex] : null;
-    const filterKeywords = filterKeywordsColumnIndex !== -1 ? row[filterKeywordsColumnIndex] : null;
-    
     // Check opt-out status
-    if (status && status.trim().toLowerCase() === 'disabled') {
+    const cell = (columnIndex) => columnIndex !== -1 ? row[columnIndex] : null;
+    const status = cell(statusColumnIndex);
+    if (status && String(status).trim().toLowerCase() === 'disabled') {
       Logger.log(`Skipping row ${i + 1} - recipient ${recipientEmail} has opted out (Status: disabled)`);
+      rowResults.record(i + 1, '⏸️ Disabled');
       continue;
     }
-    
-    const preferences = {};
-    if (timezone && timezone.trim()) {
-      preferences.timezone = timezone.trim();
-    }
-    if (timeFormat && timeFormat.trim().toLowerCase() === '24h') {
-      preferences.use24Hour = true;
-    }
-    if (dateRange && dateRange.trim()) {
-      preferences.dateRange = dateRange.trim().toLowerCase();
-    }
-    if (frequency && frequency.trim()) {
-      preferences.frequency = frequency.trim().toLowerCase();
-    }
-    if (filterKeywords && filterKeywords.trim()) {
-      // Parse comma-separated keywords for filtering
-      preferences.filterKeywords = filterKeywords.split(',').map(keyword => keyword.trim().toLowerCase()).filter(keyword => keyword);
+
+    // Validate and parse optional preference columns
+    const preferenceCheck = validateRecipientPreferences({
+      'Timezone': cell(timezoneColumnIndex),
+      'Time Format': cell(timeFormatColumnIndex),
+      'Date Range': cell(dateRangeColumnIndex),
+      'Frequency': cell(frequencyColumnIndex),
+      'Status': status,
+      'Filter Keywords': cell(filterKeywordsColumnIndex),
+      'Format': cell(formatColumnIndex),
+      'Template': cell(templateColumnIndex),
+      'Send Time': cell(sendTimeColumnIndex),
+      'Skip Weekends': cell(skipWeekendsColumnIndex),
+      'My Status': cell(myStatusColumnIndex),
+      'Ownership': cell(ownershipColumnIndex),
+      'Visibility': cell(visibilityColumnIndex),
+      'Show As': cell(showAsColumnIndex),
+      'Min Duration': cell(minDurationColumnIndex),
+      'Event Colors': cell(eventColorsColumnIndex),
+      'Group By': cell(groupByColumnIndex)
+    }, templates);
+
+    preferenceCheck.warnings.forEach(warning => {
+      const message = `${warning.field}: ${warning.message}`;
+      Logger.log(`WARNING: Row ${i + 1} (${recipientEmail}) - ${message}`);
+      warnings.push(`Row ${i + 1} (${recipientEmail}) - ${message}`);
+      rowResults.record(i + 1, `${ROW_RESULT_WARNING} ${message}`);
+    });
+    if (!preferenceCheck.isValid) {
+      const message = preferenceCheck.errors.map(error => `${error.field}: ${error.message}`).join('; ');
+      Logger.log(`Skipping row ${i + 1} due to invalid preferences: ${message}`);
+      errors.push(`Row ${i + 1} (${recipientEmail}) skipped - ${message}`);
+      rowResults.record(i + 1, `${ROW_RESULT_PROBLEM} ${message}`);
+      continue;
     }
+    const preferences = preferenceCheck.preferences;
 
-    // Handle multiple calendar IDs (comma-separated)
-    const calendarIds = calendarId.split(',').map(id => id.trim()).filter(id => id);
-    
-    // Create a recipient entry for each calendar ID
-    calendarIds.forEach(singleCalendarId => {
-      // Validate each calendar ID
-      const singleValidation = validateRecipientData(recipientEmail, singleCalendarId);
+    // Create a recipient entry for each valid calendar ID
+    calendarIds.forEach((singleCalendarId, calendarIndex) => {
+      const singleValidation = calendarValidations[calendarIndex];
       if (singleValidation.isValid) {
         recipients.push({
           email: recipientEmail,
           calendarId: singleCalendarId,
+          row: i + 1,
           preferences: preferences,
           isMultiCalendar: calendarIds.length > 1,
-          calendarIndex: calendarIds.indexOf(singleCalendarId),
+          calendarIndex: calendarIndex,
           totalCalendars: calendarIds.length
         });
       } else {
         Logger.log(`Skipping calendar ID "${singleCalendarId}" for ${recipientEmail}: ${singleValidation.errors.join(', ')}`);
+        rowResults.record(i + 1, `${ROW_RESULT_WARNING} Ignored ${singleValidation.errors.join(', ')}`);
       }
     });
   }
 
   return {
     recipients: recipients,
+    templates: templates,
     spreadsheetId: SPREADSHEET_ID,
-    sheetName: CONFIG_SHEET_NAME
+    sheetName: CONFIG_SHEET_NAME,
+    headerMatches: headerResolution.matches,
+    rowResults: rowResults,
+    warnings: warnings,
+    errors: errors
   };
 }
 
+/**
+ * Supported values for the "Format" column
+ */
+const EMAIL_FORMATS = ['html', 'text', 'both'];
+
+/**
+ * Values accepted in the "Date Range" column (lower case; see calculateDateRange)
+ */
+const DATE_RANGE_VALUES = ['today', 'tomorrow', 'next 3 days', 'next3days', 'this week', 'thisweek', 'next week', 'nextweek', 'weekdays only', 'weekdays'];
+
+/**
+ * Values accepted in the "Frequency" column (lower case; see shouldSendEmail)
+ */
+const FREQUENCY_VALUES = ['daily', 'weekdays only', 'weekdays', 'mondays only', 'monday', 'wednesdays only', 'wednesday', 'fridays only', 'friday', 'weekends only', 'weekends', 'never', 'disabled'];
+
+/**
+ * Values accepted in the "My Status" column, with the CalendarApp.GuestStatus values each includes
+ */
+const MY_STATUS_VALUES = {
+  accepted: ['YES', 'OWNER'],
+  tentative: ['MAYBE'],
+  declined: ['NO'],
+  invited: ['INVITED']
+};
+
+/**
+ * Parses a "Min Duration" cell into minutes
+ * Accepts "15", "30m", "30 min", "1h", "1.5 hours" or "1:30".
+ * @param {string|number} value - Cell value
+ * @returns {number|null} Minutes, or null if the value is not a duration
+ */
+function parseDurationMinutes(value) {
+  const text = String(value).trim().toLowerCase();
+  const clock = text.match(/^(\d+):(\d{2})$/);
+  if (clock) {
+    return parseInt(clock[1], 10) * 60 + parseInt(clock[2], 10);
+  }
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*(m|min|mins|minutes?|h|hr|hrs|hours?)?$/);
+  if (!match) {
+    return null;
+  }
+  const amount = parseFloat(match[1]);
+  return Math.round(match[2] && match[2].startsWith('h') ? amount * 60 : amount);
+}
+
+/**
+ * Checks that a value is an email address (allows + but rejects consecutive dots)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a well-formed address
+ */
+function isEmailAddress(value) {
+  const emailRegex = /^[a-zA-Z0-9]([a-zA-Z0-9._+-]*[a-zA-Z0-9])?@[a-zA-Z0-9]([a-zA-Z0-9.-]*[a-zA-Z0-9])?\.[a-zA-Z]{2,}$/;
+  return typeof value === 'string' && emailRegex.test(value) && !/\.\./.test(value);
+}
+
 /**
  * Validates email format and calendar ID format
  * @param {string} email - Email address to validate
@@ -174,17 +286,13 @@ For security reasons, the spreadsheet ID should never be hardcoded in the source
 function validateRecipientData(email, calendarId) {
   const errors = [];
   
-  // Email validation (allows + but rejects consecutive dots)
-  const emailRegex = /^[a-zA-Z0-9]([a-zA-Z0-9._+-]*[a-zA-Z0-9])?@[a-zA-Z0-9]([a-zA-Z0-9.-]*[a-zA-Z0-9])?\.[a-zA-Z]{2,}$/;
-  const hasConsecutiveDots = /\.\./.test(email);
-  if (!email || typeof email !== 'string' || !emailRegex.test(email) || hasConsecutiveDots) {
+  // Email validation
+  if (!isEmailAddress(email)) {
     errors.push(`Invalid email format: "${email}"`);
   }
   
-  // Calendar ID validation (should be an email format for Google Calendar)
-  if (!calendarId || typeof calendarId !== 'string' || !emailRegex.test(calendarId)) {
-    errors.push(`Invalid calendar ID format: "${calendarId}"`);
-  }
+  // Calendar ID validation (user, shared, resource, holiday and subscribed calendars)
+  errors.push(...validateCalendarId(calendarId).errors);
   
   return {
     isValid: errors.length === 0,
@@ -192,6 +300,357 @@ function validateRecipientData(email, calendarId) {
   };
 }
 
+/**
+ * Google calendar ID forms other than a user's email address, by type
+ *   group    - Shared calendars, e.g. c_1a2b3c@group.calendar.google.com
+ *   special  - Holiday and other Google calendars, e.g. en.usa#holiday@group.v.calendar.google.com
+ *   resource - Rooms and equipment, e.g. example.com_3132@resource.calendar.google.com
+ *   import   - Subscribed iCal feeds, e.g. 1a2b3c@import.calendar.google.com
+ */
+const CALENDAR_ID_PATTERNS = {
+  group: /^[a-z0-9._-]+@group\.calendar\.google\.com$/i,
+  special: /^[^\s@,]*#[a-z0-9_]+@group\.v\.calendar\.google\.com$/i,
+  resource: /^[^\s@,]+@resource\.calendar\.google\.com$/i,
+  import: /^[^\s@,]+@import\.calendar\.google\.com$/i
+};
+
+/**
+ * Validates a Google calendar ID
+ * Accepts a user's email address and the calendar.google.com forms in CALENDAR_ID_PATTERNS.
+ * @param {string} calendarId - Calendar ID to validate
+ * @returns {Object} Validation result with isValid, type ("user", "group", "special", "resource" or "import") and errors
+ */
+function validateCalendarId(calendarId) {
+  if (!calendarId || typeof calendarId !== 'string') {
+    return { isValid: false, type: null, errors: [`Invalid calendar ID format: "${calendarId}"`] };
+  }
+  
+  const id = calendarId.trim();
+  const type = Object.keys(CALENDAR_ID_PATTERNS).find(candidate => CALENDAR_ID_PATTERNS[candidate].test(id));
+  if (type) {
+    return { isValid: true, type: type, errors: [] };
+  }
+  
+  // Any other calendar.google.com address is a mistyped calendar ID, not a user
+  if (!/calendar\.google\.com$/i.test(id) && isEmailAddress(id)) {
+    return { isValid: true, type: 'user', errors: [] };
+  }
+  
+  return { isValid: false, type: null, errors: [`Invalid calendar ID format: "${calendarId}"`] };
+}
+
+/**
+ * Validates and parses the preference columns of a configuration row
+ *
+ * Errors are values the script cannot honor in columns that never had a
+ * default (malformed filters, unknown grouping); the row should be skipped
+ * rather than sent with a silently different meaning. Warnings are values that
+ * are ignored in favor of the default, as before - including an unknown
+ * timezone, date range or frequency, which existing rows were always sent with.
+ *
+ * @param {Object} values - Raw cell values by column name ("Timezone", "Date Range", ...)
+ * @param {Object} templates - Templates by lower-case name (from loadEmailTemplates)
+ * @returns {Object} Validation result with isValid, errors and warnings ({ field, message }) and the parsed preferences
+ */
+function validateRecipientPreferences(values, templates = {}) {
+  const errors = [];
+  const warnings = [];
+  const preferences = {};
+  const text = (field) => values[field] === null || values[field] === undefined ? '' : String(values[field]).trim();
+  const dropdownValues = (field) => CONFIG_SHEET_COLUMNS.find(column => column.header === field).values.join(', ');
+
+  const timezone = text('Timezone');
+  if (timezone) {
+    if (isValidTimezone(timezone)) {
+      preferences.timezone = timezone;
+    } else {
+      warnings.push({ field: 'Timezone', message: `"${timezone}" is not an IANA timezone such as America/New_York, using the script timezone` });
+    }
+  }
+
+  const timeFormat = text('Time Format').toLowerCase();
+  if (timeFormat === '24h') {
+    preferences.use24Hour = true;
+  } else if (timeFormat && timeFormat !== '12h') {
+    warnings.push({ field: 'Time Format', message: `Unknown value "${text('Time Format')}", using 12h` });
+  }
+
+  const dateRange = text('Date Range').toLowerCase();
+  if (dateRange) {
+    if (DATE_RANGE_VALUES.includes(dateRange)) {
+      preferences.dateRange = dateRange;
+    } else {
+      warnings.push({ field: 'Date Range', message: `Unknown value "${text('Date Range')}", using Today (expected ${dropdownValues('Date Range')})` });
+    }
+  }
+
+  const frequency = text('Frequency').toLowerCase();
+  if (frequency) {
+    if (FREQUENCY_VALUES.includes(frequency)) {
+      preferences.frequency = frequency;
+    } else {
+      warnings.push({ field: 'Frequency', message: `Unknown value "${text('Frequency')}", using Daily (expected ${dropdownValues('Frequency')})` });
+    }
+  }
+
+  const status = text('Status').toLowerCase();
+  if (status && status !== 'active' && status !== 'disabled') {
+    warnings.push({ field: 'Status', message: `Unknown value "${text('Status')}", treated as Active` });
+  }
+
+  const filterKeywords = text('Filter Keywords');
+  if (filterKeywords) {
+    // Parsed once here; see FilterQuery.js for the syntax
+    try {
+      const { query, warnings: queryWarnings } = readFilterKeywords(filterKeywords);
+      queryWarnings.forEach(message => warnings.push({ field: 'Filter Keywords', message: message }));
+      findContradictoryFilterTerms(query)
+        .forEach(term => warnings.push({ field: 'Filter Keywords', message: `${term} is both required and excluded, so no event can match` }));
+      if (query.clauses.length > 0) {
+        preferences.filterQuery = query;
+      }
+    } catch (e) {
+      errors.push({ field: 'Filter Keywords', message: e.message });
+    }
+  }
+
+  const format = text('Format').toLowerCase();
+  if (format) {
+    if (EMAIL_FORMATS.includes(format)) {
+      preferences.emailFormat = format;
+    } else {
+      warnings.push({ field: 'Format', message: `Unknown email format "${text('Format')}", using "both"` });
+    }
+  }
+
+  const template = text('Template').toLowerCase();
+  if (template) {
+    if (templates[template]) {
+      preferences.template = template;
+    } else {
+      warnings.push({ field: 'Template', message: `Template "${text('Template')}" not found, using built-in layout` });
+    }
+  }
+
+  const sendTime = values['Send Time'];
+  if (sendTime !== null && sendTime !== undefined && sendTime !== '') {
+    const sendHour = parseSendTime(sendTime);
+    if (sendHour !== null) {
+      preferences.sendHour = sendHour;
+    } else {
+      warnings.push({ field: 'Send Time', message: `Invalid send time "${sendTime}", using the default send hour` });
+    }
+  }
+
+  // Checkbox cells arrive as booleans; typed values as "yes"/"true"
+  const skipWeekends = values['Skip Weekends'];
+  const skipWeekendsText = text('Skip Weekends').toLowerCase();
+  if (skipWeekends === true || ['yes', 'true', 'y'].includes(skipWeekendsText)) {
+    preferences.skipWeekends = true;
+  } else if (skipWeekends !== false && skipWeekendsText && !['no', 'false', 'n'].includes(skipWeekendsText)) {
+    warnings.push({ field: 'Skip Weekends', message: `Unknown value "${text('Skip Weekends')}", treated as No` });
+  }
+
+  const groupBy = text('Group By').toLowerCase();
+  if (groupBy === 'calendar') {
+    preferences.groupBy = 'calendar';
+  } else if (groupBy && groupBy !== 'time') {
+    errors.push({ field: 'Group By', message: `Unknown value "${text('Group By')}" (expected ${dropdownValues('Group By')})` });
+  }
+
+  // Event attribute filters (see filterEventsByAttributes)
+  const eventFilters = {};
+  const myStatus = text('My Status').toLowerCase();
+  if (myStatus) {
+    const statuses = myStatus.split(',').map(value => value.trim()).filter(value => value);
+    const unknown = statuses.filter(value => !MY_STATUS_VALUES[value]);
+    if (unknown.length > 0) {
+      errors.push({ field: 'My Status', message: `Unknown value "${unknown.join(', ')}" (expected ${Object.keys(MY_STATUS_VALUES).join(', ')})` });
+    } else {
+      eventFilters.myStatuses = statuses;
+    }
+  }
+  [['Ownership', 'ownership'], ['Visibility', 'visibility'], ['Show As', 'showAs']].forEach(([field, key]) => {
+    const value = text(field).toLowerCase();
+    if (!value || value === 'any') return;
+    if (CONFIG_SHEET_COLUMNS.find(column => column.header === field).values.map(option => option.toLowerCase()).includes(value)) {
+      eventFilters[key] = value;
+    } else {
+      errors.push({ field: field, message: `Unknown value "${text(field)}" (expected ${dropdownValues(field)})` });
+    }
+  });
+  const minDuration = text('Min Duration');
+  if (minDuration) {
+    const minutes = parseDurationMinutes(minDuration);
+    if (minutes === null) {
+      errors.push({ field: 'Min Duration', message: `"${minDuration}" is not a duration such as 15, 30m or 1h` });
+    } else if (minutes > 0) {
+      eventFilters.minDurationMinutes = minutes;
+    }
+  }
+  const eventColors = text('Event Colors');
+  if (eventColors) {
+    try {
+      const colorFilter = parseEventColorFilter(eventColors);
+      if (colorFilter.include.length > 0 || colorFilter.exclude.length > 0) {
+        eventFilters.colors = colorFilter;
+      }
+    } catch (e) {
+      errors.push({ field: 'Event Colors', message: e.message });
+    }
+  }
+  if (Object.keys(eventFilters).length > 0) {
+    preferences.eventFilters = eventFilters;
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors,
+    warnings: warnings,
+    preferences: preferences
+  };
+}
+
+/**
+ * Gets the calendar date, time and weekday of a moment in a timezone
+ * @param {Date} date - Moment to convert
+ * @param {string} timezone - IANA timezone (optional; script timezone if omitted or invalid)
+ * @returns {Object} year, month (1-12), day, hour (0-23), minute, second and dayOfWeek (0 = Sunday)
+ */
+function getZonedDateParts(date, timezone = null) {
+  if (timezone) {
+    try {
+      const parts = {};
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        hourCycle: 'h23',
+        weekday: 'short'
+      }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+      });
+      
+      return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        dayOfWeek: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+      };
+    } catch (e) {
+      Logger.log(`WARNING: Invalid timezone "${timezone}", using script timezone`);
+    }
+  }
+  
+  return {
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    day: date.getDate(),
+    hour: date.getHours(),
+    minute: date.getMinutes(),
+    second: date.getSeconds(),
+    dayOfWeek: date.getDay()
+  };
+}
+
+/**
+ * Checks whether a timezone name is a valid IANA timezone
+ * @param {string} timezone - Timezone name such as "Europe/London"
+ * @returns {boolean} True if the timezone can be used for formatting
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Gets the UTC offset of a timezone at a given moment
+ * @param {Date} date - Moment to check (the offset changes with DST)
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffsetMs(date, timezone) {
+  const parts = getZonedDateParts(date, timezone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Gets the moment a calendar day starts in a timezone
+ *
+ * Usually local midnight. Where a DST change skips midnight (e.g. America/Santiago),
+ * the day starts at the first local time that exists, such as 01:00.
+ * Day values outside the month roll over, so (2024, 1, 32) is February 1st.
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Start of the day
+ */
+function getZonedMidnight(year, month, day, timezone) {
+  const utcMidnight = Date.UTC(year, month - 1, day);
+  const target = new Date(utcMidnight);
+  
+  // The offset at UTC midnight may differ from the offset at local midnight, so correct once
+  const firstGuess = utcMidnight - getTimezoneOffsetMs(target, timezone);
+  const secondGuess = utcMidnight - getTimezoneOffsetMs(new Date(firstGuess), timezone);
+  
+  const candidates = [firstGuess, secondGuess].sort((a, b) => a - b);
+  for (const candidate of candidates) {
+    const parts = getZonedDateParts(new Date(candidate), timezone);
+    if (parts.year === target.getUTCFullYear() && parts.month === target.getUTCMonth() + 1 && parts.day === target.getUTCDate()) {
+      return new Date(candidate);
+    }
+  }
+  return new Date(secondGuess);
+}
+
+/**
+ * Parses a "Send Time" cell into an hour of day
+ * Accepts "7", "07:00", "7am", "7:00 PM" or a time-formatted cell (Date).
+ * Delivery is hourly, so minutes are ignored.
+ * @param {string|number|Date} value - Cell value
+ * @returns {number|null} Hour (0-23) or null if the value is not a valid time
+ */
+function parseSendTime(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.getHours();
+  }
+  
+  const match = String(value).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) {
+    return null;
+  }
+  
+  let hour = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3];
+  
+  if (minutes > 59) {
+    return null;
+  }
+  if (meridiem) {
+    if (hour < 1 || hour > 12) {
+      return null;
+    }
+    hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+  
+  return hour <= 23 ? hour : null;
+}
+
 /**
  * Formats event time based on recipient preferences
  * @param {Date} startTime - Event start time
@@ -223,18 +682,237 @@ function formatEventTime(startTime, timezone = null, use24Hour = false) {
   }
 }
 
+/**
+ * Escapes a value for safe inclusion in HTML text or attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escapes text for HTML and turns http(s) URLs into links
+ *
+ * Only http and https URLs are linked, so calendar content cannot inject
+ * javascript: or data: links. Trailing punctuation is left outside the link.
+ *
+ * @param {*} value - Text to escape and linkify
+ * @returns {string} Safe HTML string
+ */
+function linkifyText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  const urlPattern = /\bhttps?:\/\/[^\s<>"']+/gi;
+  let html = '';
+  let lastIndex = 0;
+  let match;
+
+  while ((match = urlPattern.exec(text)) !== null) {
+    let url = match[0];
+    const trailing = url.match(/[.,;:!?)\]}]+$/);
+    if (trailing) {
+      url = url.substring(0, url.length - trailing[0].length);
+    }
+
+    html += escapeHtml(text.substring(lastIndex, match.index));
+    html += `<a href="${escapeHtml(url)}" style="color: #1976d2;">${escapeHtml(url)}</a>`;
+    lastIndex = match.index + url.length;
+    urlPattern.lastIndex = lastIndex;
+  }
+
+  return html + escapeHtml(text.substring(lastIndex));
+}
+
+/**
+ * Checks whether an event is an all-day event
+ * @param {CalendarEvent} event - Calendar event
+ * @returns {boolean} True for all-day events
+ */
+function isAllDayEvent(event) {
+  return typeof event.isAllDayEvent === 'function' && event.isAllDayEvent();
+}
+
+/**
+ * Splits events into all-day and timed events, keeping their order
+ * @param {CalendarEvent[]} events - Array of calendar events
+ * @returns {Object} allDayEvents and timedEvents arrays
+ */
+function partitionAllDayEvents(events) {
+  return {
+    allDayEvents: events.filter(event => isAllDayEvent(event)),
+    timedEvents: events.filter(event => !isAllDayEvent(event))
+  };
+}
+
+/**
+ * Gets a day number that can be compared across timezones (days since the epoch)
+ * @param {Date} date - Moment to convert
+ * @param {string} timezone - Timezone whose calendar date is used (optional)
+ * @returns {number} Day number
+ */
+function getCalendarDayNumber(date, timezone = null) {
+  const parts = getZonedDateParts(date, timezone);
+  return Math.round(Date.UTC(parts.year, parts.month - 1, parts.day) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Gets the calendar days an event occupies
+ *
+ * All-day events are dated in the script timezone (their dates have no time
+ * zone of their own); timed events use the recipient's timezone.
+ *
+ * @param {CalendarEvent} event - Calendar event
+ * @param {string} timezone - Recipient's timezone (optional)
+ * @returns {Object} firstDay and lastDay as day numbers from getCalendarDayNumber
+ */
+function getEventDaySpan(event, timezone = null) {
+  const allDay = isAllDayEvent(event);
+  const eventTimezone = allDay ? null : timezone;
+  const start = allDay && event.getAllDayStartDate ? event.getAllDayStartDate() : event.getStartTime();
+  const end = allDay && event.getAllDayEndDate ? event.getAllDayEndDate() : event.getEndTime();
+  
+  // End times are exclusive: an event ending at midnight does not occupy the next day
+  return {
+    firstDay: getCalendarDayNumber(start, eventTimezone),
+    lastDay: getCalendarDayNumber(new Date(Math.max(end.getTime() - 1, start.getTime())), eventTimezone)
+  };
+}
+
+/**
+ * Labels events that span several days with the day shown, e.g. "Day 2 of 3"
+ * @param {CalendarEvent} event - Calendar event
+ * @param {string} timezone - Recipient's timezone (optional)
+ * @param {Date} referenceDate - Day being summarized (usually the start of the date range)
+ * @returns {string} Label, or an empty string for single-day events
+ */
+function getMultiDayLabel(event, timezone = null, referenceDate = new Date()) {
+  const { firstDay, lastDay } = getEventDaySpan(event, timezone);
+  const totalDays = lastDay - firstDay + 1;
+  if (totalDays <= 1) {
+    return '';
+  }
+  
+  const referenceDay = getCalendarDayNumber(referenceDate, timezone);
+  const dayNumber = Math.min(Math.max(referenceDay - firstDay + 1, 1), totalDays);
+  return `Day ${dayNumber} of ${totalDays}`;
+}
+
+/**
+ * Lists the days covered by a date range
+ * @param {Object} dateRange - Date range from calculateDateRange
+ * @returns {Object[]} Days with start (Date), dayNumber, dayOfWeek and label ("Monday, January 15")
+ */
+function getRangeDays(dateRange) {
+  const timezone = dateRange.timezone || null;
+  const first = getZonedDateParts(dateRange.startDate, timezone);
+  const days = [];
+  
+  for (let offset = 0; ; offset++) {
+    const start = timezone ?
+      getZonedMidnight(first.year, first.month, first.day + offset, timezone) :
+      new Date(first.year, first.month - 1, first.day + offset);
+    if (start >= dateRange.endDate) {
+      break;
+    }
+    
+    const labelOptions = { weekday: 'long', month: 'long', day: 'numeric' };
+    if (timezone) {
+      labelOptions.timeZone = timezone;
+    }
+    
+    days.push({
+      start: start,
+      dayNumber: getCalendarDayNumber(start, timezone),
+      dayOfWeek: getZonedDateParts(start, timezone).dayOfWeek,
+      label: start.toLocaleDateString('en-US', labelOptions)
+    });
+  }
+  
+  return days;
+}
+
+/**
+ * Groups events by the days of a multi-day date range
+ *
+ * Events spanning several days appear under each day they cover.
+ *
+ * @param {CalendarEvent[]} events - Array of calendar events
+ * @param {Object} dateRange - Date range from calculateDateRange
+ * @param {Object} preferences - Recipient preferences (timezone, skipWeekends)
+ * @returns {Object[]|null} Days with their events, or null for single-day ranges
+ */
+function groupEventsByDay(events, dateRange, preferences = {}) {
+  if (!dateRange || !dateRange.startDate || !dateRange.endDate) {
+    return null;
+  }
+  
+  let days = getRangeDays(dateRange);
+  if (days.length <= 1) {
+    return null;
+  }
+  
+  if (preferences.skipWeekends) {
+    days = days.filter(day => day.dayOfWeek !== 0 && day.dayOfWeek !== 6);
+  }
+  
+  const spans = events.map(event => getEventDaySpan(event, preferences.timezone));
+  
+  return days.map(day => ({
+    start: day.start,
+    label: day.label,
+    events: events.filter((event, index) => spans[index].firstDay <= day.dayNumber && day.dayNumber <= spans[index].lastDay)
+  }));
+}
+
+/**
+ * Groups events under the calendar they came from, for "Group By: Calendar"
+ * @param {CalendarEvent[]} events - Events in display order
+ * @param {Map} eventSources - Calendar each event came from, as { name, color }
+ * @param {Object[]} calendars - The recipient's calendars as { name, color }, in sheet order
+ * @returns {Object[]|null} Calendars with their events, or null when there is only one calendar
+ */
+function groupEventsByCalendar(events, eventSources, calendars) {
+  if (!calendars || calendars.length < 2 || !eventSources) {
+    return null;
+  }
+  
+  return calendars.map(calendar => ({
+    name: calendar.name,
+    color: calendar.color,
+    events: events.filter(event => eventSources.get(event) === calendar)
+  }));
+}
+
 /**
  * Generates HTML email template
  * @param {string} recipientName - The recipient's name
  * @param {string} calendarName - The name of the calendar
  * @param {CalendarEvent[]} events - Array of calendar events
  * @param {Object} preferences - Recipient preferences
+ * @param {Object} dateRange - Date range from calculateDateRange (optional)
+ * @param {Object} renderOptions - Rendering options
+ * @param {Map} renderOptions.eventSources - Calendar each event came from, as { name, color } (optional)
+ * @param {Object[]} renderOptions.calendars - The recipient's calendars as { name, color }, for the legend, event tags and "Group By: Calendar" (optional)
  * @returns {string} HTML email content
  */
-function generateHtmlEmailBody(recipientName, calendarName, events, preferences = {}, dateRange = null) {
+function generateHtmlEmailBody(recipientName, calendarName, events, preferences = {}, dateRange = null, renderOptions = {}) {
+  const eventSources = renderOptions.eventSources || new Map();
   const today = new Date();
+  // Everything below that comes from calendars or the config sheet is escaped before interpolation
   const dateString = dateRange ? 
-    `Events for ${dateRange.description}` :
+    `Events for ${escapeHtml(dateRange.description)}` :
     today.toLocaleDateString('en-US', { 
       weekday: 'long', 
       year: 'numeric', 
@@ -243,54 +921,113 @@ function generateHtmlEmailBody(recipientName, calendarName, events, preferences
     });
 
   let eventsHtml = '';
-  if (events.length === 0) {
+  // Multi-day ranges list every day, even when all of them are free
+  if (events.length === 0 && !groupEventsByDay(events, dateRange, preferences)) {
     eventsHtml = `
       <div style="padding: 20px; background-color: #f8f9fa; border-radius: 8px; text-align: center; color: #6c757d;">
-        <p style="margin: 0; font-size: 16px;">🌟 No events scheduled for today!</p>
+        <p style="margin: 0; font-size: 16px;">🌟 No events scheduled for ${dateRange ? escapeHtml(dateRange.description) : 'today'}!</p>
         <p style="margin: 8px 0 0 0; font-size: 14px;">Enjoy your free time!</p>
       </div>`;
   } else {
-    eventsHtml = events.map(event => {
-      const startTime = event.getStartTime();
-      const endTime = event.getEndTime();
-      const eventTitle = event.getTitle();
+    const calendarGroups = preferences.groupBy === 'calendar' ?
+      groupEventsByCalendar(events, eventSources, renderOptions.calendars) :
+      null;
+    // Events from several calendars in one list are tagged with the calendar they came from
+    const showCalendarTags = !calendarGroups && (renderOptions.calendars || []).length > 1;
+
+    const renderEventCard = (event, eventColor, borderColor, whenText) => {
       const location = event.getLocation();
       const description = event.getDescription();
-
-      const formattedStartTime = formatEventTime(
-        startTime, 
-        preferences.timezone, 
-        preferences.use24Hour || false
-      );
-      
-      const formattedEndTime = formatEventTime(
-        endTime, 
-        preferences.timezone, 
-        preferences.use24Hour || false
-      );
-
-      // Determine event color based on time
-      const hour = startTime.getHours();
-      let eventColor = '#e3f2fd'; // default light blue
-      if (hour < 9) eventColor = '#fff3e0'; // morning - orange
-      else if (hour >= 17) eventColor = '#f3e5f5'; // evening - purple
+      const source = showCalendarTags ? eventSources.get(event) : null;
 
       return `
-        <div style="margin-bottom: 16px; padding: 16px; background-color: ${eventColor}; border-radius: 8px; border-left: 4px solid #1976d2;">
+        <div style="margin-bottom: 16px; padding: 16px; background-color: ${eventColor}; border-radius: 8px; border-left: 4px solid ${borderColor};">
           <div style="display: flex; align-items: center; margin-bottom: 8px;">
-            <span style="font-size: 18px; font-weight: 600; color: #1976d2;">📅 ${eventTitle}</span>
+            <span style="font-size: 18px; font-weight: 600; color: #1976d2;">📅 ${escapeHtml(event.getTitle())}</span>
           </div>
+          ${source ? `<div style="margin-bottom: 8px;"><span style="font-size: 13px; color: ${source.color || '#1976d2'};">●</span> <span style="font-size: 13px; color: #666;">${escapeHtml(source.name)}</span></div>` : ''}
           <div style="margin-bottom: 8px;">
-            <span style="font-size: 16px; color: #424242;">⏰ ${formattedStartTime} - ${formattedEndTime}</span>
+            <span style="font-size: 16px; color: #424242;">${escapeHtml(whenText)}</span>
           </div>
-          ${location ? `<div style="margin-bottom: 8px;"><span style="font-size: 14px; color: #666;">📍 ${location}</span></div>` : ''}
-          ${description && description.length < 100 ? `<div><span style="font-size: 14px; color: #666; font-style: italic;">${description}</span></div>` : ''}
+          ${location ? `<div style="margin-bottom: 8px;"><span style="font-size: 14px; color: #666;">📍 ${linkifyText(location)}</span></div>` : ''}
+          ${description && description.length < 100 ? `<div><span style="font-size: 14px; color: #666; font-style: italic;">${linkifyText(description)}</span></div>` : ''}
         </div>`;
-    }).join('');
+    };
+
+    // Renders all-day events (neutral color) followed by timed events
+    const renderEvents = (dayEvents, referenceDate) => {
+      const { allDayEvents, timedEvents } = partitionAllDayEvents(dayEvents);
+
+      const allDayHtml = allDayEvents.map(event => {
+        const dayLabel = getMultiDayLabel(event, preferences.timezone, referenceDate);
+        const color = resolveEventColor(event, eventSources.get(event));
+        return renderEventCard(event, color ? tintColor(color) : '#eceff1', color || '#90a4ae', `🗓️ All day${dayLabel ? ` · ${dayLabel}` : ''}`);
+      }).join('');
+
+      const timedHtml = timedEvents.map(event => {
+        const startTime = event.getStartTime();
+        const dayLabel = getMultiDayLabel(event, preferences.timezone, referenceDate);
+
+        const formattedStartTime = formatEventTime(
+          startTime, 
+          preferences.timezone, 
+          preferences.use24Hour || false
+        );
+        
+        const formattedEndTime = formatEventTime(
+          event.getEndTime(), 
+          preferences.timezone, 
+          preferences.use24Hour || false
+        );
+
+        // Use the event's or its calendar's color; otherwise color by time (multi-day events have no single time of day)
+        const color = resolveEventColor(event, eventSources.get(event));
+        const hour = startTime.getHours();
+        let eventColor = '#e3f2fd'; // default light blue
+        if (color) eventColor = tintColor(color);
+        else if (dayLabel) eventColor = '#eceff1'; // multi-day - neutral gray
+        else if (hour < 9) eventColor = '#fff3e0'; // morning - orange
+        else if (hour >= 17) eventColor = '#f3e5f5'; // evening - purple
+
+        return renderEventCard(event, eventColor, color || '#1976d2', `⏰ ${formattedStartTime} - ${formattedEndTime}${dayLabel ? ` · ${dayLabel}` : ''}`);
+      }).join('');
+
+      return { allDayHtml, timedHtml };
+    };
+
+    const noEventsHtml = '<p style="margin: 0 0 16px 0; font-size: 14px; color: #9e9e9e; font-style: italic;">No events</p>';
+
+    const renderEventList = (listEvents) => {
+      const days = groupEventsByDay(listEvents, dateRange, preferences);
+      if (days) {
+        // Multi-day ranges: one section per day so events on different dates are distinguishable
+        return days.map(day => {
+          const { allDayHtml, timedHtml } = renderEvents(day.events, day.start);
+          const dayContent = day.events.length > 0 ? allDayHtml + timedHtml : noEventsHtml;
+          return `
+        <h3 style="color: #424242; margin: 24px 0 12px 0; font-size: 17px; font-weight: 600; border-bottom: 1px solid #e0e0e0; padding-bottom: 6px;">${escapeHtml(day.label)}</h3>
+        ${dayContent}`;
+        }).join('');
+      }
+      
+      const { allDayHtml, timedHtml } = renderEvents(listEvents, dateRange ? dateRange.startDate : today);
+      return allDayHtml ?
+        `<h3 style="color: #616161; margin: 0 0 12px 0; font-size: 16px; font-weight: 600;">All day</h3>${allDayHtml}${timedHtml}` :
+        timedHtml;
+    };
+
+    if (calendarGroups) {
+      // One section per calendar, each laid out like a single-calendar summary
+      eventsHtml = calendarGroups.map(group => `
+        <h3 style="color: #333; margin: 28px 0 12px 0; font-size: 19px; font-weight: 600; padding-left: 10px; border-left: 4px solid ${group.color || '#1976d2'};">${escapeHtml(group.name)}</h3>
+        ${group.events.length > 0 ? renderEventList(group.events) : noEventsHtml}`).join('');
+    } else {
+      eventsHtml = renderEventList(events);
+    }
   }
 
   const timezoneNote = preferences.timezone ? 
-    `<p style="font-size: 12px; color: #999; text-align: center; margin: 16px 0 0 0;">Times shown in ${preferences.timezone} timezone</p>` : '';
+    `<p style="font-size: 12px; color: #999; text-align: center; margin: 16px 0 0 0;">Times shown in ${escapeHtml(preferences.timezone)} timezone</p>` : '';
 
   return `
     <!DOCTYPE html>
@@ -310,12 +1047,13 @@ function generateHtmlEmailBody(recipientName, calendarName, events, preferences
         
         <!-- Content -->
         <div style="padding: 32px 24px;">
-          <h2 style="color: #333; margin: 0 0 24px 0; font-size: 22px; font-weight: 400;">Hello ${recipientName}! 👋</h2>
+          <h2 style="color: #333; margin: 0 0 24px 0; font-size: 22px; font-weight: 400;">Hello ${escapeHtml(recipientName)}! 👋</h2>
           
           <p style="color: #666; margin: 0 0 24px 0; font-size: 16px; line-height: 1.5;">
-            Here are your events ${dateRange ? `for ${dateRange.description}` : 'for today'} from <strong>"${calendarName}"</strong>:
+            Here are your events ${dateRange ? `for ${escapeHtml(dateRange.description)}` : 'for today'} from <strong>"${escapeHtml(calendarName)}"</strong>:
           </p>
           
+          ${renderCalendarLegend(renderOptions.calendars)}
           <!-- Events -->
           <div style="margin: 24px 0;">
             ${eventsHtml}
@@ -345,92 +1083,343 @@ function generateHtmlEmailBody(recipientName, calendarName, events, preferences
  * @param {string} calendarName - The name of the calendar
  * @param {CalendarEvent[]} events - Array of calendar events
  * @param {Object} preferences - Recipient preferences (timezone, time format, etc.)
- * @returns {Object} Email content with both HTML and plain text
+ * @param {Object} dateRange - Date range from calculateDateRange (optional)
+ * @param {Object} renderOptions - Rendering options
+ * @param {Object} renderOptions.template - Sheet-managed template from loadEmailTemplates (optional)
+ * @param {Map} renderOptions.eventSources - Calendar each event came from (see generateHtmlEmailBody)
+ * @param {Object[]} renderOptions.calendars - The recipient's calendars (see generateHtmlEmailBody)
+ * @returns {Object} Email content with both HTML and plain text, plus a subject when the template defines one
  */
-function generateEmailBody(recipientEmail, calendarName, events, preferences = {}, dateRange = null) {
+function generateEmailBody(recipientEmail, calendarName, events, preferences = {}, dateRange = null, renderOptions = {}) {
   const recipientName = recipientEmail.split('@')[0];
   
-  // Generate HTML version
-  const htmlBody = generateHtmlEmailBody(recipientName, calendarName, events, preferences, dateRange);
+  // Render the recipient's template, if any; missing parts fall back to the built-in layout
+  let rendered = { htmlBody: null, textBody: null, subject: null };
+  if (renderOptions.template) {
+    const context = buildTemplateContext(recipientName, calendarName, events, preferences, dateRange, renderOptions);
+    rendered = renderEmailTemplate(renderOptions.template, context);
+  }
+  
+  // Generate HTML version
+  const htmlBody = rendered.htmlBody || generateHtmlEmailBody(recipientName, calendarName, events, preferences, dateRange, renderOptions);
+  
+  if (rendered.textBody) {
+    return {
+      htmlBody: htmlBody,
+      textBody: rendered.textBody,
+      subject: rendered.subject
+    };
+  }
+  
+  // Generate plain text version as fallback
+  const dateText = dateRange ? `for ${dateRange.description}` : 'for today';
+  let textBody = `Hello ${recipientName},\n\nHere are your events ${dateText} from "${calendarName}":\n\n`;
+
+  if (events.length === 0 && !groupEventsByDay(events, dateRange, preferences)) {
+    textBody += `No events found ${dateText}.`;
+  } else {
+    const eventSources = renderOptions.eventSources || new Map();
+    const calendarGroups = preferences.groupBy === 'calendar' ?
+      groupEventsByCalendar(events, eventSources, renderOptions.calendars) :
+      null;
+    const showCalendarTags = !calendarGroups && (renderOptions.calendars || []).length > 1;
+
+    // Formats one line per event; all-day events show "All day" instead of a time
+    // (or nothing when they are already listed under an "All day" heading)
+    const formatEventLine = (event, referenceDate, showAllDay = true) => {
+      const location = event.getLocation();
+      const dayLabel = getMultiDayLabel(event, preferences.timezone, referenceDate);
+      let line;
+      if (isAllDayEvent(event)) {
+        line = showAllDay ? `• All day - ${event.getTitle()}` : `• ${event.getTitle()}`;
+      } else {
+        const formattedStartTime = formatEventTime(
+          event.getStartTime(), 
+          preferences.timezone, 
+          preferences.use24Hour || false
+        );
+        line = `• ${formattedStartTime} - ${event.getTitle()}`;
+      }
+
+      if (dayLabel) {
+        line += ` [${dayLabel}]`;
+      }
+      const source = showCalendarTags ? eventSources.get(event) : null;
+      if (source) {
+        line += ` · ${source.name}`;
+      }
+      if (location) {
+        line += ` (${location})`;
+      }
+      return `${line}\n`;
+    };
+
+    // Lists events by day for multi-day ranges, otherwise all-day events first
+    const formatEventList = (listEvents, indent = '') => {
+      let text = '';
+      const days = groupEventsByDay(listEvents, dateRange, preferences);
+      if (days) {
+        days.forEach((day, index) => {
+          text += `${index > 0 ? '\n' : ''}${indent}${day.label}\n`;
+          if (day.events.length === 0) {
+            text += `${indent}  No events\n`;
+            return;
+          }
+          const { allDayEvents, timedEvents } = partitionAllDayEvents(day.events);
+          [...allDayEvents, ...timedEvents].forEach(event => {
+            text += `${indent}  ${formatEventLine(event, day.start)}`;
+          });
+        });
+        return text;
+      }
+
+      const { allDayEvents, timedEvents } = partitionAllDayEvents(listEvents);
+      const referenceDate = dateRange ? dateRange.startDate : new Date();
+
+      if (allDayEvents.length > 0) {
+        text += `${indent}All day:\n`;
+        allDayEvents.forEach(event => {
+          text += `${indent}${formatEventLine(event, referenceDate, false)}`;
+        });
+        if (timedEvents.length > 0) {
+          text += `\n`;
+        }
+      }
+
+      timedEvents.forEach(event => {
+        text += `${indent}${formatEventLine(event, referenceDate)}`;
+      });
+      return text;
+    };
+
+    if (calendarGroups) {
+      textBody += calendarGroups.map(group => `${group.name}\n` +
+        (group.events.length > 0 ? formatEventList(group.events, '  ') : '  No events\n')).join('\n');
+    } else {
+      textBody += formatEventList(events);
+    }
+  }
+
+  // Add timezone info if specified
+  if (preferences.timezone) {
+    textBody += `\n(Times shown in ${preferences.timezone} timezone)\n`;
+  }
+
+  textBody += "\n\nBest regards,\nYour Google Calendar";
+  
+  return {
+    htmlBody: htmlBody,
+    textBody: textBody,
+    subject: rendered.subject
+  };
+}
+
+/**
+ * Builds a queued email message in the recipient's preferred format
+ * @param {string} to - Recipient email address
+ * @param {string} subject - Email subject
+ * @param {Object} emailContent - Email content with htmlBody and textBody
+ * @param {string} format - "html", "text" or "both" (default: multipart HTML + plain text)
+ * @returns {Object} Email object for sendEmailsBatched
+ */
+function buildEmailMessage(to, subject, emailContent, format = 'both') {
+  switch (format) {
+    case 'text':
+      return {
+        to: to,
+        subject: subject,
+        body: emailContent.textBody,
+        options: {}
+      };
+
+    case 'html':
+      // GmailApp still requires a plain text body; keep it minimal for HTML-only recipients
+      return {
+        to: to,
+        subject: subject,
+        body: 'This email contains your calendar summary in HTML format. Please use an HTML-capable email client to view it.',
+        options: { htmlBody: emailContent.htmlBody }
+      };
+
+    default:
+      return {
+        to: to,
+        subject: subject,
+        body: emailContent.textBody,
+        options: { htmlBody: emailContent.htmlBody }
+      };
+  }
+}
+
+/**
+ * Merges the events of a recipient's calendars into one list
+ * An event on several of the calendars is listed once. Copies are matched by
+ * event ID and start time (so each occurrence of a recurring event is kept),
+ * or by title and start time for events copied to another calendar, which get
+ * a new ID. Same-titled events on one calendar are never merged.
+ * @param {Object[]} calendarResults - Fetched calendars as { calendar, events }, in sheet order
+ * @param {string} winner - Copy to keep: "first" or "last" calendar listed, or "owned" (the copy the recipient created, else the first)
+ * @param {string} recipientEmail - Recipient the calendars belong to, for the "owned" winner
+ * @returns {Object} events, eventSources (Map of event -> { name, color }), calendars ({ name, color } each) and duplicates (number of copies dropped)
+ */
+function mergeCalendarEvents(calendarResults, winner = 'first', recipientEmail = '') {
+  const calendars = [];
+  const copiesByEvent = [];
+  const byId = new Map();
+  const byTitle = new Map();
+  
+  calendarResults.forEach((result, calendarIndex) => {
+    const source = { name: result.calendar.getName(), color: getCalendarColor(result.calendar) };
+    calendars.push(source);
+    result.events.forEach(event => {
+      const start = event.getStartTime().getTime();
+      const idKey = `${event.getId()}|${start}`;
+      const titleKey = `${String(event.getTitle() || '').trim().toLowerCase()}|${start}`;
+      const titleMatch = byTitle.get(titleKey);
+      let copies = byId.get(idKey) ||
+        (titleMatch && !titleMatch.some(copy => copy.calendarIndex === calendarIndex) ? titleMatch : null);
+      if (!copies) {
+        copies = [];
+        copiesByEvent.push(copies);
+      }
+      copies.push({ event, source, calendarIndex });
+      byId.set(idKey, copies);
+      if (!byTitle.has(titleKey)) {
+        byTitle.set(titleKey, copies);
+      }
+    });
+  });
+  
+  const events = [];
+  const eventSources = new Map();
+  copiesByEvent.forEach(copies => {
+    let kept = copies[0];
+    if (winner === 'last') {
+      kept = copies[copies.length - 1];
+    } else if (winner === 'owned') {
+      kept = copies.find(copy => isEventCreatedBy(copy.event, recipientEmail)) || copies[0];
+    }
+    events.push(kept.event);
+    eventSources.set(kept.event, kept.source);
+  });
+  
+  return { events, eventSources, calendars, duplicates: copiesByEvent.reduce((total, copies) => total + copies.length - 1, 0) };
+}
+
+/**
+ * Filters events based on keyword preferences
+ * @param {CalendarEvent[]} events - Array of events to filter
+ * @param {Object|string[]} filter - Query from parseFilterQuery, or an array of keywords to include/exclude
+ * @returns {CalendarEvent[]} Filtered events
+ */
+function filterEventsByKeywords(events, filter = []) {
+  if (!filter) {
+    return events;
+  }
+  
+  const query = Array.isArray(filter) ? keywordsToFilterQuery(filter) : filter;
+  if (query.clauses.length === 0) {
+    return events;
+  }
   
-  // Generate plain text version as fallback
-  const dateText = dateRange ? `for ${dateRange.description}` : 'for today';
-  let textBody = `Hello ${recipientName},\n\nHere are your events ${dateText} from "${calendarName}":\n\n`;
-
-  if (events.length === 0) {
-    textBody += "No events found for today.";
-  } else {
-    events.forEach(event => {
-      const startTime = event.getStartTime();
-      const eventTitle = event.getTitle();
-      const location = event.getLocation();
-
-      const formattedStartTime = formatEventTime(
-        startTime, 
-        preferences.timezone, 
-        preferences.use24Hour || false
-      );
+  return events.filter(event => matchesFilterQuery(event, query));
+}
 
-      textBody += `• ${formattedStartTime} - ${eventTitle}`;
-      if (location) {
-        textBody += ` (${location})`;
-      }
-      textBody += `\n`;
-    });
-  }
+/**
+ * Checks whether an event was created by an email address
+ * @param {CalendarEvent} event - Calendar event
+ * @param {string} email - Email address
+ * @returns {boolean} True if the address is one of the event's creators
+ */
+function isEventCreatedBy(event, email) {
+  const address = String(email || '').toLowerCase();
+  return (event.getCreators() || []).some(creator => String(creator).toLowerCase() === address);
+}
 
-  // Add timezone info if specified
-  if (preferences.timezone) {
-    textBody += `\n(Times shown in ${preferences.timezone} timezone)\n`;
+/**
+ * Gets a recipient's response to an event
+ * getMyStatus() answers for the user the script runs as, so the recipient is
+ * looked up among the creators and guests instead.
+ * @param {CalendarEvent} event - Calendar event
+ * @param {string} email - Recipient email
+ * @returns {string|null} OWNER if the recipient created the event, else their GuestStatus name, or null if they are not a guest
+ */
+function getRecipientEventStatus(event, email) {
+  if (isEventCreatedBy(event, email)) {
+    return 'OWNER';
   }
-
-  textBody += "\n\nBest regards,\nYour Google Calendar";
-  
-  return {
-    htmlBody: htmlBody,
-    textBody: textBody
-  };
+  const guest = event.getGuestByEmail(email);
+  // Enum values such as CalendarApp.GuestStatus.YES convert to their names
+  return guest ? String(guest.getGuestStatus()) : null;
 }
 
 /**
- * Filters events based on keyword preferences
+ * Filters events by the recipient's response, ownership, visibility, free/busy, color and duration
  * @param {CalendarEvent[]} events - Array of events to filter
- * @param {string[]} filterKeywords - Array of keywords to include/exclude
+ * @param {Object} eventFilters - Filters from validateRecipientPreferences
+ * @param {string[]} eventFilters.myStatuses - Keys of MY_STATUS_VALUES to include
+ * @param {string} eventFilters.ownership - "owned" or "invited"
+ * @param {string} eventFilters.visibility - "public" (incl. default) or "private" (incl. confidential)
+ * @param {string} eventFilters.showAs - "busy" or "free"
+ * @param {number} eventFilters.minDurationMinutes - Shortest timed event to include
+ * @param {Object} eventFilters.colors - Event colors to include/exclude (see parseEventColorFilter)
+ * @param {string} recipientEmail - Recipient whose response and ownership are checked
  * @returns {CalendarEvent[]} Filtered events
  */
-function filterEventsByKeywords(events, filterKeywords = []) {
-  if (!filterKeywords || filterKeywords.length === 0) {
+function filterEventsByAttributes(events, eventFilters = {}, recipientEmail = '') {
+  if (!eventFilters || Object.keys(eventFilters).length === 0) {
     return events;
   }
   
+  const allowedStatuses = eventFilters.myStatuses ?
+    eventFilters.myStatuses.flatMap(status => MY_STATUS_VALUES[status] || []) :
+    null;
+  
   return events.filter(event => {
-    const title = event.getTitle().toLowerCase();
-    const description = event.getDescription().toLowerCase();
-    const location = event.getLocation().toLowerCase();
-    const eventText = `${title} ${description} ${location}`;
-    
-    // Separate include and exclude keywords
-    const includeKeywords = filterKeywords.filter(k => !k.startsWith('-')).map(k => k.toLowerCase());
-    const excludeKeywords = filterKeywords.filter(k => k.startsWith('-')).map(k => k.substring(1).toLowerCase());
-    
-    // All include keywords must be found
-    const includesMatch = includeKeywords.length === 0 || includeKeywords.every(keyword => eventText.includes(keyword));
-    
-    // No exclude keywords should be found
-    const excludesMatch = excludeKeywords.every(keyword => !eventText.includes(keyword));
-    
-    return includesMatch && excludesMatch;
+    const status = allowedStatuses || eventFilters.ownership ? getRecipientEventStatus(event, recipientEmail) : null;
+    if (allowedStatuses && !allowedStatuses.includes(status)) {
+      return false;
+    }
+    if (eventFilters.ownership === 'owned' && status !== 'OWNER') {
+      return false;
+    }
+    if (eventFilters.ownership === 'invited' && (!status || status === 'OWNER')) {
+      return false;
+    }
+    if (eventFilters.visibility) {
+      const isPrivate = ['PRIVATE', 'CONFIDENTIAL'].includes(String(event.getVisibility()));
+      if (isPrivate !== (eventFilters.visibility === 'private')) {
+        return false;
+      }
+    }
+    if (eventFilters.showAs) {
+      const isFree = String(event.getTransparency()) === 'TRANSPARENT';
+      if (isFree !== (eventFilters.showAs === 'free')) {
+        return false;
+      }
+    }
+    if (eventFilters.colors && !matchesEventColorFilter(event, eventFilters.colors)) {
+      return false;
+    }
+    if (eventFilters.minDurationMinutes && !isAllDayEvent(event)) {
+      const minutes = (event.getEndTime() - event.getStartTime()) / 60000;
+      if (minutes < eventFilters.minDurationMinutes) {
+        return false;
+      }
+    }
+    return true;
   });
 }
 
 /**
  * Checks if email should be sent based on frequency preference
  * @param {string} frequency - Frequency preference
+ * @param {string} timezone - Recipient's timezone; "today" is evaluated there (optional)
+ * @param {Date} now - Reference time (default: now)
  * @returns {boolean} Whether to send email today
  */
-function shouldSendEmail(frequency = 'daily') {
-  const today = new Date();
-  const dayOfWeek = today.getDay(); // 0 = Sunday, 1 = Monday, etc.
+function shouldSendEmail(frequency = 'daily', timezone = null, now = new Date()) {
+  const dayOfWeek = getZonedDateParts(now, timezone).dayOfWeek; // 0 = Sunday, 1 = Monday, etc.
   
   switch (frequency) {
     case 'daily':
@@ -468,75 +1457,84 @@ function shouldSendEmail(frequency = 'daily') {
 
 /**
  * Calculates date range based on preference
+ *
+ * Day boundaries, week starts and weekdays are computed in the recipient's
+ * timezone when one is given, and in the script's timezone otherwise.
+ *
  * @param {string} dateRange - Date range preference
- * @returns {Object} Start and end dates
+ * @param {string} timezone - Recipient's timezone (optional)
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Object} Start and end dates, description, timezone and runDate (today as YYYY-MM-DD in that timezone)
  */
-function calculateDateRange(dateRange = 'today') {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+function calculateDateRange(dateRange = 'today', timezone = null, now = new Date()) {
+  if (timezone && !isValidTimezone(timezone)) {
+    Logger.log(`WARNING: Invalid timezone "${timezone}", using script timezone for date range`);
+    timezone = null;
+  }
   
-  let startDate = new Date(today);
-  let endDate = new Date(today);
+  const today = getZonedDateParts(now, timezone);
+  const dayStart = (offsetDays) => timezone ?
+    getZonedMidnight(today.year, today.month, today.day + offsetDays, timezone) :
+    new Date(today.year, today.month - 1, today.day + offsetDays);
+  
+  // Range as day offsets from today: [startOffset, endOffset)
+  let startOffset = 0;
+  let endOffset = 1;
   let rangeDescription = 'today';
   
   switch (dateRange) {
     case 'today':
-      endDate.setDate(startDate.getDate() + 1);
-      rangeDescription = 'today';
       break;
       
     case 'tomorrow':
-      startDate.setDate(today.getDate() + 1);
-      endDate.setDate(today.getDate() + 2);
+      startOffset = 1;
+      endOffset = 2;
       rangeDescription = 'tomorrow';
       break;
       
     case 'next 3 days':
     case 'next3days':
-      endDate.setDate(startDate.getDate() + 3);
+      endOffset = 3;
       rangeDescription = 'the next 3 days';
       break;
       
     case 'this week':
     case 'thisweek':
-      // Get the start of the week (Sunday)
-      const dayOfWeek = today.getDay();
-      startDate.setDate(today.getDate() - dayOfWeek);
-      endDate.setDate(startDate.getDate() + 7);
+      // Weeks start on Sunday
+      startOffset = -today.dayOfWeek;
+      endOffset = startOffset + 7;
       rangeDescription = 'this week';
       break;
       
     case 'next week':
     case 'nextweek':
-      const nextWeekStart = new Date(today);
-      nextWeekStart.setDate(today.getDate() + (7 - today.getDay()));
-      startDate = nextWeekStart;
-      endDate = new Date(nextWeekStart);
-      endDate.setDate(nextWeekStart.getDate() + 7);
+      startOffset = 7 - today.dayOfWeek;
+      endOffset = startOffset + 7;
       rangeDescription = 'next week';
       break;
       
     case 'weekdays only':
     case 'weekdays':
       // For weekdays, we'll still use today but filter in the email generation
-      endDate.setDate(startDate.getDate() + 1);
       rangeDescription = 'today (weekdays only)';
       break;
-      
-    default:
-      endDate.setDate(startDate.getDate() + 1);
-      rangeDescription = 'today';
   }
   
   return {
-    startDate: startDate,
-    endDate: endDate,
-    description: rangeDescription
+    startDate: dayStart(startOffset),
+    endDate: dayStart(endOffset),
+    description: rangeDescription,
+    timezone: timezone,
+    runDate: formatLedgerDay(today)
   };
 }
 
 /**
  * Groups recipients by calendar ID and date range, fetches events in batches
+ *
+ * Once the tracker reports that the time budget is used up, the remaining
+ * groups are returned with deferred: true instead of being fetched.
+ *
  * @param {Object[]} recipients - Array of recipient objects
  * @param {ExecutionTracker} tracker - Execution tracker instance
  * @returns {Object} Calendar data grouped by calendar ID and date range
@@ -544,7 +1542,7 @@ function calculateDateRange(dateRange = 'today') {
 function fetchCalendarDataBatched(recipients, tracker) {
   // Filter recipients based on frequency preferences first
   const activeRecipients = recipients.filter(recipient => {
-    const shouldSend = shouldSendEmail(recipient.preferences.frequency || 'daily');
+    const shouldSend = shouldSendEmail(recipient.preferences.frequency || 'daily', recipient.preferences.timezone);
     if (!shouldSend) {
       Logger.log(`Skipping ${recipient.email} - frequency setting: ${recipient.preferences.frequency || 'daily'}`);
       return false;
@@ -558,7 +1556,7 @@ function fetchCalendarDataBatched(recipients, tracker) {
   const calendarGroups = {};
   
   activeRecipients.forEach(recipient => {
-    const dateRange = calculateDateRange(recipient.preferences.dateRange || 'today');
+    const dateRange = calculateDateRange(recipient.preferences.dateRange || 'today', recipient.preferences.timezone);
     const groupKey = `${recipient.calendarId}|${dateRange.startDate.getTime()}|${dateRange.endDate.getTime()}`;
     
     if (!calendarGroups[groupKey]) {
@@ -578,6 +1576,19 @@ function fetchCalendarDataBatched(recipients, tracker) {
     const group = calendarGroups[groupKey];
     const { calendarId, dateRange, recipients: recipientsForGroup } = group;
     
+    if (tracker.isNearTimeLimit()) {
+      calendarCache[groupKey] = {
+        calendar: null,
+        events: [],
+        recipients: recipientsForGroup,
+        dateRange: dateRange,
+        success: false,
+        deferred: true,
+        error: null
+      };
+      return;
+    }
+    
     try {
       // Fetch calendar object once per unique calendar ID with retry
       const targetCalendar = retryOperation(() => {
@@ -679,18 +1690,35 @@ function isRetryableError(error) {
   return retryablePatterns.some(pattern => pattern.test(error.message));
 }
 
+/**
+ * Default time budget per execution; leaves a minute of headroom below the
+ * 6-minute Apps Script limit for sending the admin report and checkpointing
+ */
+const DEFAULT_TIME_BUDGET_MS = 5 * 60 * 1000;
+
 /**
  * Tracks execution metrics and quota usage
  */
 class ExecutionTracker {
-  constructor() {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {number} options.timeBudgetMs - Elapsed time after which work should be checkpointed
+   */
+  constructor(options = {}) {
     this.startTime = new Date();
+    this.timeBudgetMs = options.timeBudgetMs || DEFAULT_TIME_BUDGET_MS;
+    this.previousSegments = [];
+    this.warnings = [];
     this.metrics = {
       calendarsProcessed: 0,
       eventsFound: 0,
       emailsSent: 0,
       emailsFailed: 0,
+      emailsSkipped: 0,
       retriesPerformed: 0,
+      duplicatesMerged: 0,
+      configCacheHits: 0,
+      configCacheMisses: 0,
       errors: []
     };
   }
@@ -699,7 +1727,9 @@ class ExecutionTracker {
   addEvents(count) { this.metrics.eventsFound += count; }
   incrementEmailsSent() { this.metrics.emailsSent++; }
   incrementEmailsFailed() { this.metrics.emailsFailed++; }
+  incrementEmailsSkipped() { this.metrics.emailsSkipped++; }
   incrementRetries() { this.metrics.retriesPerformed++; }
+  addDuplicatesMerged(count) { this.metrics.duplicatesMerged += count; }
   addError(error, context = '') {
     this.metrics.errors.push({
       message: error.message,
@@ -708,14 +1738,73 @@ class ExecutionTracker {
     });
   }
   
+  /**
+   * Records configuration cache usage for this execution
+   * @param {Object} stats - Stats from Config.getCacheStats()
+   */
+  recordConfigCacheStats(stats) {
+    this.metrics.configCacheHits = stats.memoryHits + stats.scriptCacheHits;
+    this.metrics.configCacheMisses = stats.misses;
+  }
+  
+  /**
+   * Records a problem that did not stop the run (e.g. a configuration issue)
+   * Each resumed segment reloads the configuration, so repeated warnings are kept once.
+   * @param {string} message - Warning text
+   * @param {string} context - Where the warning came from
+   */
+  addWarning(message, context = '') {
+    if (!this.warnings.some(warning => warning.message === message)) {
+      this.warnings.push({ message, context });
+    }
+  }
+  
   getExecutionTime() {
     return new Date() - this.startTime;
   }
   
-  getQuotaUsageEstimate() {
+  /**
+   * Whether this execution has used up its time budget and should checkpoint
+   * @returns {boolean} True when remaining work should be deferred
+   */
+  isNearTimeLimit() {
+    return this.getExecutionTime() >= this.timeBudgetMs;
+  }
+  
+  /**
+   * Includes earlier segments of a resumed run in the summary
+   * @param {Object[]} segments - Segment summaries from RunCheckpoint.summarizeSegment
+   */
+  mergeSegments(segments) {
+    this.previousSegments = segments || [];
+  }
+  
+  /**
+   * Metrics of this execution combined with earlier segments of the run
+   * @returns {Object} Combined metrics
+   */
+  getCombinedMetrics() {
+    if (this.previousSegments.length === 0) {
+      return this.metrics;
+    }
+    
+    const combined = { ...this.metrics, errors: [] };
+    this.previousSegments.forEach(segment => {
+      Object.keys(segment.metrics).forEach(key => {
+        if (typeof segment.metrics[key] === 'number') {
+          combined[key] = (combined[key] || 0) + segment.metrics[key];
+        }
+      });
+      combined.errors.push(...segment.metrics.errors);
+    });
+    combined.errors.push(...this.metrics.errors);
+    return combined;
+  }
+  
+  getQuotaUsageEstimate(metrics = this.metrics) {
     // Estimate based on Google Apps Script quotas
-    const calendarReads = this.metrics.calendarsProcessed * 2; // calendar + events
-    const emailSends = this.metrics.emailsSent + this.metrics.emailsFailed;
+    const calendarReads = metrics.calendarsProcessed * 2; // calendar + events
+    const emailSends = metrics.emailsSent + metrics.emailsFailed;
     const sheetReads = 1; // configuration read
     
     return {
@@ -727,15 +1816,21 @@ class ExecutionTracker {
   }
   
   getSummary() {
-    const executionTime = this.getExecutionTime();
-    const quotaUsage = this.getQuotaUsageEstimate();
+    const executionTime = this.previousSegments.reduce(
+      (total, segment) => total + segment.executionTimeMs,
+      this.getExecutionTime()
+    );
+    const metrics = this.getCombinedMetrics();
+    const quotaUsage = this.getQuotaUsageEstimate(metrics);
     
     return {
       executionTimeMs: executionTime,
       executionTimeFormatted: this.formatDuration(executionTime),
-      metrics: this.metrics,
+      metrics: metrics,
       quotaUsage: quotaUsage,
-      success: this.metrics.errors.length === 0 && this.metrics.emailsFailed === 0
+      segments: this.previousSegments.length + 1,
+      warnings: this.warnings,
+      success: metrics.errors.length === 0 && metrics.emailsFailed === 0
     };
   }
   
@@ -751,49 +1846,115 @@ class ExecutionTracker {
 
 /**
  * Sends emails in batches to optimize quota usage
+ *
+ * Emails carrying a ledgerKey are checked against the send ledger first, so a
+ * re-triggered run does not deliver the same summary twice. The check, send
+ * and ledger update hold the script lock, so overlapping runs (a manual run
+ * during the trigger, a continuation during the hourly dispatch) cannot both
+ * pass the check; an email whose lock does not come free in time is deferred.
+ *
  * @param {Object[]} emailQueue - Array of email objects to send
  * @param {ExecutionTracker} tracker - Execution tracker instance
+ * @param {Object} options - Sending options
+ * @param {SendLedger} options.ledger - Send ledger to consult and update (optional)
+ * @param {boolean} options.forceResend - Send even if the ledger has an entry (default: false)
+ * @param {Function} options.onResult - Called with (emailData, outcome, errorMessage) for each email; outcome is "sent", "skipped" or "failed" (optional)
+ * @returns {Object[]} Emails not sent because the execution time budget ran out or another run held the lock
  */
-function sendEmailsBatched(emailQueue, tracker) {
+function sendEmailsBatched(emailQueue, tracker, options = {}) {
+  requireScriptOwner('send email', true);
+  
   const BATCH_SIZE = 10; // Gmail API allows up to 100 recipients per call, we'll use smaller batches
   const DELAY_BETWEEN_BATCHES = 100; // milliseconds
+  const LOCK_TIMEOUT = 30000; // milliseconds to wait for another run's send to finish
+  const ledger = options.ledger || null;
+  const onResult = options.onResult || (() => {});
   
   Logger.log(`Sending ${emailQueue.length} emails in batches of ${BATCH_SIZE}...`);
   
-  for (let i = 0; i < emailQueue.length; i += BATCH_SIZE) {
-    const batch = emailQueue.slice(i, i + BATCH_SIZE);
+  // Records a delivered summary; ledger failures must not turn a sent email into a failure
+  const recordSent = (emailData) => {
+    if (!ledger || !emailData.ledgerKey) return;
+    try {
+      ledger.recordSent(emailData.ledgerKey);
+    } catch (e) {
+      Logger.log(`WARNING: Could not record ${emailData.to} in send ledger: ${e.message}`);
+    }
+  };
+  
+  // Checks the ledger, sends and records one email
+  const sendOne = (emailData) => {
+    if (ledger && emailData.ledgerKey && !options.forceResend && ledger.hasSent(emailData.ledgerKey)) {
+      tracker.incrementEmailsSkipped();
+      Logger.log(`Skipping ${emailData.to} - summary already sent at ${ledger.getSentAt(emailData.ledgerKey).toLocaleString()}`);
+      onResult(emailData, 'skipped');
+      return;
+    }
     
-    batch.forEach(emailData => {
+    try {
+      retryOperation(() => {
+        GmailApp.sendEmail(
+          emailData.to,
+          emailData.subject,
+          emailData.body,
+          emailData.options || {}
+        );
+      });
+      tracker.incrementEmailsSent();
+      recordSent(emailData);
+      onResult(emailData, 'sent');
+      Logger.log(`Email sent successfully to ${emailData.to}`);
+    } catch (e) {
+      tracker.addError(e, `Sending email to ${emailData.to}`);
+      Logger.log(`ERROR: Failed to send email to ${emailData.to} after retries. Error: ${e.message}`);
+      // Fall back to MailApp for individual failures
       try {
+        const fallbackMessage = {
+          to: emailData.to,
+          subject: emailData.subject,
+          body: emailData.body
+        };
+        if (emailData.options && emailData.options.htmlBody) {
+          fallbackMessage.htmlBody = emailData.options.htmlBody;
+        }
         retryOperation(() => {
-          GmailApp.sendEmail(
-            emailData.to,
-            emailData.subject,
-            emailData.body,
-            emailData.options || {}
-          );
+          MailApp.sendEmail(fallbackMessage);
         });
         tracker.incrementEmailsSent();
-        Logger.log(`Email sent successfully to ${emailData.to}`);
-      } catch (e) {
-        tracker.addError(e, `Sending email to ${emailData.to}`);
-        Logger.log(`ERROR: Failed to send email to ${emailData.to} after retries. Error: ${e.message}`);
-        // Fall back to MailApp for individual failures
-        try {
-          retryOperation(() => {
-            MailApp.sendEmail({
-              to: emailData.to,
-              subject: emailData.subject,
-              body: emailData.body
-            });
-          });
-          tracker.incrementEmailsSent();
-          Logger.log(`Email sent successfully to ${emailData.to} via MailApp fallback`);
-        } catch (fallbackError) {
-          tracker.incrementEmailsFailed();
-          tracker.addError(fallbackError, `Fallback email to ${emailData.to}`);
-          Logger.log(`ERROR: Both GmailApp and MailApp failed for ${emailData.to} after retries. Error: ${fallbackError.message}`);
-        }
+        recordSent(emailData);
+        onResult(emailData, 'sent');
+        Logger.log(`Email sent successfully to ${emailData.to} via MailApp fallback`);
+      } catch (fallbackError) {
+        tracker.incrementEmailsFailed();
+        tracker.addError(fallbackError, `Fallback email to ${emailData.to}`);
+        onResult(emailData, 'failed', fallbackError.message);
+        Logger.log(`ERROR: Both GmailApp and MailApp failed for ${emailData.to} after retries. Error: ${fallbackError.message}`);
+      }
+    }
+  };
+  
+  const deferred = [];
+  
+  for (let i = 0; i < emailQueue.length; i += BATCH_SIZE) {
+    if (tracker.isNearTimeLimit()) {
+      deferred.push(...emailQueue.slice(i));
+      Logger.log(`Execution time budget reached, deferring ${emailQueue.length - i} emails`);
+      break;
+    }
+    
+    const batch = emailQueue.slice(i, i + BATCH_SIZE);
+    
+    batch.forEach(emailData => {
+      const lock = ledger && emailData.ledgerKey && !options.forceResend ? LockService.getScriptLock() : null;
+      if (lock && !lock.tryLock(LOCK_TIMEOUT)) {
+        deferred.push(emailData);
+        Logger.log(`WARNING: Another run is sending summaries, deferring ${emailData.to}`);
+        return;
+      }
+      try {
+        sendOne(emailData);
+      } finally {
+        if (lock) lock.releaseLock();
       }
     });
     
@@ -802,6 +1963,8 @@ function sendEmailsBatched(emailQueue, tracker) {
       Utilities.sleep(DELAY_BETWEEN_BATCHES);
     }
   }
+  
+  return deferred;
 }
 
 /**
@@ -814,14 +1977,21 @@ function generateAdminSummary(summary) {
   
   let emailBody = `Daily Calendar Summary Script - Execution Report\n\n`;
   emailBody += `Status: ${success ? '✅ SUCCESS' : '❌ FAILED'}\n`;
-  emailBody += `Execution Time: ${executionTimeFormatted}\n\n`;
+  emailBody += `Execution Time: ${executionTimeFormatted}\n`;
+  if (summary.segments > 1) {
+    emailBody += `Segments: ${summary.segments} (resumed after reaching the execution time limit)\n`;
+  }
+  emailBody += `\n`;
   
   emailBody += `📊 METRICS:\n`;
   emailBody += `• Calendars Processed: ${metrics.calendarsProcessed}\n`;
   emailBody += `• Events Found: ${metrics.eventsFound}\n`;
   emailBody += `• Emails Sent: ${metrics.emailsSent}\n`;
   emailBody += `• Email Failures: ${metrics.emailsFailed}\n`;
-  emailBody += `• Retries Performed: ${metrics.retriesPerformed}\n\n`;
+  emailBody += `• Emails Skipped (already sent): ${metrics.emailsSkipped}\n`;
+  emailBody += `• Retries Performed: ${metrics.retriesPerformed}\n`;
+  emailBody += `• Duplicate Events Merged: ${metrics.duplicatesMerged || 0}\n`;
+  emailBody += `• Config Cache: ${metrics.configCacheHits || 0} hits, ${metrics.configCacheMisses || 0} misses\n\n`;
   
   emailBody += `🔧 QUOTA USAGE ESTIMATE:\n`;
   emailBody += `• Calendar API Reads: ${quotaUsage.calendarReads}\n`;
@@ -829,6 +1999,15 @@ function generateAdminSummary(summary) {
   emailBody += `• Sheet Reads: ${quotaUsage.sheetReads}\n`;
   emailBody += `• Total API Calls: ${quotaUsage.totalApiCalls}\n\n`;
   
+  const warnings = summary.warnings || [];
+  if (warnings.length > 0) {
+    emailBody += `⚠️ WARNINGS (${warnings.length}):\n`;
+    warnings.forEach((warning, index) => {
+      emailBody += `${index + 1}. [${warning.context}] ${warning.message}\n`;
+    });
+    emailBody += `\n`;
+  }
+  
   if (metrics.errors.length > 0) {
     emailBody += `🚨 ERRORS (${metrics.errors.length}):\n`;
     metrics.errors.forEach((error, index) => {
@@ -841,12 +2020,70 @@ function generateAdminSummary(summary) {
   return emailBody;
 }
 
-function sendDailyEventSummary() {
+/**
+ * Sends the daily event summaries to all configured recipients
+ *
+ * Summaries already recorded in the send ledger for the same date range are
+ * skipped, so the function is safe to re-run. When invoked by a trigger the
+ * argument is the trigger event object and is otherwise ignored.
+ *
+ * If the execution time budget runs out, unfinished recipients are saved in a
+ * checkpoint and a continuation trigger resumes the run. The admin report is
+ * sent once, by the segment that completes the run, and covers all segments.
+ *
+ * @param {Object} options - Run options
+ * @param {boolean} options.forceResend - Resend summaries already in the send ledger (default: false)
+ * @param {boolean} options.resume - Continue the checkpointed run (used by resumeDailyEventSummary)
+ * @param {boolean} options.dispatch - Only send to recipients whose send hour has come and who have not had their summary yet,
+ *   and only email the admin report when the run fails (used by dispatchHourlySummaries)
+ */
+function sendDailyEventSummary(options = {}) {
+  requireScriptOwner('send summaries', true);
   // Initialize execution tracker
   const tracker = new ExecutionTracker();
+  const resume = Boolean(options && options.resume === true);
+  const dispatch = Boolean(options && options.dispatch === true) && !resume;
+  // Hourly dispatch runs (and their continuations) only email the admin report when something failed
+  let reportOnlyFailures = dispatch;
+  let carriedOver = [];
+  let forceResend = Boolean(options && options.forceResend === true);
+  let ledger = null;
+  let checkpointStore = null;
+  let checkpoint = null;
+  let pendingEmails = [];
   
   Logger.log(`Script started at ${new Date().toLocaleString()}`);
 
+  try {
+    checkpointStore = new RunCheckpoint();
+    checkpoint = checkpointStore.load();
+  } catch (e) {
+    Logger.log(`WARNING: Run checkpoint unavailable, long runs cannot be resumed. Error: ${e.message}`);
+  }
+
+  if (resume) {
+    if (!checkpoint) {
+      Logger.log("No interrupted run to resume.");
+      return;
+    }
+    tracker.mergeSegments(checkpoint.segments);
+    forceResend = checkpoint.forceResend;
+    reportOnlyFailures = Boolean(checkpoint.dispatch);
+    Logger.log(`Resuming run ${checkpoint.runId} (segment ${checkpoint.segments.length + 1}) with ${checkpoint.pendingEmails.length} pending recipients`);
+  } else if (checkpoint) {
+    // A new run supersedes an interrupted one; the send ledger prevents duplicates
+    Logger.log(`WARNING: Discarding unfinished run ${checkpoint.runId} with ${checkpoint.pendingEmails.length} pending recipients`);
+    // Their send hour has passed, so hourly dispatch takes them along instead of waiting until tomorrow
+    carriedOver = checkpoint.pendingEmails;
+    checkpointStore.clear();
+    try {
+      deleteContinuationTriggers();
+    } catch (e) {
+      Logger.log(`WARNING: Could not delete continuation triggers. Error: ${e.message}`);
+    }
+    checkpoint = null;
+  }
+
   try {
     // Load configuration
     const config = loadConfiguration();
@@ -855,13 +2092,76 @@ function sendDailyEventSummary() {
       Logger.log("Failed to load configuration. Stopping execution.");
       return;
     }
+    config.warnings.forEach(warning => tracker.addWarning(warning, "Configuration"));
+    config.errors.forEach(message => tracker.addError(new Error(message), "Configuration"));
+
+    try {
+      ledger = new SendLedger();
+    } catch (e) {
+      tracker.addError(e, "Send ledger");
+      Logger.log(`WARNING: Send ledger unavailable, duplicate protection disabled. Error: ${e.message}`);
+    }
+
+    // Only pick up recipients left over from the interrupted segment
+    let recipients = config.recipients;
+    if (checkpoint) {
+      const pending = new Set(checkpoint.pendingEmails);
+      recipients = recipients.filter(recipient => pending.has(recipient.email));
+    }
+
+    // Hourly dispatch: only recipients whose send hour has come in their timezone
+    if (dispatch) {
+      const defaultSendHour = Config.get('SEND_HOUR');
+      const due = new Set(carriedOver);
+      selectDueRecipients(recipients, new Date(), defaultSendHour, ledger).forEach(recipient => due.add(recipient.email));
+      recipients = recipients.filter(recipient => due.has(recipient.email));
+      if (recipients.length > 0) {
+        Logger.log(`Dispatching summaries to ${due.size} recipients due this hour`);
+      }
+    }
+
+    // Rows this run does not process (not due, or done by an earlier segment) keep their last outcome
+    const rowResults = config.rowResults;
+    const processed = new Set(recipients);
+    rowResults.keepPreviousOutcome(config.recipients.filter(recipient => !processed.has(recipient)).map(recipient => recipient.row));
+    const writeRowResults = () => {
+      try {
+        rowResults.write();
+      } catch (e) {
+        tracker.addWarning(`Could not write row results to "${config.sheetName}": ${e.message}`, "Configuration");
+      }
+    };
+
+    if (dispatch && recipients.length === 0) {
+      Logger.log("No recipients due this hour.");
+      // Validation results are still written, so sheet problems show up without waiting for a due row
+      writeRowResults();
+      return;
+    }
 
     // Fetch calendar data in batches (now handles different date ranges per recipient)
-    const calendarData = fetchCalendarDataBatched(config.recipients, tracker);
+    const calendarData = fetchCalendarDataBatched(recipients, tracker);
+
+    // Recipients missing from every group were skipped by their frequency setting
+    const fetchedRecipients = new Set();
+    Object.keys(calendarData).forEach(groupKey => calendarData[groupKey].recipients.forEach(recipient => fetchedRecipients.add(recipient)));
+    recipients
+      .filter(recipient => !fetchedRecipients.has(recipient))
+      .forEach(recipient => rowResults.record(recipient.row, `⏭️ Skipped - frequency: ${recipient.preferences.frequency || 'daily'}`));
+
+    // Sheet rows per recipient, for results that apply to the whole email
+    const rowsByEmail = {};
+    recipients.forEach(recipient => {
+      rowsByEmail[recipient.email] = rowsByEmail[recipient.email] || [];
+      rowsByEmail[recipient.email].push(recipient.row);
+    });
 
     // Build email queue for batch sending
     const emailQueue = [];
 
+    // Recipients whose calendars were not fetched before the time budget ran out
+    const deferredEmails = new Set();
+
     // Group calendar data by recipient email to consolidate multiple calendars
     const recipientData = {};
     
@@ -869,6 +2169,12 @@ function sendDailyEventSummary() {
       const data = calendarData[groupKey];
       
       data.recipients.forEach(recipient => {
+        if (data.deferred) {
+          deferredEmails.add(recipient.email);
+          rowResults.record(recipient.row, '⏳ Deferred to the continuation run');
+          return;
+        }
+        
         if (!recipientData[recipient.email]) {
           recipientData[recipient.email] = {
             recipient: recipient,
@@ -883,9 +2189,12 @@ function sendDailyEventSummary() {
           recipientData[recipient.email].calendars.push({
             calendar: data.calendar,
             events: data.events,
-            success: true
+            success: true,
+            row: recipient.row,
+            calendarIndex: recipient.calendarIndex
           });
         } else {
+          rowResults.record(recipient.row, `${ROW_RESULT_PROBLEM} ${data.error}`);
           recipientData[recipient.email].hasErrors = true;
           recipientData[recipient.email].errors.push({
             calendarId: data.calendar ? data.calendar.getName() : 'Unknown',
@@ -896,35 +2205,51 @@ function sendDailyEventSummary() {
     });
 
     // Process consolidated recipient data
+    const duplicateWinner = Config.get('DUPLICATE_EVENT_WINNER');
     Object.keys(recipientData).forEach(recipientEmail => {
       const data = recipientData[recipientEmail];
       
+      if (deferredEmails.has(recipientEmail)) {
+        // Some of this recipient's calendars were deferred; process them all in the next segment
+        return;
+      }
+      
       if (data.hasErrors && data.calendars.length === 0) {
         // All calendars failed
         emailQueue.push({
           to: recipientEmail,
           subject: `Calendar Summary Error: Calendars Not Found`,
-          body: `Hello ${recipientEmail.split('@')[0]},\n\nYour daily calendar summary could not be generated because calendars were not found or accessible. Please check the Calendar IDs in the configuration sheet.\n\nErrors: ${data.errors.map(e => e.error).join(', ')}`
+          body: `Hello ${recipientEmail.split('@')[0]},\n\nYour daily calendar summary could not be generated because calendars were not found or accessible. Please check the Calendar IDs in the configuration sheet.\n\nErrors: ${data.errors.map(e => e.error).join(', ')}`,
+          // Once per date range; hourly dispatch keeps retrying the summary itself until the calendars open
+          ledgerKey: SendLedger.buildKey(`error:${recipientEmail}`, data.dateRange)
         });
         Logger.log(`ERROR: Queued error notification for ${recipientEmail}`);
         return;
       }
 
-      // Consolidate events from all successful calendars
-      let allEvents = [];
-      const calendarNames = [];
-      
-      data.calendars.forEach(calData => {
-        allEvents.push(...calData.events);
-        calendarNames.push(calData.calendar.getName());
-      });
+      // Consolidate events from all successful calendars, keeping each calendar's name and color.
+      // Calendars are fetched in shared groups, so restore the sheet order that decides which copy of an event wins.
+      data.calendars.sort((a, b) => a.row - b.row || a.calendarIndex - b.calendarIndex);
+      const merged = mergeCalendarEvents(data.calendars, duplicateWinner, recipientEmail);
+      let allEvents = merged.events;
+      const calendarNames = merged.calendars.map(calendar => calendar.name);
+      if (merged.duplicates > 0) {
+        tracker.addDuplicatesMerged(merged.duplicates);
+        Logger.log(`Merged ${merged.duplicates} duplicate events shared between calendars for ${recipientEmail} (keeping the ${duplicateWinner} copy)`);
+      }
       
-      // Apply event filtering if keywords are specified
-      if (data.recipient.preferences.filterKeywords) {
+      // Apply event filtering if a filter query (or keyword list) is specified
+      const eventFilter = data.recipient.preferences.filterQuery || data.recipient.preferences.filterKeywords;
+      if (eventFilter) {
         const originalCount = allEvents.length;
-        allEvents = filterEventsByKeywords(allEvents, data.recipient.preferences.filterKeywords);
+        allEvents = filterEventsByKeywords(allEvents, eventFilter);
         Logger.log(`Applied keyword filtering for ${recipientEmail}: ${originalCount} -> ${allEvents.length} events`);
       }
+      if (data.recipient.preferences.eventFilters) {
+        const originalCount = allEvents.length;
+        allEvents = filterEventsByAttributes(allEvents, data.recipient.preferences.eventFilters, recipientEmail);
+        Logger.log(`Applied event filters for ${recipientEmail}: ${originalCount} -> ${allEvents.length} events`);
+      }
       
       // Sort events by start time
       allEvents.sort((a, b) => a.getStartTime() - b.getStartTime());
@@ -940,21 +2265,31 @@ function sendDailyEventSummary() {
         calendarDisplayName, 
         allEvents, 
         data.recipient.preferences || {},
-        data.dateRange
+        data.dateRange,
+        {
+          template: config.templates[data.recipient.preferences.template],
+          eventSources: merged.eventSources,
+          calendars: merged.calendars
+        }
       );
 
-      // Create dynamic subject based on date range
+      // Create dynamic subject based on date range, unless the template defines one
       let subject = "Your Events for the Day";
-      if (data.dateRange.description !== 'today') {
+      if (emailContent.subject) {
+        subject = emailContent.subject;
+      } else if (data.dateRange.description !== 'today') {
         subject = `Your Events ${data.dateRange.description.charAt(0).toUpperCase() + data.dateRange.description.slice(1)}`;
       }
 
-      emailQueue.push({
-        to: recipientEmail,
-        subject: subject,
-        body: emailContent.textBody,
-        options: {}
-      });
+      const message = buildEmailMessage(
+        recipientEmail,
+        subject,
+        emailContent,
+        data.recipient.preferences.emailFormat
+      );
+      message.ledgerKey = SendLedger.buildKey(recipientEmail, data.dateRange);
+      message.rows = rowsByEmail[recipientEmail];
+      emailQueue.push(message);
       
       // Log any partial errors
       if (data.hasErrors) {
@@ -964,20 +2299,83 @@ function sendDailyEventSummary() {
 
     // Send all emails in batches
     if (emailQueue.length > 0) {
-      sendEmailsBatched(emailQueue, tracker);
+      const unsent = sendEmailsBatched(emailQueue, tracker, {
+        ledger: ledger,
+        forceResend: forceResend,
+        onResult: (emailData, outcome, errorMessage) => {
+          // Error notices have no rows; their rows already carry the calendar errors
+          if (!emailData.rows) return;
+          if (outcome === 'sent') {
+            rowResults.record(emailData.rows, '✅ Sent');
+            rowResults.markSent(emailData.rows);
+          } else if (outcome === 'skipped') {
+            rowResults.record(emailData.rows, '✅ Already sent');
+          } else {
+            rowResults.record(emailData.rows, `${ROW_RESULT_PROBLEM} Send failed: ${errorMessage}`);
+          }
+        }
+      }) || [];
+      unsent.forEach(emailData => {
+        deferredEmails.add(emailData.to);
+        rowResults.record(emailData.rows, '⏳ Deferred to the continuation run');
+      });
     } else {
       Logger.log("No emails to send.");
     }
 
+    pendingEmails = Array.from(deferredEmails);
+
+    writeRowResults();
+
+    if (ledger && pendingEmails.length === 0) {
+      try {
+        ledger.prune(Config.get('SEND_LEDGER_RETENTION_DAYS'));
+      } catch (e) {
+        Logger.log(`WARNING: Failed to prune send ledger. Error: ${e.message}`);
+      }
+    }
+
   } catch (error) {
     tracker.addError(error, "Main execution");
     Logger.log(`CRITICAL ERROR in main execution: ${error.message}`);
   }
 
+  tracker.recordConfigCacheStats(Config.getCacheStats());
+
+  // Checkpoint unfinished work and hand over to a continuation trigger
+  if (pendingEmails.length > 0) {
+    try {
+      checkpointStore.save({
+        runId: checkpoint ? checkpoint.runId : tracker.startTime.toISOString(),
+        forceResend: forceResend,
+        dispatch: reportOnlyFailures,
+        pendingEmails: pendingEmails,
+        segments: [...tracker.previousSegments, RunCheckpoint.summarizeSegment(tracker)]
+      });
+      scheduleContinuation();
+      Logger.log(`Execution time budget reached after ${tracker.formatDuration(tracker.getExecutionTime())}. ${pendingEmails.length} recipients will be processed by the continuation run.`);
+      return;
+    } catch (e) {
+      tracker.addError(e, "Checkpointing");
+      tracker.addError(new Error(`${pendingEmails.length} recipients were not processed: ${pendingEmails.join(', ')}`), "Checkpointing");
+      Logger.log(`ERROR: Could not checkpoint unfinished run. Error: ${e.message}`);
+    }
+  } else if (checkpoint) {
+    checkpointStore.clear();
+    Logger.log(`Run ${checkpoint.runId} completed after ${checkpoint.segments.length + 1} segments.`);
+  }
+
   // Generate and send admin summary
   const summary = tracker.getSummary();
   const adminSummaryBody = generateAdminSummary(summary);
   
+  if (reportOnlyFailures && summary.success) {
+    // Up to 24 dispatch runs a day; the execution log keeps the report
+    Logger.log(adminSummaryBody);
+    Logger.log(`Script finished execution in ${summary.executionTimeFormatted}. Processed ${summary.metrics.calendarsProcessed} calendars, sent ${summary.metrics.emailsSent} emails.`);
+    return;
+  }
+  
   try {
     MailApp.sendEmail({
       to: Session.getActiveUser().getEmail(),
@@ -991,3 +2389,125 @@ function sendDailyEventSummary() {
 
   Logger.log(`Script finished execution in ${summary.executionTimeFormatted}. Processed ${summary.metrics.calendarsProcessed} calendars, sent ${summary.metrics.emailsSent} emails.`);
 }
+
+/**
+ * Selects recipients whose send hour has come in their timezone
+ * With a ledger, a recipient stays due for the rest of their day until their
+ * summary is recorded, so hours skipped by a daylight saving change or a
+ * missed trigger catch up. Without one only the exact send hour is due, so no
+ * summary goes out twice. Recipients whose Frequency skips today are never due.
+ * @param {Object[]} recipients - Array of recipient objects
+ * @param {Date} now - Current time
+ * @param {number} defaultSendHour - Hour for recipients without a "Send Time"
+ * @param {SendLedger} ledger - Send ledger (optional)
+ * @returns {Object[]} Recipients due now
+ */
+function selectDueRecipients(recipients, now = new Date(), defaultSendHour = DEFAULT_SEND_HOUR, ledger = null) {
+  return recipients.filter(recipient => {
+    const preferences = recipient.preferences || {};
+    const sendHour = preferences.sendHour !== undefined ? preferences.sendHour : defaultSendHour;
+    if (!shouldSendEmail(preferences.frequency || 'daily', preferences.timezone, now)) {
+      return false;
+    }
+    const hour = getZonedDateParts(now, preferences.timezone).hour;
+    if (!ledger) {
+      return hour === sendHour;
+    }
+    if (hour < sendHour) {
+      return false;
+    }
+    const dateRange = calculateDateRange(preferences.dateRange || 'today', preferences.timezone, now);
+    return !ledger.hasSent(SendLedger.buildKey(recipient.email, dateRange));
+  });
+}
+
+/**
+ * Sends summaries to recipients whose send hour has come in their own timezone
+ * Run every hour by the trigger from installHourlyDispatchTrigger(). The admin
+ * report is only emailed for runs with errors; other runs log it.
+ */
+function dispatchHourlySummaries() {
+  sendDailyEventSummary({ dispatch: true });
+}
+
+/**
+ * Re-sends today's summaries even to recipients who already received them
+ * Use after fixing a template or calendar problem that produced bad summaries
+ */
+function forceResendDailyEventSummary() {
+  sendDailyEventSummary({ forceResend: true });
+}
+
+/**
+ * Checks that the script can open a calendar
+ * @param {string} calendarId - Calendar ID
+ * @returns {string|null} Problem description, or null if the calendar opened
+ */
+function checkCalendarAccess(calendarId) {
+  try {
+    if (!CalendarApp.getCalendarById(calendarId)) {
+      return `Calendar "${calendarId}" not found or not shared with ${Session.getEffectiveUser().getEmail()}`;
+    }
+    return null;
+  } catch (e) {
+    return `Could not open calendar "${calendarId}": ${e.message}`;
+  }
+}
+
+/**
+ * Validates the configuration sheet without sending any email
+ *
+ * Every row is parsed and validated as in a real run; unless checkCalendars
+ * is false, each calendar is also opened once with CalendarApp. Outcomes are
+ * written to the "Last Result" column.
+ *
+ * @param {Object} options - Validation options
+ * @param {boolean} options.checkCalendars - Check that each calendar exists and is accessible (default: true)
+ * @returns {Object|null} { recipients, calendarErrors: calendar ID -> problem, warnings, errors: skipped rows }, or null if the sheet could not be loaded
+ */
+function validateConfigSheet(options = {}) {
+  requireScriptOwner('change its config sheet');
+  const checkCalendars = !(options && options.checkCalendars === false);
+  const config = loadConfiguration();
+  if (!config) {
+    Logger.log("❌ Configuration sheet could not be loaded");
+    return null;
+  }
+
+  const calendarErrors = {};
+  const rowErrors = {};
+  config.recipients.forEach(recipient => {
+    if (checkCalendars && !(recipient.calendarId in calendarErrors)) {
+      calendarErrors[recipient.calendarId] = checkCalendarAccess(recipient.calendarId);
+    }
+    rowErrors[recipient.row] = rowErrors[recipient.row] || [];
+    if (calendarErrors[recipient.calendarId]) {
+      rowErrors[recipient.row].push(calendarErrors[recipient.calendarId]);
+    }
+  });
+
+  Object.keys(rowErrors).forEach(row => {
+    if (rowErrors[row].length > 0) {
+      rowErrors[row].forEach(error => config.rowResults.record(Number(row), `${ROW_RESULT_PROBLEM} ${error}`));
+    } else {
+      config.rowResults.record(Number(row), checkCalendars ? '✅ Valid, calendars accessible' : '✅ Valid');
+    }
+  });
+
+  try {
+    config.rowResults.write();
+  } catch (e) {
+    Logger.log(`WARNING: Could not write validation results to "${config.sheetName}": ${e.message}`);
+  }
+
+  const problems = Object.keys(calendarErrors).filter(calendarId => calendarErrors[calendarId]);
+  problems.forEach(calendarId => Logger.log(`❌ ${calendarErrors[calendarId]}`));
+  Logger.log(`${problems.length === 0 ? '✅' : '⚠️'} Validated ${config.recipients.length} recipient calendars: ${problems.length} inaccessible, ${config.errors.length} rows skipped, ${config.warnings.length} warnings`);
+
+  return {
+    recipients: config.recipients,
+    calendarErrors: calendarErrors,
+    warnings: config.warnings,
+    errors: config.errors
+  };
+}
@@ -7,10 +7,216 @@
  * NEVER hardcode sensitive information like spreadsheet IDs in source code.
  */
 
+const SECRET_MANAGER_API = 'https://secretmanager.googleapis.com/v1';
+const SECRET_VERSION_PROPERTY_PREFIX = 'SECRET_MANAGER_VERSION_';
+
+/**
+ * Configuration cache lifetimes in seconds
+ * Values are cached in memory for the execution and in the shared script cache
+ * across executions; keys not listed use the default.
+ */
+const CONFIG_CACHE_DEFAULT_TTL_SECONDS = 5 * 60;
+const CONFIG_CACHE_TTL_SECONDS = {
+  SPREADSHEET_ID: 60 * 60,
+  CONFIG_SHEET_NAME: 60 * 60,
+  TEMPLATES_SHEET_NAME: 60 * 60,
+  GOOGLE_CLOUD_PROJECT_ID: 60 * 60
+};
+const CONFIG_CACHE_GENERATION_KEY = 'config_generation';
+const SCRIPT_CACHE_MAX_TTL_SECONDS = 6 * 60 * 60;
+
+/**
+ * Environment profiles
+ * With ACTIVE_PROFILE set (e.g. "dev"), each key is first read from
+ * PROFILE_DEV__<key> and falls back to the shared <key> when not overridden.
+ */
+const ACTIVE_PROFILE_KEY = 'ACTIVE_PROFILE';
+const PROFILE_PROPERTY_PREFIX = 'PROFILE_';
+const PROFILE_KEY_SEPARATOR = '__';
+
+/**
+ * Configuration schema
+ *
+ * Declares every configuration key the script reads:
+ *   type        - 'string', 'integer', 'boolean' or 'email'; values are coerced on get
+ *   default     - Used when the key is not configured
+ *   allowed     - Permitted values; min/max bound integers; pattern constrains strings
+ *   required    - Must be configured for validateConfiguration to pass
+ *   secret      - Masked in getAllConfiguration and the configuration report, and
+ *                 the only keys read from Secret Manager; others come from Properties
+ *   description - Shown in the configuration report
+ *
+ * Keys outside the schema (e.g. SECRET_MANAGER_VERSION_<key>) are read and
+ * written as plain strings.
+ */
+const CONFIG_SCHEMA = {
+  ACTIVE_PROFILE: {
+    type: 'string',
+    pattern: /^[A-Za-z0-9-]+$/,
+    description: 'Environment profile (e.g. dev, staging, prod) whose overrides are used; shared values apply when not set'
+  },
+  SPREADSHEET_ID: {
+    type: 'string',
+    required: true,
+    secret: true,
+    description: 'ID of the spreadsheet holding the recipient configuration'
+  },
+  CONFIG_SHEET_NAME: {
+    type: 'string',
+    default: 'Config',
+    required: true,
+    description: 'Sheet tab with one row per recipient'
+  },
+  TEMPLATES_SHEET_NAME: {
+    type: 'string',
+    default: 'Templates',
+    description: 'Sheet tab with custom email templates'
+  },
+  GOOGLE_CLOUD_PROJECT_ID: {
+    type: 'string',
+    secret: true,
+    description: 'Cloud project to read Secret Manager secrets from'
+  },
+  ADMIN_EMAIL_OVERRIDE: {
+    type: 'email',
+    description: 'Address that receives admin reports instead of the script owner'
+  },
+  SEND_HOUR: {
+    type: 'integer',
+    default: 7,
+    min: 0,
+    max: 23,
+    description: 'Hour of day (0-23) the daily trigger runs, and the default recipient send time'
+  },
+  CONFIG_HEADER_ALIASES: {
+    type: 'string',
+    description: 'Extra Config tab header names, e.g. "Recipient Email: Mail, Addressee; Calendar ID: Cal"'
+  },
+  SEND_LEDGER_RETENTION_DAYS: {
+    type: 'integer',
+    default: 14,
+    min: 1,
+    description: 'Days of send history kept at most to prevent duplicate emails; entries also go once their day or date range has ended'
+  },
+  DUPLICATE_EVENT_WINNER: {
+    type: 'string',
+    default: 'first',
+    allowed: ['first', 'last', 'owned'],
+    description: 'Which copy of an event on several of a recipient\'s calendars is shown: first or last calendar listed, or owned (the copy the recipient created, else the first)'
+  }
+};
+
+/**
+ * Parses a stored configuration value according to CONFIG_SCHEMA
+ * @param {string} key - Configuration key
+ * @param {*} raw - Stored (or new) value
+ * @returns {Object} { value, error } - error is set when the value does not match the schema
+ */
+function parseConfigValue(key, raw) {
+  const definition = CONFIG_SCHEMA[key];
+  if (!definition) {
+    return { value: raw, error: null };
+  }
+  
+  const text = String(raw).trim();
+  let value = text;
+  
+  switch (definition.type) {
+    case 'integer':
+      if (!/^-?\d+$/.test(text)) {
+        return { value: null, error: `${key} must be a whole number, got "${raw}"` };
+      }
+      value = parseInt(text, 10);
+      if ((definition.min !== undefined && value < definition.min) || (definition.max !== undefined && value > definition.max)) {
+        const range = definition.max !== undefined ? `${definition.min} to ${definition.max}` : `at least ${definition.min}`;
+        return { value: null, error: `${key} must be ${range}, got ${value}` };
+      }
+      break;
+    case 'boolean':
+      if (!['true', 'false', 'yes', 'no'].includes(text.toLowerCase())) {
+        return { value: null, error: `${key} must be true or false, got "${raw}"` };
+      }
+      value = ['true', 'yes'].includes(text.toLowerCase());
+      break;
+    case 'email':
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+        return { value: null, error: `${key} must be an email address, got "${raw}"` };
+      }
+      break;
+  }
+  
+  if (definition.pattern && !definition.pattern.test(text)) {
+    return { value: null, error: `${key} has an invalid format, got "${raw}"` };
+  }
+  
+  if (definition.allowed && !definition.allowed.includes(value)) {
+    return { value: null, error: `${key} must be one of ${definition.allowed.join(', ')}, got "${raw}"` };
+  }
+  
+  return { value, error: null };
+}
+
+/**
+ * Builds the property key holding a profile's override of a configuration key
+ * @param {string} profile - Profile name, e.g. "dev"
+ * @param {string} key - Configuration key, e.g. "SPREADSHEET_ID"
+ * @returns {string} Profile key, e.g. "PROFILE_DEV__SPREADSHEET_ID"
+ */
+function getProfileKey(profile, key) {
+  return `${PROFILE_PROPERTY_PREFIX}${profile.toUpperCase()}${PROFILE_KEY_SEPARATOR}${key}`;
+}
+
+/**
+ * Gets the configuration key a (possibly profile-specific) property key refers to
+ * @param {string} key - Property key, e.g. "PROFILE_DEV__SPREADSHEET_ID"
+ * @returns {string} Configuration key, e.g. "SPREADSHEET_ID"
+ */
+function getBaseConfigKey(key) {
+  const match = key.match(/^PROFILE_[A-Z0-9-]+__(.+)$/);
+  return match ? match[1] : key;
+}
+
+/**
+ * Checks whether a key is read from Secret Manager
+ * Only keys the schema marks secret (and their profile overrides) are, so other
+ * keys do not cost a Secret Manager request on every execution.
+ * @param {string} key - Configuration key, e.g. "SPREADSHEET_ID" or "PROFILE_DEV__SPREADSHEET_ID"
+ * @returns {boolean} True for secret keys
+ */
+function isSecretConfigKey(key) {
+  const definition = CONFIG_SCHEMA[getBaseConfigKey(key)];
+  return Boolean(definition && definition.secret);
+}
+
+/**
+ * Masks a secret configuration value for display
+ * @param {*} value - Configuration value
+ * @returns {string} First characters followed by "..."
+ */
+function maskConfigValue(value) {
+  const text = String(value);
+  return text.length > 8 ? `${text.substring(0, 8)}...` : '***';
+}
+
 class ConfigurationManager {
-  constructor() {
+  /**
+   * @param {Object} options - Optional overrides
+   * @param {Function} options.fetch - HTTP fetch with the UrlFetchApp.fetch signature
+   * @param {Function} options.getAccessToken - Returns an OAuth access token
+   * @param {boolean} options.useScriptCache - Share cached values across executions via CacheService
+   * @param {Cache} options.scriptCache - Cache to use instead of CacheService.getScriptCache()
+   * @param {Object} options.cacheTtls - Per-key cache lifetimes in seconds, merged over CONFIG_CACHE_TTL_SECONDS
+   */
+  constructor(options = {}) {
     this.cache = new Map();
-    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache
+    this.cacheTtls = { ...CONFIG_CACHE_TTL_SECONDS, ...(options.cacheTtls || {}) };
+    this.scriptCache = options.scriptCache || null;
+    this.useScriptCache = Boolean(options.scriptCache || options.useScriptCache);
+    this.cacheGeneration = null;
+    this.cacheStats = { memoryHits: 0, scriptCacheHits: 0, misses: 0 };
+    this.activeProfile = undefined;
+    this.fetch = options.fetch || ((url, params) => UrlFetchApp.fetch(url, params));
+    this.getAccessToken = options.getAccessToken || (() => ScriptApp.getOAuthToken());
   }
   
   /**
@@ -19,30 +225,99 @@ class ConfigurationManager {
    * 2. Properties Service (for development/testing)
    * 3. Default values (fallback)
    * 
+   * Keys in CONFIG_SCHEMA are returned as their declared type and fall back to
+   * the schema default; a stored value that does not match the schema is
+   * ignored with a warning.
+   * 
    * @param {string} key - Configuration key
-   * @param {any} defaultValue - Default value if not found
+   * @param {any} defaultValue - Default value if not found (overrides the schema default)
    * @returns {any} Configuration value
    */
   get(key, defaultValue = null) {
+    const definition = CONFIG_SCHEMA[key];
+    const fallback = defaultValue !== null || !definition || definition.default === undefined
+      ? defaultValue
+      : definition.default;
+    
+    const raw = this.getRaw(key);
+    if (raw === null) {
+      Logger.log(`Using default value for ${key}: ${fallback}`);
+      return fallback;
+    }
+    
+    const { value, error } = parseConfigValue(key, raw);
+    if (error) {
+      Logger.log(`WARNING: Invalid configuration ignored: ${error}. Using default: ${fallback}`);
+      return fallback;
+    }
+    return value;
+  }
+  
+  /**
+   * Gets the stored string value of a key, without schema coercion or defaults
+   * The active profile's override is used when there is one.
+   * @param {string} key - Configuration key
+   * @returns {string|null} Stored value or null if not configured
+   */
+  getRaw(key) {
+    if (key === ACTIVE_PROFILE_KEY) {
+      return this.getFromProperties(key);
+    }
+    
+    const profile = this.getActiveProfile();
+    if (profile) {
+      const override = this.getStoredValue(getProfileKey(profile, key));
+      if (override !== null) {
+        return override;
+      }
+    }
+    return this.getStoredValue(key);
+  }
+  
+  /**
+   * Gets the active profile name
+   * Read from Script/User Properties once per execution (not from Secret Manager).
+   * @returns {string|null} Profile name, or null when shared values are used
+   */
+  getActiveProfile() {
+    if (this.activeProfile === undefined) {
+      const raw = this.getFromProperties(ACTIVE_PROFILE_KEY);
+      const parsed = raw ? parseConfigValue(ACTIVE_PROFILE_KEY, raw) : { value: null, error: null };
+      if (parsed.error) {
+        Logger.log(`WARNING: Invalid configuration ignored: ${parsed.error}. Using shared configuration`);
+      }
+      this.activeProfile = parsed.error ? null : parsed.value;
+    }
+    return this.activeProfile;
+  }
+  
+  /**
+   * Gets a value stored under an exact property key from the cache, Secret Manager or Properties
+   * Secret Manager is only consulted for secret keys (see isSecretConfigKey).
+   * @param {string} key - Property key
+   * @returns {string|null} Stored value or null if not found
+   */
+  getStoredValue(key) {
     // Check cache first
-    const cacheKey = `config_${key}`;
-    const cached = this.cache.get(cacheKey);
-    if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
+    const cached = this.readCache(key);
+    if (cached.hit) {
       return cached.value;
     }
     
     let value = null;
     
-    try {
-      // Try Google Cloud Secret Manager first (production environment)
-      value = this.getFromSecretManager(key);
-      if (value !== null) {
-        Logger.log(`Config loaded from Secret Manager: ${key}`);
-        this.cache.set(cacheKey, { value, timestamp: Date.now() });
-        return value;
+    if (isSecretConfigKey(key)) {
+      try {
+        // Try Google Cloud Secret Manager first (production environment)
+        value = this.getFromSecretManager(key);
+        if (value !== null) {
+          Logger.log(`Config loaded from Secret Manager: ${key}`);
+          this.writeCache(key, value);
+          return value;
+        }
+      } catch (error) {
+        Logger.log(`Secret Manager not available for ${key}: ${error.message}`);
       }
-    } catch (error) {
-      Logger.log(`Secret Manager not available for ${key}: ${error.message}`);
     }
     
     try {
@@ -50,39 +325,77 @@ class ConfigurationManager {
       value = this.getFromProperties(key);
       if (value !== null) {
         Logger.log(`Config loaded from Properties: ${key}`);
-        this.cache.set(cacheKey, { value, timestamp: Date.now() });
+        this.writeCache(key, value);
         return value;
       }
     } catch (error) {
       Logger.log(`Properties Service not available for ${key}: ${error.message}`);
     }
     
-    // Use default value
-    Logger.log(`Using default value for ${key}: ${defaultValue}`);
-    return defaultValue;
+    return null;
   }
   
   /**
    * Gets value from Google Cloud Secret Manager
+   *
+   * Reads the secret named like the key (e.g. SPREADSHEET_ID) from the project in
+   * GOOGLE_CLOUD_PROJECT_ID using the script's OAuth token. The Apps Script project
+   * must use that Cloud project, and the user running the script needs the
+   * Secret Manager Secret Accessor role. The "latest" version is read unless a
+   * version is pinned in SECRET_MANAGER_VERSION_<key> (see pinSecretVersion).
+   *
+   * Results, including "not found", are cached in memory so each secret is
+   * fetched at most once per cache period.
+   *
    * @param {string} key - Secret key
    * @returns {string|null} Secret value or null if not found
    */
   getFromSecretManager(key) {
+    const cacheKey = `secret_${key}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+    
     try {
-      // Note: This requires the Secret Manager API to be enabled
-      // and proper service account permissions
       const projectId = this.getGoogleCloudProjectId();
       if (!projectId) {
         return null;
       }
       
-      // Use Google Cloud Secret Manager API
-      const secretName = `projects/${projectId}/secrets/${key}/versions/latest`;
+      // Secret IDs may only contain letters, digits, underscores and hyphens
+      if (!/^[A-Za-z0-9_-]{1,255}$/.test(key)) {
+        return null;
+      }
       
-      // This would require the Secret Manager API to be enabled
-      // For now, we'll return null to fall back to Properties Service
-      Logger.log(`Secret Manager API not yet implemented for: ${secretName}`);
-      return null;
+      const version = this.getFromProperties(`${SECRET_VERSION_PROPERTY_PREFIX}${key}`) || 'latest';
+      const secretName = `projects/${projectId}/secrets/${key}/versions/${version}`;
+      
+      const response = this.fetch(`${SECRET_MANAGER_API}/${secretName}:access`, {
+        method: 'get',
+        headers: { Authorization: `Bearer ${this.getAccessToken()}` },
+        muteHttpExceptions: true
+      });
+      
+      const status = response.getResponseCode();
+      let value = null;
+      
+      if (status === 200) {
+        const payload = JSON.parse(response.getContentText()).payload || {};
+        value = payload.data ? Utilities.newBlob(Utilities.base64Decode(payload.data)).getDataAsString('UTF-8') : '';
+      } else if (status === 404) {
+        // No such secret (or version): fall back to Properties Service
+        value = null;
+      } else if (status === 401 || status === 403) {
+        Logger.log(`Secret Manager access denied for ${secretName} (HTTP ${status}). Check that the Secret Manager API is enabled and the user has the Secret Accessor role.`);
+      } else {
+        // Transient errors are not cached so the next read retries
+        Logger.log(`Secret Manager error for ${secretName}: HTTP ${status} ${response.getContentText()}`);
+        return null;
+      }
+      
+      this.cache.set(cacheKey, { value, expiresAt: Date.now() + this.getCacheTtl(key) * 1000 });
+      return value;
       
     } catch (error) {
       Logger.log(`Secret Manager error for ${key}: ${error.message}`);
@@ -114,11 +427,21 @@ class ConfigurationManager {
   
   /**
    * Sets configuration value in Properties Service
+   * Values of keys in CONFIG_SCHEMA are validated and stored in canonical form.
    * @param {string} key - Property key
-   * @param {string} value - Property value
+   * @param {*} value - Property value
    * @param {boolean} userSpecific - Whether to store in user properties
    */
   set(key, value, userSpecific = false) {
+    const baseKey = getBaseConfigKey(key);
+    if (CONFIG_SCHEMA[baseKey]) {
+      const parsed = parseConfigValue(baseKey, value);
+      if (parsed.error) {
+        throw new Error(`Invalid configuration value: ${parsed.error}`);
+      }
+      value = String(parsed.value);
+    }
+    
     try {
       if (userSpecific) {
         PropertiesService.getUserProperties().setProperty(key, value);
@@ -127,7 +450,15 @@ class ConfigurationManager {
       }
       
       // Clear cache
-      this.cache.delete(`config_${key}`);
+      this.invalidateCache(key);
+      if (key === ACTIVE_PROFILE_KEY) {
+        this.activeProfile = undefined;
+      }
+      if (key.startsWith(SECRET_VERSION_PROPERTY_PREFIX)) {
+        const secretKey = key.substring(SECRET_VERSION_PROPERTY_PREFIX.length);
+        this.cache.delete(`secret_${secretKey}`);
+        this.invalidateCache(secretKey);
+      }
       Logger.log(`Configuration set: ${key}`);
     } catch (error) {
       Logger.log(`Error setting configuration ${key}: ${error.message}`);
@@ -135,6 +466,51 @@ class ConfigurationManager {
     }
   }
   
+  /**
+   * Removes a configuration value from Script and User Properties
+   * @param {string} key - Property key
+   */
+  remove(key) {
+    PropertiesService.getScriptProperties().deleteProperty(key);
+    PropertiesService.getUserProperties().deleteProperty(key);
+    this.invalidateCache(key);
+    if (key === ACTIVE_PROFILE_KEY) {
+      this.activeProfile = undefined;
+    }
+    Logger.log(`Configuration removed: ${key}`);
+  }
+  
+  /**
+   * Stores a profile's override of a configuration key
+   * @param {string} profile - Profile name, e.g. "dev"
+   * @param {string} key - Configuration key
+   * @param {*} value - Value used while the profile is active
+   */
+  setForProfile(profile, key, value) {
+    const { error } = parseConfigValue(ACTIVE_PROFILE_KEY, profile);
+    if (!profile || error) {
+      throw new Error(`Invalid profile name "${profile}". Use letters, numbers and hyphens.`);
+    }
+    this.set(getProfileKey(profile, key), value);
+  }
+  
+  /**
+   * Lists profiles that have overrides in Script Properties
+   * @returns {Object} Map of profile name (lower case) to overridden keys
+   */
+  listProfiles() {
+    const profiles = {};
+    PropertiesService.getScriptProperties().getKeys().forEach(propertyKey => {
+      const match = propertyKey.match(/^PROFILE_([A-Z0-9-]+)__(.+)$/);
+      if (match) {
+        const name = match[1].toLowerCase();
+        profiles[name] = profiles[name] || [];
+        profiles[name].push(match[2]);
+      }
+    });
+    return profiles;
+  }
+  
   /**
    * Gets the Google Cloud Project ID
    * @returns {string|null} Project ID or null if not available
@@ -159,74 +535,297 @@ class ConfigurationManager {
   }
   
   /**
-   * Validates that all required configuration is available
+   * Validates configuration against CONFIG_SCHEMA
+   * Required keys must be configured, and every configured key must match its type.
    * @returns {Object} Validation result
    */
   validateConfiguration() {
-    const required = [
-      'SPREADSHEET_ID',
-      'CONFIG_SHEET_NAME'
-    ];
-    
     const missing = [];
     const available = [];
+    const invalid = [];
     
-    for (const key of required) {
-      const value = this.get(key);
-      if (!value) {
-        missing.push(key);
-      } else {
+    for (const [key, definition] of Object.entries(CONFIG_SCHEMA)) {
+      const raw = this.getRaw(key);
+      if (raw === null || raw === '') {
+        if (definition.required) {
+          missing.push(key);
+        }
+        continue;
+      }
+      
+      if (definition.required) {
         available.push(key);
       }
+      const { error } = parseConfigValue(key, raw);
+      if (error) {
+        invalid.push({ key, error });
+      }
+    }
+    
+    // Trigger status is informational: a missing trigger doesn't make the configuration invalid
+    let trigger;
+    try {
+      trigger = getDailyTriggerStatus();
+    } catch (error) {
+      trigger = { installed: null, count: 0, duplicate: false, error: error.message };
+    }
+
+    const warnings = [];
+    if (trigger.installed === false) {
+      warnings.push('No schedule trigger installed - run installDailyTrigger() or installHourlyDispatchTrigger() to schedule the summary');
+    } else if (trigger.duplicate) {
+      warnings.push(`${trigger.count} schedule triggers installed (${trigger.handlers.join(', ')}) - summaries may be sent more than once; run installDailyTrigger() or installHourlyDispatchTrigger() to replace them with one`);
+    }
+    
+    const problems = [];
+    if (missing.length > 0) {
+      problems.push(`Missing required configuration: ${missing.join(', ')}`);
+    }
+    if (invalid.length > 0) {
+      problems.push(`Invalid configuration: ${invalid.map(item => item.error).join('; ')}`);
     }
     
     return {
-      valid: missing.length === 0,
+      valid: problems.length === 0,
+      profile: this.getActiveProfile(),
       missing,
       available,
-      message: missing.length > 0 
-        ? `Missing required configuration: ${missing.join(', ')}`
+      invalid,
+      trigger,
+      warnings,
+      message: problems.length > 0
+        ? problems.join('. ')
         : 'All required configuration is available'
     };
   }
   
   /**
    * Gets all configuration as an object (for debugging)
+   * Secret values are masked.
    * @returns {Object} Configuration object
    */
   getAllConfiguration() {
-    const keys = [
-      'SPREADSHEET_ID',
-      'CONFIG_SHEET_NAME',
-      'GOOGLE_CLOUD_PROJECT_ID',
-      'ADMIN_EMAIL_OVERRIDE'
-    ];
-    
     const config = {};
-    for (const key of keys) {
+    for (const [key, definition] of Object.entries(CONFIG_SCHEMA)) {
       const value = this.get(key);
       // Don't log sensitive values in full
-      if (key.includes('ID') && value) {
-        config[key] = `${value.substring(0, 8)}...`;
+      config[key] = definition.secret && value !== null ? maskConfigValue(value) : value;
+    }
+    
+    return config;
+  }
+  
+  /**
+   * Builds a readable report of every configuration key
+   * Lists the current value (masked for secrets), whether it is the default,
+   * the type and description, and any validation problems.
+   * @returns {string} Report text
+   */
+  getConfigurationReport() {
+    const validation = this.validateConfiguration();
+    const problems = new Map(validation.invalid.map(item => [item.key, item.error]));
+    validation.missing.forEach(key => problems.set(key, 'Required but not configured'));
+    
+    let report = `Configuration Report\n`;
+    report += `Profile: ${validation.profile || '(shared)'}\n`;
+    report += `Status: ${validation.valid ? '✅ VALID' : '❌ INVALID'}\n\n`;
+    
+    for (const [key, definition] of Object.entries(CONFIG_SCHEMA)) {
+      const raw = this.getRaw(key);
+      let shown;
+      if (raw === null) {
+        shown = definition.default !== undefined ? `${definition.default} (default)` : '(not set)';
       } else {
-        config[key] = value;
+        shown = definition.secret ? maskConfigValue(raw) : raw;
+      }
+      
+      const constraints = [definition.type];
+      if (definition.required) constraints.push('required');
+      if (definition.secret) constraints.push('secret');
+      if (definition.allowed) constraints.push(`one of ${definition.allowed.join('/')}`);
+      
+      report += `${problems.has(key) ? '❌' : '•'} ${key} = ${shown}\n`;
+      report += `    ${definition.description} [${constraints.join(', ')}]\n`;
+      if (problems.has(key)) {
+        report += `    ${problems.get(key)}\n`;
       }
     }
     
-    return config;
+    if (validation.warnings.length > 0) {
+      report += `\nWarnings:\n`;
+      validation.warnings.forEach(warning => {
+        report += `• ${warning}\n`;
+      });
+    }
+    
+    return report;
+  }
+  
+  /**
+   * Gets the cache lifetime for a key
+   * @param {string} key - Configuration key
+   * @returns {number} Lifetime in seconds
+   */
+  getCacheTtl(key) {
+    return this.cacheTtls[getBaseConfigKey(key)] || CONFIG_CACHE_DEFAULT_TTL_SECONDS;
+  }
+  
+  /**
+   * Gets the shared script cache, or null if it is disabled or unavailable
+   * @returns {Cache|null} Script cache
+   */
+  getScriptCache() {
+    if (!this.useScriptCache) {
+      return null;
+    }
+    
+    if (!this.scriptCache) {
+      try {
+        this.scriptCache = CacheService.getScriptCache();
+      } catch (error) {
+        Logger.log(`Script cache not available, using in-memory cache only: ${error.message}`);
+        this.useScriptCache = false;
+        return null;
+      }
+    }
+    return this.scriptCache;
   }
   
   /**
-   * Clears the configuration cache
+   * Builds the script cache key for a configuration key
+   *
+   * Keys include a generation stamp; clearCache starts a new generation, which
+   * invalidates every shared entry at once (CacheService cannot list its keys).
+   *
+   * @param {Cache} scriptCache - Script cache
+   * @param {string} key - Configuration key
+   * @returns {string} Script cache key
+   */
+  getScriptCacheKey(scriptCache, key) {
+    if (!this.cacheGeneration) {
+      this.cacheGeneration = scriptCache.get(CONFIG_CACHE_GENERATION_KEY);
+      if (!this.cacheGeneration) {
+        this.cacheGeneration = Utilities.getUuid();
+        scriptCache.put(CONFIG_CACHE_GENERATION_KEY, this.cacheGeneration, SCRIPT_CACHE_MAX_TTL_SECONDS);
+      }
+    }
+    return `config_${this.cacheGeneration}_${key}`;
+  }
+  
+  /**
+   * Looks up a value in the in-memory cache, then the shared script cache
+   * @param {string} key - Configuration key
+   * @returns {Object} { hit, value }
+   */
+  readCache(key) {
+    const cacheKey = `config_${key}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.cacheStats.memoryHits++;
+      return { hit: true, value: cached.value };
+    }
+    
+    try {
+      const scriptCache = this.getScriptCache();
+      const stored = scriptCache ? scriptCache.get(this.getScriptCacheKey(scriptCache, key)) : null;
+      if (stored !== null) {
+        const value = JSON.parse(stored);
+        this.cache.set(cacheKey, { value, expiresAt: Date.now() + this.getCacheTtl(key) * 1000 });
+        this.cacheStats.scriptCacheHits++;
+        return { hit: true, value };
+      }
+    } catch (error) {
+      Logger.log(`Script cache read failed for ${key}: ${error.message}`);
+    }
+    
+    this.cacheStats.misses++;
+    return { hit: false, value: null };
+  }
+  
+  /**
+   * Stores a value in both cache tiers
+   * @param {string} key - Configuration key
+   * @param {string} value - Configuration value
+   */
+  writeCache(key, value) {
+    const ttl = this.getCacheTtl(key);
+    this.cache.set(`config_${key}`, { value, expiresAt: Date.now() + ttl * 1000 });
+    
+    try {
+      const scriptCache = this.getScriptCache();
+      if (scriptCache) {
+        scriptCache.put(this.getScriptCacheKey(scriptCache, key), JSON.stringify(value), Math.min(ttl, SCRIPT_CACHE_MAX_TTL_SECONDS));
+      }
+    } catch (error) {
+      Logger.log(`Script cache write failed for ${key}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Removes a key from both cache tiers
+   * @param {string} key - Configuration key
+   */
+  invalidateCache(key) {
+    this.cache.delete(`config_${key}`);
+    
+    try {
+      const scriptCache = this.getScriptCache();
+      if (scriptCache) {
+        scriptCache.remove(this.getScriptCacheKey(scriptCache, key));
+      }
+    } catch (error) {
+      Logger.log(`Script cache invalidation failed for ${key}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Gets cache hit/miss counts for this execution
+   * @returns {Object} memoryHits, scriptCacheHits, misses and hitRate (0-1)
+   */
+  getCacheStats() {
+    const { memoryHits, scriptCacheHits, misses } = this.cacheStats;
+    const lookups = memoryHits + scriptCacheHits + misses;
+    return {
+      memoryHits,
+      scriptCacheHits,
+      misses,
+      hitRate: lookups > 0 ? (memoryHits + scriptCacheHits) / lookups : 0
+    };
+  }
+  
+  /**
+   * Stops using the shared script cache for this instance
+   * Used by the test runner so mocked values never reach real executions.
+   */
+  disableScriptCache() {
+    this.useScriptCache = false;
+    this.scriptCache = null;
+    this.cache.clear();
+  }
+  
+  /**
+   * Clears the configuration cache (both the in-memory and the shared script cache)
    */
   clearCache() {
     this.cache.clear();
+    this.activeProfile = undefined;
+    
+    try {
+      const scriptCache = this.getScriptCache();
+      if (scriptCache) {
+        this.cacheGeneration = Utilities.getUuid();
+        scriptCache.put(CONFIG_CACHE_GENERATION_KEY, this.cacheGeneration, SCRIPT_CACHE_MAX_TTL_SECONDS);
+      }
+    } catch (error) {
+      Logger.log(`Script cache could not be cleared: ${error.message}`);
+    }
+    
     Logger.log('Configuration cache cleared');
   }
 }
 
-// Global configuration instance
-const Config = new ConfigurationManager();
+// Global configuration instance (shares cached values across executions)
+const Config = new ConfigurationManager({ useScriptCache: true });
 
 /**
  * Setup functions for initial configuration
@@ -239,6 +838,7 @@ const Config = new ConfigurationManager();
  * @param {string} spreadsheetId - Your Google Sheet ID
  */
 function setupSpreadsheetId(spreadsheetId) {
+  requireScriptOwner();
   if (!spreadsheetId || spreadsheetId.length < 20) {
     throw new Error('Invalid spreadsheet ID provided');
   }
@@ -252,6 +852,7 @@ function setupSpreadsheetId(spreadsheetId) {
  * @param {string} sheetName - Sheet tab name (default: "Config")
  */
 function setupConfigSheetName(sheetName = 'Config') {
+  requireScriptOwner();
   Config.set('CONFIG_SHEET_NAME', sheetName);
   Logger.log(`✅ Config sheet name set to: ${sheetName}`);
 }
@@ -261,6 +862,7 @@ function setupConfigSheetName(sheetName = 'Config') {
  * @param {string} projectId - Your Google Cloud Project ID
  */
 function setupGoogleCloudProject(projectId) {
+  requireScriptOwner();
   if (!projectId) {
     throw new Error('Project ID is required');
   }
@@ -269,43 +871,124 @@ function setupGoogleCloudProject(projectId) {
   Logger.log('✅ Google Cloud Project ID configured');
 }
 
+/**
+ * Stores configuration for an environment profile
+ * Values apply only while the profile is active; other keys fall back to the
+ * shared configuration. Switch with switchProfile().
+ * @param {string} profile - Profile name, e.g. "dev", "staging" or "prod"
+ * @param {string} spreadsheetId - Spreadsheet ID for this profile
+ * @param {string} sheetName - Config sheet tab name (optional, shared value used if omitted)
+ */
+function setupProfile(profile, spreadsheetId, sheetName = null) {
+  requireScriptOwner();
+  if (!spreadsheetId || spreadsheetId.length < 20) {
+    throw new Error('Invalid spreadsheet ID provided');
+  }
+  
+  Config.setForProfile(profile, 'SPREADSHEET_ID', spreadsheetId);
+  if (sheetName) {
+    Config.setForProfile(profile, 'CONFIG_SHEET_NAME', sheetName);
+  }
+  Logger.log(`✅ Profile "${profile}" configured. Run switchProfile('${profile}') to use it`);
+}
+
+/**
+ * Switches the active environment profile
+ * @param {string|null} profile - Profile name, or null to use the shared configuration
+ */
+function switchProfile(profile = null) {
+  requireScriptOwner();
+  if (!profile) {
+    Config.remove(ACTIVE_PROFILE_KEY);
+    Logger.log('✅ Using shared configuration (no profile active)');
+    return;
+  }
+  
+  const known = Config.listProfiles();
+  if (!known[profile.toLowerCase()]) {
+    Logger.log(`WARNING: Profile "${profile}" has no overrides; shared configuration values will be used`);
+  }
+  
+  Config.set(ACTIVE_PROFILE_KEY, profile);
+  Logger.log(`✅ Active profile: ${profile}`);
+  Logger.log(`📋 Configuration: ${JSON.stringify(Config.getAllConfiguration(), null, 2)}`);
+}
+
+/**
+ * Logs the configured profiles and which keys each overrides
+ * @returns {Object} Map of profile name to overridden keys
+ */
+function listProfiles() {
+  const profiles = Config.listProfiles();
+  const active = Config.getActiveProfile();
+  
+  if (Object.keys(profiles).length === 0) {
+    Logger.log('No profiles configured. Create one with setupProfile(name, spreadsheetId)');
+  } else {
+    Object.entries(profiles).forEach(([name, keys]) => {
+      Logger.log(`${active && active.toLowerCase() === name ? '▶' : '•'} ${name}: ${keys.join(', ')}`);
+    });
+  }
+  return profiles;
+}
+
+/**
+ * Pins the Secret Manager version used for a configuration key
+ * @param {string} key - Configuration key, e.g. "SPREADSHEET_ID"
+ * @param {string|number} version - Secret version number, or "latest" to unpin
+ */
+function pinSecretVersion(key, version) {
+  requireScriptOwner();
+  if (!key || !/^(latest|[1-9][0-9]*)$/.test(String(version))) {
+    throw new Error('A key and a version number (or "latest") are required');
+  }
+  if (!isSecretConfigKey(key)) {
+    throw new Error(`${key} is not a secret key, so it is read from Properties rather than Secret Manager`);
+  }
+  
+  Config.set(`${SECRET_VERSION_PROPERTY_PREFIX}${key}`, String(version));
+  Logger.log(`✅ ${key} now reads Secret Manager version ${version}`);
+}
+
 /**
  * One-time setup function - run this to configure the system
+ *
+ * The easiest way to set up is the setup wizard (see SetupWizard.js): deploy
+ * the project as a web app and open its URL. Alternatively call this function
+ * with the spreadsheet URL or ID, e.g. runInitialSetup('https://docs.google.com/spreadsheets/d/.../edit').
+ *
+ * @param {string} spreadsheet - Sheet URL or ID
+ * @param {string} sheetName - Config tab name (default: "Config"); created with all supported columns if missing
  */
-function runInitialSetup() {
+function runInitialSetup(spreadsheet = null, sheetName = 'Config') {
+  requireScriptOwner();
   Logger.log('🔧 Running initial configuration setup...');
   
-  // You MUST update these values for your environment
-  const SPREADSHEET_ID = '1L-dcfFMEubvKnaLhMUTEq1mmBGlMAaynTJWFTvfhzKo'; // Replace with actual ID
-  const SHEET_NAME = 'Sheet1'; // Or your preferred sheet name
-  
-  if (SPREADSHEET_ID === 'YOUR_SPREADSHEET_ID_HERE') {
+  if (!spreadsheet) {
     throw new Error(`
 ❌ CONFIGURATION REQUIRED:
 
-You must update the SPREADSHEET_ID in the runInitialSetup() function.
+Tell the script which spreadsheet holds its configuration, either:
 
-1. Open your Google Sheet
-2. Copy the ID from the URL (between '/d/' and '/edit')
-3. Replace 'YOUR_SPREADSHEET_ID_HERE' with your actual ID
-4. Run this function again
-
-Example: https://docs.google.com/spreadsheets/d/1abc123def456ghi/edit
-         The ID is: 1abc123def456ghi
+1. Deploy this project as a web app (Deploy > New deployment > Web app,
+   who has access: Only myself), open the web app URL and follow the
+   setup wizard, or
+2. Run runInitialSetup with your sheet URL or ID, for example:
+   runInitialSetup('https://docs.google.com/spreadsheets/d/1abc123def456ghi/edit')
 `);
   }
   
   try {
-    setupSpreadsheetId(SPREADSHEET_ID);
-    setupConfigSheetName(SHEET_NAME);
+    const result = applySetup({ spreadsheet, sheetName, createSheet: true });
     
-    const validation = Config.validateConfiguration();
-    if (validation.valid) {
+    if (result.valid) {
       Logger.log('✅ Configuration setup completed successfully!');
       Logger.log(`📋 Configuration: ${JSON.stringify(Config.getAllConfiguration(), null, 2)}`);
     } else {
-      Logger.log(`❌ Configuration incomplete: ${validation.message}`);
+      Logger.log(`❌ Configuration incomplete: ${result.message}`);
     }
+    result.warnings.forEach(warning => Logger.log(`WARNING: ${warning}`));
+    return result;
     
   } catch (error) {
     Logger.log(`❌ Setup failed: ${error.message}`);
@@ -313,6 +996,16 @@ Example: https://docs.google.com/spreadsheets/d/1abc123def456ghi/edit
   }
 }
 
+/**
+ * Logs the configuration report (all keys, values, defaults and problems)
+ * @returns {string} Report text
+ */
+function printConfigurationReport() {
+  const report = Config.getConfigurationReport();
+  Logger.log(report);
+  return report;
+}
+
 /**
  * Test function to verify configuration is working
  */
@@ -321,6 +1014,7 @@ function testConfiguration() {
   
   const validation = Config.validateConfiguration();
   Logger.log(`Validation result: ${JSON.stringify(validation, null, 2)}`);
+  validation.warnings.forEach(warning => Logger.log(`WARNING: ${warning}`));
   
   if (validation.valid) {
     Logger.log('✅ Configuration test passed');
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for the two-tier configuration cache
+ */
+
+function createConfigCacheTestSuite() {
+  const suite = new TestSuite('Configuration Cache');
+
+  // Properties mock that records reads, so tests can tell cache hits from lookups
+  const mockProperties = (values) => {
+    const properties = MockUtilities.createMockProperties(values);
+    const counter = { reads: [] };
+    const getProperty = properties.getProperty;
+    properties.getProperty = (key) => {
+      counter.reads.push(key);
+      return getProperty(key);
+    };
+    this.PropertiesService = {
+      getScriptProperties: () => properties,
+      getUserProperties: () => MockUtilities.createMockProperties()
+    };
+    return { properties, counter };
+  };
+
+  const noSecretManager = { fetch: () => { throw new Error('Secret Manager should not be called'); } };
+
+  suite.test('get - shares values across executions through the script cache', () => {
+    mockProperties({ 'CONFIG_SHEET_NAME': 'Config' });
+    const scriptCache = MockUtilities.createMockCache();
+
+    const first = new ConfigurationManager({ ...noSecretManager, scriptCache });
+    Assert.equal(first.get('CONFIG_SHEET_NAME'), 'Config', 'Should load from Properties');
+
+    const { counter } = mockProperties({ 'CONFIG_SHEET_NAME': 'Changed' });
+    const second = new ConfigurationManager({ ...noSecretManager, scriptCache });
+    Assert.equal(second.get('CONFIG_SHEET_NAME'), 'Config', 'A new execution should read the shared cache');
+    Assert.equal(second.get('CONFIG_SHEET_NAME'), 'Config', 'Repeated reads should hit memory');
+    Assert.false(counter.reads.includes('CONFIG_SHEET_NAME'), 'Should not read Properties on cache hits');
+
+    const stats = second.getCacheStats();
+    Assert.equal(stats.scriptCacheHits, 1, 'Should count the script cache hit');
+    Assert.equal(stats.memoryHits, 1, 'Should count the memory hit');
+    Assert.equal(stats.misses, 0, 'Should count no misses');
+  });
+
+  suite.test('get - stores values with per-key TTLs', () => {
+    mockProperties({ 'SPREADSHEET_ID': 'sheet-1', 'SEND_HOUR': '7', 'MAX_RETRIES': '3' });
+    const scriptCache = MockUtilities.createMockCache();
+    const config = new ConfigurationManager({ ...noSecretManager, scriptCache, cacheTtls: { MAX_RETRIES: 60 } });
+
+    config.get('SPREADSHEET_ID');
+    config.get('SEND_HOUR');
+    config.get('MAX_RETRIES');
+
+    const ttlFor = (key) => scriptCache.ttls[config.getScriptCacheKey(scriptCache, key)];
+    Assert.equal(ttlFor('SPREADSHEET_ID'), 3600, 'Setup values should be cached for an hour');
+    Assert.equal(ttlFor('SEND_HOUR'), 300, 'Other keys should use the default TTL');
+    Assert.equal(ttlFor('MAX_RETRIES'), 60, 'Should honor TTL overrides');
+  });
+
+  suite.test('set - invalidates both cache tiers', () => {
+    const { properties } = mockProperties({ 'SEND_HOUR': '7' });
+    const scriptCache = MockUtilities.createMockCache();
+    const config = new ConfigurationManager({ ...noSecretManager, scriptCache });
+    config.get('SEND_HOUR');
+
+    config.set('SEND_HOUR', '9');
+    Assert.equal(properties.store['SEND_HOUR'], '9', 'Should store the new value');
+    Assert.equal(config.get('SEND_HOUR'), 9, 'Should read the new value');
+
+    const other = new ConfigurationManager({ ...noSecretManager, scriptCache });
+    Assert.equal(other.get('SEND_HOUR'), 9, 'Other executions should not see the stale value');
+  });
+
+  suite.test('clearCache - invalidates shared entries from every execution', () => {
+    mockProperties({ 'CONFIG_SHEET_NAME': 'Config' });
+    const scriptCache = MockUtilities.createMockCache();
+    new ConfigurationManager({ ...noSecretManager, scriptCache }).get('CONFIG_SHEET_NAME');
+
+    mockProperties({ 'CONFIG_SHEET_NAME': 'Recipients' });
+    const config = new ConfigurationManager({ ...noSecretManager, scriptCache });
+    config.clearCache();
+
+    Assert.equal(config.get('CONFIG_SHEET_NAME'), 'Recipients', 'Should reload after clearing');
+    const other = new ConfigurationManager({ ...noSecretManager, scriptCache });
+    Assert.equal(other.get('CONFIG_SHEET_NAME'), 'Recipients', 'Other executions should use the new generation');
+  });
+
+  suite.test('get - memory only when the script cache is not enabled', () => {
+    const { counter } = mockProperties({ 'CONFIG_SHEET_NAME': 'Config' });
+    const config = new ConfigurationManager(noSecretManager);
+
+    config.get('CONFIG_SHEET_NAME');
+    const readsAfterLoad = counter.reads.length;
+    config.get('CONFIG_SHEET_NAME');
+
+    Assert.equal(config.getScriptCache(), null, 'Should not use CacheService');
+    Assert.equal(counter.reads.length, readsAfterLoad, 'Should still cache in memory');
+    Assert.equal(config.getCacheStats().hitRate, 0.5, 'Should report the hit rate');
+  });
+
+  suite.test('ExecutionTracker - records config cache stats for the admin summary', () => {
+    const tracker = new ExecutionTracker();
+    tracker.recordConfigCacheStats({ memoryHits: 4, scriptCacheHits: 2, misses: 1, hitRate: 6 / 7 });
+
+    const report = generateAdminSummary(tracker.getSummary());
+
+    Assert.equal(tracker.metrics.configCacheHits, 6, 'Should combine memory and script cache hits');
+    Assert.contains(report, 'Config Cache: 6 hits, 1 misses', 'Should include cache usage in the report');
+  });
+
+  return suite;
+}
@@ -102,6 +102,87 @@ function createDateTimeTestSuite() {
     Assert.equal(result.description, 'today', 'Should default description to "today"');
   });
   
+  suite.test('calculateDateRange - today in recipient timezone', () => {
+    // 2024-01-15 03:00 UTC: Monday in London, still Sunday evening in Chicago
+    const now = new Date(Date.UTC(2024, 0, 15, 3, 0));
+    
+    const london = calculateDateRange('today', 'Europe/London', now);
+    Assert.equal(london.startDate.toISOString(), '2024-01-15T00:00:00.000Z', 'London day should start at midnight GMT');
+    Assert.equal(london.endDate.toISOString(), '2024-01-16T00:00:00.000Z', 'London day should end at next midnight GMT');
+    Assert.equal(london.timezone, 'Europe/London', 'Should record the timezone used');
+    
+    const chicago = calculateDateRange('today', 'America/Chicago', now);
+    Assert.equal(chicago.startDate.toISOString(), '2024-01-14T06:00:00.000Z', 'Chicago day should be Sunday');
+    Assert.equal(chicago.endDate.toISOString(), '2024-01-15T06:00:00.000Z', 'Chicago day should end at midnight CST');
+  });
+  
+  suite.test('calculateDateRange - week start in recipient timezone', () => {
+    // Saturday 20:00 in Chicago is already Sunday in Tokyo, so Tokyo's week starts that day
+    const now = new Date(Date.UTC(2024, 0, 21, 2, 0));
+    
+    const chicago = calculateDateRange('this week', 'America/Chicago', now);
+    Assert.equal(chicago.startDate.toISOString(), '2024-01-14T06:00:00.000Z', 'Chicago week should start on Sunday the 14th');
+    
+    const tokyo = calculateDateRange('this week', 'Asia/Tokyo', now);
+    Assert.equal(tokyo.startDate.toISOString(), '2024-01-20T15:00:00.000Z', 'Tokyo week should start on Sunday the 21st');
+    Assert.equal(tokyo.endDate.toISOString(), '2024-01-27T15:00:00.000Z', 'Tokyo week should last 7 days');
+    
+    const nextWeek = calculateDateRange('next week', 'Asia/Tokyo', now);
+    Assert.equal(nextWeek.startDate.toISOString(), '2024-01-27T15:00:00.000Z', 'Next week should start the following Sunday');
+  });
+  
+  suite.test('calculateDateRange - spring forward day is 23 hours', () => {
+    // US DST starts 2024-03-10 at 02:00 local time
+    const now = new Date(Date.UTC(2024, 2, 10, 15, 0));
+    
+    const result = calculateDateRange('today', 'America/Chicago', now);
+    
+    Assert.equal(result.startDate.toISOString(), '2024-03-10T06:00:00.000Z', 'Should start at midnight CST');
+    Assert.equal(result.endDate.toISOString(), '2024-03-11T05:00:00.000Z', 'Should end at midnight CDT');
+    Assert.equal(result.endDate - result.startDate, 23 * 60 * 60 * 1000, 'Day should be 23 hours long');
+  });
+  
+  suite.test('calculateDateRange - fall back day is 25 hours', () => {
+    // UK DST ends 2024-10-27 at 02:00 local time
+    const now = new Date(Date.UTC(2024, 9, 27, 12, 0));
+    
+    const result = calculateDateRange('today', 'Europe/London', now);
+    
+    Assert.equal(result.startDate.toISOString(), '2024-10-26T23:00:00.000Z', 'Should start at midnight BST');
+    Assert.equal(result.endDate.toISOString(), '2024-10-28T00:00:00.000Z', 'Should end at midnight GMT');
+    Assert.equal(result.endDate - result.startDate, 25 * 60 * 60 * 1000, 'Day should be 25 hours long');
+  });
+  
+  suite.test('calculateDateRange - multi-day range across DST change', () => {
+    // Next 3 days from 2024-03-09 spans the US DST change
+    const now = new Date(Date.UTC(2024, 2, 9, 18, 0));
+    
+    const result = calculateDateRange('next 3 days', 'America/New_York', now);
+    
+    Assert.equal(result.startDate.toISOString(), '2024-03-09T05:00:00.000Z', 'Should start at midnight EST');
+    Assert.equal(result.endDate.toISOString(), '2024-03-12T04:00:00.000Z', 'Should end at midnight EDT');
+  });
+  
+  suite.test('calculateDateRange - day starting without a midnight', () => {
+    // Chile's DST started 2024-09-08: clocks jumped from 00:00 to 01:00
+    const now = new Date(Date.UTC(2024, 8, 8, 15, 0));
+    
+    const result = calculateDateRange('today', 'America/Santiago', now);
+    
+    Assert.equal(result.startDate.toISOString(), '2024-09-08T04:00:00.000Z', 'Should start at 01:00, the first local time of the day');
+    Assert.equal(result.endDate.toISOString(), '2024-09-09T03:00:00.000Z', 'Should end at the next midnight');
+  });
+  
+  suite.test('calculateDateRange - invalid timezone uses script timezone', () => {
+    const result = calculateDateRange('today', 'Not/AZone');
+    
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    
+    Assert.equal(result.startDate.getTime(), today.getTime(), 'Should fall back to script timezone');
+    Assert.equal(result.timezone, null, 'Should not record the invalid timezone');
+  });
+  
   suite.test('formatEventTime - 12 hour format without timezone', () => {
     const testDate = new Date(2023, 0, 1, 15, 30); // 3:30 PM
     const result = formatEventTime(testDate, null, false);
@@ -168,6 +249,48 @@ function createDateTimeTestSuite() {
     // Note: Warning logging test would need more sophisticated mocking
   });
   
+  suite.test('getZonedDateParts - converts to recipient timezone', () => {
+    // 2024-01-15 03:30 UTC is still Sunday evening in New York
+    const moment = new Date(Date.UTC(2024, 0, 15, 3, 30));
+    
+    const newYork = getZonedDateParts(moment, 'America/New_York');
+    Assert.equal(newYork.day, 14, 'Should use the New York date');
+    Assert.equal(newYork.hour, 22, 'Should use the New York hour');
+    Assert.equal(newYork.dayOfWeek, 0, 'Should be Sunday in New York');
+    
+    const tokyo = getZonedDateParts(moment, 'Asia/Tokyo');
+    Assert.equal(tokyo.day, 15, 'Should use the Tokyo date');
+    Assert.equal(tokyo.hour, 12, 'Should use the Tokyo hour');
+    Assert.equal(tokyo.dayOfWeek, 1, 'Should be Monday in Tokyo');
+  });
+  
+  suite.test('getZonedDateParts - invalid timezone falls back to script timezone', () => {
+    const moment = new Date(2024, 0, 15, 9, 0);
+    
+    const parts = getZonedDateParts(moment, 'Invalid/Timezone');
+    
+    Assert.equal(parts.hour, 9, 'Should use script timezone hour');
+    Assert.equal(parts.dayOfWeek, 1, 'Should use script timezone weekday');
+  });
+  
+  suite.test('parseSendTime - accepts common time formats', () => {
+    Assert.equal(parseSendTime('7'), 7, 'Should parse bare hour');
+    Assert.equal(parseSendTime('07:00'), 7, 'Should parse HH:MM');
+    Assert.equal(parseSendTime('18:45'), 18, 'Should ignore minutes');
+    Assert.equal(parseSendTime('7am'), 7, 'Should parse am');
+    Assert.equal(parseSendTime('12 AM'), 0, 'Should parse midnight');
+    Assert.equal(parseSendTime('12:00 PM'), 12, 'Should parse noon');
+    Assert.equal(parseSendTime('6:30 pm'), 18, 'Should parse pm');
+    Assert.equal(parseSendTime(new Date(1899, 11, 30, 8, 0)), 8, 'Should read time-formatted cells');
+  });
+  
+  suite.test('parseSendTime - rejects invalid values', () => {
+    Assert.equal(parseSendTime('24'), null, 'Should reject hour 24');
+    Assert.equal(parseSendTime('13pm'), null, 'Should reject 13pm');
+    Assert.equal(parseSendTime('7:75'), null, 'Should reject invalid minutes');
+    Assert.equal(parseSendTime('morning'), null, 'Should reject text');
+  });
+  
   return suite;
 }
 
@@ -320,5 +443,71 @@ function createFrequencyTestSuite() {
     Assert.true(result, 'Unknown frequency should default to daily (true)');
   });
   
+  suite.test('shouldSendEmail - evaluates weekday in recipient timezone', () => {
+    // Friday 23:00 in New York is already Saturday in UTC and Tokyo
+    const testDate = new Date(Date.UTC(2024, 0, 20, 4, 0));
+    const originalDate = Date;
+    this.Date = function(...args) {
+      if (args.length === 0) {
+        return testDate;
+      }
+      return new originalDate(...args);
+    };
+    this.Date.prototype = originalDate.prototype;
+    
+    const newYork = shouldSendEmail('weekdays', 'America/New_York');
+    const tokyo = shouldSendEmail('weekdays', 'Asia/Tokyo');
+    this.Date = originalDate; // Restore
+    
+    Assert.true(newYork, 'Should still be Friday in New York');
+    Assert.false(tokyo, 'Should already be Saturday in Tokyo');
+  });
+  
+  suite.test('selectDueRecipients - matches send hour in recipient timezone', () => {
+    // 12:00 UTC = 07:00 New York, 21:00 Tokyo, 12:00 London
+    const now = new Date(Date.UTC(2024, 0, 15, 12, 0));
+    const recipients = [
+      { email: 'ny@example.com', preferences: { timezone: 'America/New_York' } },
+      { email: 'tokyo@example.com', preferences: { timezone: 'Asia/Tokyo', sendHour: 21 } },
+      { email: 'london@example.com', preferences: { timezone: 'Europe/London', sendHour: 8 } }
+    ];
+    
+    const due = selectDueRecipients(recipients, now, 7).map(r => r.email);
+    
+    Assert.arrayEqual(due, ['ny@example.com', 'tokyo@example.com'], 'Should select recipients whose local send hour is now');
+  });
+  
+  suite.test('selectDueRecipients - catches up until the summary is in the ledger', () => {
+    // 2024-03-10 07:30 UTC = 03:30 New York, right after clocks skipped 02:00-03:00
+    const now = new Date(Date.UTC(2024, 2, 10, 7, 30));
+    const recipients = [
+      { email: 'gap@example.com', preferences: { timezone: 'America/New_York', sendHour: 2 } },
+      { email: 'sent@example.com', preferences: { timezone: 'America/New_York', sendHour: 1 } },
+      { email: 'later@example.com', preferences: { timezone: 'America/New_York', sendHour: 9 } }
+    ];
+    const ledger = new SendLedger(MockUtilities.createMockProperties());
+    ledger.recordSent(SendLedger.buildKey('sent@example.com', calculateDateRange('today', 'America/New_York', now)));
+    
+    const due = selectDueRecipients(recipients, now, 7, ledger).map(r => r.email);
+    
+    Assert.arrayEqual(due, ['gap@example.com'], 'Should send missed hours but not resend or send early');
+    Assert.arrayEqual(selectDueRecipients(recipients, now, 7).map(r => r.email), [], 'Should need the exact hour without a ledger');
+  });
+  
+  suite.test('selectDueRecipients - skips recipients whose frequency skips today', () => {
+    // Tuesday 2024-01-16 15:00 in New York, after everyone's send hour
+    const now = new Date(Date.UTC(2024, 0, 16, 20, 0));
+    const recipients = [
+      { email: 'daily@example.com', preferences: { timezone: 'America/New_York' } },
+      { email: 'weekdays@example.com', preferences: { timezone: 'America/New_York', frequency: 'weekdays only' } },
+      { email: 'mondays@example.com', preferences: { timezone: 'America/New_York', frequency: 'mondays only' } }
+    ];
+    const ledger = new SendLedger(MockUtilities.createMockProperties());
+    
+    const due = selectDueRecipients(recipients, now, 7, ledger).map(r => r.email);
+    
+    Assert.arrayEqual(due, ['daily@example.com', 'weekdays@example.com'], 'Should not keep Monday-only recipients due on Tuesday');
+  });
+  
   return suite;
 }
\ No newline at end of file
@@ -33,6 +33,20 @@ function createEmailGenerationTestSuite() {
     Assert.contains(result.textBody, 'Hello jane', 'Should include recipient name');
   });
   
+  suite.test('generateEmailBody - no events in a multi-day range lists each day', () => {
+    const dateRange = calculateDateRange('next 3 days', 'UTC', new Date(Date.UTC(2024, 0, 15, 6, 0)));
+    const tomorrow = calculateDateRange('tomorrow', 'UTC', new Date(Date.UTC(2024, 0, 15, 6, 0)));
+    
+    const result = generateEmailBody('jane@example.com', 'Empty Calendar', [], { timezone: 'UTC' }, dateRange);
+    const single = generateEmailBody('jane@example.com', 'Empty Calendar', [], { timezone: 'UTC' }, tomorrow);
+    
+    Assert.contains(result.textBody, 'Tuesday, January 16\n  No events', 'Should list empty days in text');
+    Assert.contains(result.htmlBody, 'Wednesday, January 17</h3>', 'Should list empty days in HTML');
+    Assert.notContains(result.htmlBody, 'for today', 'Should not describe the range as today');
+    Assert.contains(single.textBody, 'No events found for tomorrow.', 'Should name the date range');
+    Assert.contains(single.htmlBody, 'No events scheduled for tomorrow!', 'Should name the date range in HTML');
+  });
+  
   suite.test('generateEmailBody - multiple events chronological order', () => {
     const mockEvents = [
       MockUtilities.createMockEvent(
@@ -159,6 +173,198 @@ function createEmailGenerationTestSuite() {
     Assert.contains(eveningResult, '#f3e5f5', 'Evening events should have purple background');
   });
   
+  suite.test('generateEmailBody - all-day events in their own section', () => {
+    const events = [
+      MockUtilities.createMockEvent('Public Holiday', new Date(2023, 0, 2), new Date(2023, 0, 3), '', '', { allDay: true }),
+      MockUtilities.createMockEvent('Standup', new Date(2023, 0, 2, 9, 0), new Date(2023, 0, 2, 9, 15))
+    ];
+    const dateRange = { description: 'today', startDate: new Date(2023, 0, 2), endDate: new Date(2023, 0, 3) };
+    
+    const result = generateEmailBody('user@example.com', 'Calendar', events, {}, dateRange);
+    
+    Assert.contains(result.textBody, 'All day:\n• Public Holiday\n', 'Should list all-day events under "All day"');
+    Assert.false(result.textBody.includes('12:00 AM'), 'Should not show midnight times for all-day events');
+    Assert.contains(result.textBody, '- Standup', 'Should still list timed events');
+    Assert.contains(result.htmlBody, '>All day</h3>', 'Should render an "All day" section in HTML');
+    Assert.contains(result.htmlBody, '🗓️ All day', 'Should label all-day events instead of showing times');
+  });
+  
+  suite.test('generateEmailBody - multi-day events labeled with day number', () => {
+    const events = [
+      MockUtilities.createMockEvent('Conference', new Date(2023, 0, 1), new Date(2023, 0, 4), '', '', { allDay: true }),
+      MockUtilities.createMockEvent('Hackathon', new Date(2023, 0, 1, 18, 0), new Date(2023, 0, 2, 12, 0))
+    ];
+    const dateRange = { description: 'today', startDate: new Date(2023, 0, 2), endDate: new Date(2023, 0, 3) };
+    
+    const result = generateEmailBody('user@example.com', 'Calendar', events, {}, dateRange);
+    
+    Assert.contains(result.textBody, '• Conference [Day 2 of 3]', 'Should label all-day multi-day events');
+    Assert.contains(result.textBody, 'Hackathon [Day 2 of 2]', 'Should label timed multi-day events');
+    Assert.contains(result.htmlBody, 'Day 2 of 3', 'Should label multi-day events in HTML');
+  });
+  
+  suite.test('getMultiDayLabel - single-day events have no label', () => {
+    const allDay = MockUtilities.createMockEvent('Holiday', new Date(2023, 0, 2), new Date(2023, 0, 3), '', '', { allDay: true });
+    const untilMidnight = MockUtilities.createMockEvent('Late Shift', new Date(2023, 0, 2, 20, 0), new Date(2023, 0, 3, 0, 0));
+    
+    Assert.equal(getMultiDayLabel(allDay, null, new Date(2023, 0, 2)), '', 'One-day all-day event is not multi-day');
+    Assert.equal(getMultiDayLabel(untilMidnight, null, new Date(2023, 0, 2)), '', 'Event ending at midnight is not multi-day');
+  });
+  
+  suite.test('generateHtmlEmailBody - time-of-day colors skip all-day and multi-day events', () => {
+    const allDay = MockUtilities.createMockEvent('Holiday', new Date(2023, 0, 1), new Date(2023, 0, 2), '', '', { allDay: true });
+    const multiDay = MockUtilities.createMockEvent('Trip', new Date(2023, 0, 1, 7, 0), new Date(2023, 0, 3, 19, 0));
+    
+    const allDayResult = generateHtmlEmailBody('user', 'Calendar', [allDay]);
+    const multiDayResult = generateHtmlEmailBody('user', 'Calendar', [multiDay]);
+    
+    [allDayResult, multiDayResult].forEach(result => {
+      Assert.contains(result, 'background-color: #eceff1', 'Should use neutral background');
+      Assert.false(result.includes('#fff3e0') || result.includes('#f3e5f5'), 'Should not use time-of-day colors');
+    });
+  });
+  
+  suite.test('generateEmailBody - groups multi-day ranges by day', () => {
+    // Monday 2024-01-15 to Wednesday 2024-01-17 (UTC)
+    const dateRange = calculateDateRange('next 3 days', 'UTC', new Date(Date.UTC(2024, 0, 15, 6, 0)));
+    const events = [
+      MockUtilities.createMockEvent('Monday Standup', new Date(Date.UTC(2024, 0, 15, 9, 0)), new Date(Date.UTC(2024, 0, 15, 9, 15))),
+      MockUtilities.createMockEvent('Wednesday Standup', new Date(Date.UTC(2024, 0, 17, 9, 0)), new Date(Date.UTC(2024, 0, 17, 9, 15)))
+    ];
+    
+    const result = generateEmailBody('user@example.com', 'Calendar', events, { timezone: 'UTC', use24Hour: true }, dateRange);
+    
+    Assert.contains(result.textBody, 'Monday, January 15\n  • 09:00 - Monday Standup', 'Should list Monday events under Monday');
+    Assert.contains(result.textBody, 'Tuesday, January 16\n  No events', 'Should mark empty days');
+    Assert.contains(result.textBody, 'Wednesday, January 17\n  • 09:00 - Wednesday Standup', 'Should list Wednesday events under Wednesday');
+    Assert.contains(result.htmlBody, 'Tuesday, January 16</h3>', 'Should render day headers in HTML');
+    Assert.contains(result.htmlBody, 'No events</p>', 'Should render empty-day indicator in HTML');
+  });
+  
+  suite.test('groupEventsByDay - multi-day events appear on each day', () => {
+    const dateRange = calculateDateRange('next 3 days', 'UTC', new Date(Date.UTC(2024, 0, 15, 6, 0)));
+    const trip = MockUtilities.createMockEvent('Trip', new Date(Date.UTC(2024, 0, 14, 18, 0)), new Date(Date.UTC(2024, 0, 16, 12, 0)));
+    
+    const days = groupEventsByDay([trip], dateRange, { timezone: 'UTC' });
+    
+    Assert.equal(days.length, 3, 'Should list every day of the range');
+    Assert.equal(days[0].events.length, 1, 'Should show the trip on Monday');
+    Assert.equal(days[1].events.length, 1, 'Should show the trip on Tuesday');
+    Assert.equal(days[2].events.length, 0, 'Should not show the trip after it ends');
+    Assert.equal(getMultiDayLabel(trip, 'UTC', days[1].start), 'Day 3 of 3', 'Should label the trip per day');
+    Assert.equal(groupEventsByDay([trip], calculateDateRange('today', 'UTC'), { timezone: 'UTC' }), null, 'Should not group single-day ranges');
+  });
+  
+  suite.test('groupEventsByDay - skips weekends when requested', () => {
+    // Sunday 2024-01-14 to Saturday 2024-01-20
+    const dateRange = calculateDateRange('this week', 'UTC', new Date(Date.UTC(2024, 0, 17, 12, 0)));
+    
+    const allDays = groupEventsByDay([], dateRange, { timezone: 'UTC' });
+    const weekdays = groupEventsByDay([], dateRange, { timezone: 'UTC', skipWeekends: true });
+    
+    Assert.equal(allDays.length, 7, 'Should list all seven days');
+    Assert.equal(weekdays.length, 5, 'Should leave out Saturday and Sunday');
+    Assert.equal(weekdays[0].label, 'Monday, January 15', 'Should start with Monday');
+  });
+  
+  suite.test('buildTemplateContext - exposes days for multi-day ranges', () => {
+    const dateRange = calculateDateRange('next 3 days', 'UTC', new Date(Date.UTC(2024, 0, 15, 6, 0)));
+    const events = [
+      MockUtilities.createMockEvent('Review', new Date(Date.UTC(2024, 0, 16, 14, 0)), new Date(Date.UTC(2024, 0, 16, 15, 0)))
+    ];
+    
+    const context = buildTemplateContext('user', 'Calendar', events, { timezone: 'UTC' }, dateRange);
+    const text = Templates.render('{{#each days}}{{label}}: {{#if hasEvents}}{{#each events}}{{title}}{{/each}}{{else}}-{{/if}}\n{{/each}}', context, { escape: false });
+    
+    Assert.true(context.isMultiDay, 'Should flag multi-day ranges');
+    Assert.equal(text, 'Monday, January 15: -\nTuesday, January 16: Review\nWednesday, January 17: -\n', 'Should render days in templates');
+  });
+  
+  suite.test('escapeHtml - escapes markup characters', () => {
+    Assert.equal(escapeHtml('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;', 'Should escape all special characters');
+    Assert.equal(escapeHtml(null), '', 'Should return empty string for null');
+    Assert.equal(escapeHtml(42), '42', 'Should stringify non-string values');
+  });
+  
+  suite.test('linkifyText - links http(s) URLs and escapes the rest', () => {
+    const result = linkifyText('Join <here>: https://meet.example.com/abc?x=1&y=2.');
+    
+    Assert.contains(result, 'Join &lt;here&gt;: ', 'Should escape surrounding text');
+    Assert.contains(result, '<a href="https://meet.example.com/abc?x=1&amp;y=2"', 'Should link URL with escaped href');
+    Assert.contains(result, '</a>.', 'Should leave trailing punctuation outside the link');
+  });
+  
+  suite.test('linkifyText - does not link other schemes', () => {
+    const result = linkifyText('javascript:alert(1) data:text/html,<b>x</b>');
+    
+    Assert.notContains(result, '<a ', 'Should not create links for non-http schemes');
+    Assert.contains(result, '&lt;b&gt;', 'Should escape markup');
+  });
+  
+  suite.test('linkifyText - URLs cannot break out of the href attribute', () => {
+    const result = linkifyText('https://example.com/"onmouseover="alert(1)');
+    
+    Assert.notContains(result, '"onmouseover', 'Should not allow attribute injection');
+  });
+  
+  suite.test('generateHtmlEmailBody - escapes hostile calendar content', () => {
+    const hostileEvents = TestFixtures.getHostileEvents();
+    const result = generateHtmlEmailBody('<b>john</b>', '<i>Team</i> "Calendar"', hostileEvents, { timezone: '<tz>' });
+    
+    Assert.notContains(result, '<script>', 'Should not include raw script tags');
+    Assert.notContains(result, '<img', 'Should not include raw image tags from locations');
+    Assert.notContains(result, '<b>session</b>', 'Should escape markup in descriptions');
+    Assert.contains(result, 'Room &lt;/span&gt;&lt;/div&gt;', 'Should escape closing tags in locations');
+    Assert.notContains(result, '<b>john</b>', 'Should escape recipient name');
+    Assert.notContains(result, '<i>Team</i>', 'Should escape calendar name');
+    Assert.notContains(result, '<tz>', 'Should escape timezone');
+    Assert.contains(result, '&lt;script&gt;alert(&quot;xss&quot;)&lt;/script&gt;', 'Should show escaped title');
+    Assert.contains(result, 'Budget &lt; 5k &amp; &quot;quotes&quot; &#39;too&#39;', 'Should escape special characters in titles');
+    Assert.contains(result, '<a href="https://meet.example.com/abc?x=1&amp;y=2"', 'Should link meeting URLs in locations');
+    Assert.contains(result, '<a href="http://example.com/docs"', 'Should link URLs in descriptions');
+  });
+  
+  suite.test('generateEmailBody - template values from hostile events are escaped', () => {
+    const hostileEvents = TestFixtures.getHostileEvents();
+    const template = {
+      name: 'List',
+      html: '{{#each events}}<li>{{title}} {{{locationHtml}}}</li>{{/each}}',
+      text: null,
+      subject: null
+    };
+    
+    const result = generateEmailBody('john@example.com', 'Work', hostileEvents, {}, null, { template: template });
+    
+    Assert.notContains(result.htmlBody, '<script>', 'Should escape titles in templates');
+    Assert.notContains(result.htmlBody, '<img', 'Should escape pre-rendered location HTML');
+    Assert.contains(result.textBody, '<script>alert("xss")</script>', 'Plain text body should keep original text');
+  });
+  
+  suite.test('buildEmailMessage - defaults to multipart HTML and plain text', () => {
+    const emailContent = { htmlBody: '<p>HTML</p>', textBody: 'Text' };
+    const message = buildEmailMessage('user@example.com', 'Subject', emailContent);
+    
+    Assert.equal(message.to, 'user@example.com', 'Should address the recipient');
+    Assert.equal(message.body, 'Text', 'Should use text body as plain text part');
+    Assert.equal(message.options.htmlBody, '<p>HTML</p>', 'Should include HTML body');
+  });
+  
+  suite.test('buildEmailMessage - text format omits HTML body', () => {
+    const emailContent = { htmlBody: '<p>HTML</p>', textBody: 'Text' };
+    const message = buildEmailMessage('user@example.com', 'Subject', emailContent, 'text');
+    
+    Assert.equal(message.body, 'Text', 'Should use text body');
+    Assert.falsy(message.options.htmlBody, 'Should not include HTML body');
+  });
+  
+  suite.test('buildEmailMessage - html format keeps HTML as the primary content', () => {
+    const emailContent = { htmlBody: '<p>HTML</p>', textBody: 'Text' };
+    const message = buildEmailMessage('user@example.com', 'Subject', emailContent, 'html');
+    
+    Assert.equal(message.options.htmlBody, '<p>HTML</p>', 'Should include HTML body');
+    Assert.notEqual(message.body, 'Text', 'Should not include the full text summary');
+  });
+  
   return suite;
 }
 
@@ -288,6 +494,119 @@ function createEventFilteringTestSuite() {
     Assert.equal(result.length, 0, 'Should return empty array when no events match');
   });
   
+  suite.test('filterEventsByAttributes - filters by response, ownership, visibility and free/busy', () => {
+    const start = new Date('2026-10-19T09:00:00Z');
+    const end = new Date('2026-10-19T10:00:00Z');
+    const me = 'dana@example.com';
+    const events = [
+      MockUtilities.createMockEvent('My focus time', start, end, '', '', { creators: [me], transparency: 'TRANSPARENT', visibility: 'PRIVATE' }),
+      MockUtilities.createMockEvent('Accepted sync', start, end, '', '', { guests: { [me]: 'YES' } }),
+      MockUtilities.createMockEvent('Declined offsite', start, end, '', '', { guests: { [me]: 'NO' } }),
+      MockUtilities.createMockEvent('Unanswered review', start, end, '', '', { guests: { [me]: 'INVITED' }, visibility: 'CONFIDENTIAL' })
+    ];
+    const titles = (filters) => filterEventsByAttributes(events, filters, me).map(event => event.getTitle());
+    
+    Assert.arrayEqual(titles({ myStatuses: ['accepted', 'invited'] }), ['My focus time', 'Accepted sync', 'Unanswered review'], 'Should count own events as accepted');
+    Assert.arrayEqual(titles({ ownership: 'invited' }), ['Accepted sync', 'Declined offsite', 'Unanswered review'], 'Should keep invitations only');
+    Assert.arrayEqual(titles({ visibility: 'private' }), ['My focus time', 'Unanswered review'], 'Should treat confidential as private');
+    Assert.arrayEqual(titles({ showAs: 'busy', myStatuses: ['accepted'] }), ['Accepted sync'], 'Should combine filters');
+    Assert.equal(filterEventsByAttributes(events, {}).length, 4, 'Should keep everything without filters');
+  });
+  
+  suite.test('filterEventsByAttributes - uses the recipient\'s response, not the script owner\'s', () => {
+    const start = new Date('2026-10-19T09:00:00Z');
+    const end = new Date('2026-10-19T10:00:00Z');
+    const recipient = 'dana@example.com';
+    const events = [
+      // The script owner created and accepted these; the recipient answered differently
+      MockUtilities.createMockEvent('Planning', start, end, '', '', { creators: ['owner@example.com'], guests: { [recipient]: 'NO' } }),
+      MockUtilities.createMockEvent('Retro', start, end, '', '', { creators: ['owner@example.com'], guests: { [recipient]: 'MAYBE' } }),
+      MockUtilities.createMockEvent('Dana 1:1 prep', start, end, '', '', { myStatus: 'INVITED', creators: ['Dana@Example.com'] }),
+      MockUtilities.createMockEvent('Owner only', start, end, '', '', { creators: ['owner@example.com'] })
+    ];
+    const titles = (filters) => filterEventsByAttributes(events, filters, recipient).map(event => event.getTitle());
+    
+    Assert.arrayEqual(titles({ myStatuses: ['accepted'] }), ['Dana 1:1 prep'], 'Should ignore the script owner\'s response');
+    Assert.arrayEqual(titles({ myStatuses: ['tentative', 'declined'] }), ['Planning', 'Retro'], 'Should use the recipient\'s guest status');
+    Assert.arrayEqual(titles({ ownership: 'owned' }), ['Dana 1:1 prep'], 'Should match creators case-insensitively');
+    Assert.arrayEqual(titles({ ownership: 'invited' }), ['Planning', 'Retro'], 'Should skip events the recipient is not a guest of');
+  });
+  
+  suite.test('filterEventsByAttributes - minimum duration ignores all-day events', () => {
+    const start = new Date('2026-10-19T09:00:00Z');
+    const events = [
+      MockUtilities.createMockEvent('Quick check-in', start, new Date(start.getTime() + 10 * 60000)),
+      MockUtilities.createMockEvent('Workshop', start, new Date(start.getTime() + 90 * 60000)),
+      MockUtilities.createMockEvent('Holiday', start, new Date(start.getTime() + 24 * 3600000), '', '', { allDay: true })
+    ];
+    
+    const result = filterEventsByAttributes(events, { minDurationMinutes: parseDurationMinutes('1:00') });
+    
+    Assert.arrayEqual(result.map(event => event.getTitle()), ['Workshop', 'Holiday'], 'Should drop short timed events');
+    Assert.equal(parseDurationMinutes('1.5 hours'), 90, 'Should parse hours');
+    Assert.equal(parseDurationMinutes('soon'), null, 'Should reject other text');
+  });
+  
+  suite.test('mergeCalendarEvents - lists events shared between calendars once', () => {
+    const day = (hour) => new Date(2026, 9, 19, hour, 0);
+    const standup = MockUtilities.createMockEvent('Standup', day(9), day(10), '', '', { id: 'standup@google.com' });
+    const standupCopy = MockUtilities.createMockEvent('Standup', day(9), day(10), '', '', { id: 'standup@google.com' });
+    const nextStandup = MockUtilities.createMockEvent('Standup', day(11), day(12), '', '', { id: 'standup@google.com' });
+    const team = MockUtilities.createMockCalendar('Team', [], '#0b8043');
+    const personal = MockUtilities.createMockCalendar('Personal', [], '#8e24aa');
+    
+    const merged = mergeCalendarEvents([
+      { calendar: team, events: [standup, nextStandup] },
+      { calendar: personal, events: [standupCopy] }
+    ]);
+    
+    Assert.arrayEqual(merged.events, [standup, nextStandup], 'Should keep the first calendar\'s copy and every occurrence');
+    Assert.equal(merged.duplicates, 1, 'Should count dropped copies');
+    Assert.equal(merged.eventSources.get(standup).name, 'Team', 'Should record the source calendar');
+    Assert.arrayEqual(merged.calendars.map(calendar => calendar.color), ['#0b8043', '#8e24aa'], 'Should list every calendar');
+  });
+  
+  suite.test('mergeCalendarEvents - matches copied events by title and start and picks the winning copy', () => {
+    const day = (hour) => new Date(2026, 9, 19, hour, 0);
+    const recipient = 'dana@example.com';
+    // The script owner organized the invite; only the copy was created by the recipient
+    const invite = MockUtilities.createMockEvent('Offsite', day(9), day(17), '', '', { id: 'offsite@google.com', creators: ['owner@example.com'], guests: { [recipient]: 'YES' } });
+    const copy = MockUtilities.createMockEvent(' offsite ', day(9), day(17), 'Hotel', '', { id: 'copy-123', myStatus: 'INVITED', creators: [recipient] });
+    const interviews = [
+      MockUtilities.createMockEvent('Interview', day(13), day(14), '', '', { id: 'interview-1' }),
+      MockUtilities.createMockEvent('Interview', day(13), day(14), '', '', { id: 'interview-2' })
+    ];
+    const results = [
+      { calendar: MockUtilities.createMockCalendar('Team'), events: [invite, ...interviews] },
+      { calendar: MockUtilities.createMockCalendar('Personal'), events: [copy] }
+    ];
+    
+    Assert.arrayEqual(mergeCalendarEvents(results).events, [invite, ...interviews], 'Should keep same-titled events on one calendar');
+    Assert.equal(mergeCalendarEvents(results, 'last').events[0], copy, 'Should keep the last calendar\'s copy');
+    Assert.equal(mergeCalendarEvents(results, 'owned', recipient).events[0], copy, 'Should keep the copy the recipient created');
+    Assert.equal(mergeCalendarEvents(results, 'owned', recipient).eventSources.get(copy).name, 'Personal', 'Should attribute the winning copy');
+    Assert.equal(mergeCalendarEvents(results, 'owned', 'lee@example.com').events[0], invite, 'Should keep the first copy when the recipient created none');
+    Assert.contains(parseConfigValue('DUPLICATE_EVENT_WINNER', 'random').error, 'first, last, owned', 'Should validate the setting');
+  });
+  
+  suite.test('generateEmailBody - tags events with their calendar or groups by calendar', () => {
+    const day = (hour) => new Date(2026, 9, 19, hour, 0);
+    const calendars = [{ name: 'Team', color: '#0b8043' }, { name: 'Home & Family', color: '#8e24aa' }];
+    const review = MockUtilities.createMockEvent('Review', day(10), day(11));
+    const dinner = MockUtilities.createMockEvent('Dinner', day(19), day(20));
+    const renderOptions = { eventSources: new Map([[review, calendars[0]], [dinner, calendars[1]]]), calendars };
+    
+    const byTime = generateEmailBody('user@example.com', '2 calendars', [review, dinner], {}, null, renderOptions);
+    const byCalendar = generateEmailBody('user@example.com', '2 calendars', [review], { groupBy: 'calendar' }, null, renderOptions);
+    
+    Assert.contains(byTime.htmlBody, 'color: #666;">Home &amp; Family</span>', 'Should tag each event with its escaped calendar name');
+    Assert.contains(byTime.textBody, '- Review · Team', 'Should tag text lines');
+    Assert.contains(byCalendar.htmlBody, 'border-left: 4px solid #0b8043;">Team</h3>', 'Should add a heading per calendar');
+    Assert.notContains(byCalendar.htmlBody, 'color: #666;">Team</span>', 'Should not tag events under calendar headings');
+    Assert.contains(byCalendar.textBody, 'Team\n  • ', 'Should indent events under calendar names');
+    Assert.contains(byCalendar.textBody, 'Home & Family\n  No events', 'Should list calendars without events');
+  });
+  
   return suite;
 }
 
@@ -369,6 +688,7 @@ function createExecutionTrackerTestSuite() {
     tracker.addEvents(3);
     tracker.incrementEmailsSent();
     tracker.addError(new Error('Test error'), 'Test context');
+    tracker.addDuplicatesMerged(2);
     
     const summary = tracker.getSummary();
     
@@ -377,6 +697,7 @@ function createExecutionTrackerTestSuite() {
     Assert.equal(summary.metrics.calendarsProcessed, 1, 'Summary should include metrics');
     Assert.truthy(summary.quotaUsage, 'Summary should include quota usage');
     Assert.false(summary.success, 'Should be false when there are errors');
+    Assert.contains(generateAdminSummary(summary), 'Duplicate Events Merged: 2', 'Admin report should count merged duplicates');
   });
   
   suite.test('ExecutionTracker - getSummary success when no errors', () => {
@@ -391,6 +712,57 @@ function createExecutionTrackerTestSuite() {
     Assert.true(summary.success, 'Should be true when no errors or failed emails');
   });
   
+  suite.test('ExecutionTracker - isNearTimeLimit', () => {
+    const tracker = new ExecutionTracker({ timeBudgetMs: 60000 });
+    Assert.false(tracker.isNearTimeLimit(), 'Should be within budget at start');
+    
+    tracker.startTime = new Date(Date.now() - 61000);
+    Assert.true(tracker.isNearTimeLimit(), 'Should report budget exhausted after it elapses');
+  });
+  
+  suite.test('ExecutionTracker - getSummary combines earlier segments', () => {
+    const tracker = new ExecutionTracker();
+    tracker.incrementEmailsSent();
+    tracker.mergeSegments([
+      {
+        executionTimeMs: 300000,
+        metrics: {
+          calendarsProcessed: 4,
+          eventsFound: 10,
+          emailsSent: 3,
+          emailsFailed: 0,
+          emailsSkipped: 1,
+          retriesPerformed: 0,
+          errors: [{ message: 'Earlier error', context: 'Segment 1', timestamp: '2023-01-02T07:00:00.000Z' }]
+        }
+      }
+    ]);
+    
+    const summary = tracker.getSummary();
+    
+    Assert.equal(summary.segments, 2, 'Should count segments');
+    Assert.equal(summary.metrics.emailsSent, 4, 'Should sum emails across segments');
+    Assert.equal(summary.metrics.calendarsProcessed, 4, 'Should sum calendars across segments');
+    Assert.equal(summary.metrics.errors.length, 1, 'Should include earlier errors');
+    Assert.true(summary.executionTimeMs >= 300000, 'Should include earlier execution time');
+    Assert.equal(tracker.metrics.emailsSent, 1, 'Should not modify this segment\'s own metrics');
+    Assert.contains(generateAdminSummary(summary), 'Segments: 2', 'Admin report should mention segments');
+  });
+  
+  suite.test('ExecutionTracker - warnings appear once in the admin summary', () => {
+    const tracker = new ExecutionTracker();
+    tracker.addWarning('Unrecognized columns in "Config" were ignored: Notes', 'Configuration');
+    tracker.addWarning('Unrecognized columns in "Config" were ignored: Notes', 'Configuration');
+    
+    const summary = tracker.getSummary();
+    const report = generateAdminSummary(summary);
+    
+    Assert.equal(summary.warnings.length, 1, 'Should keep repeated warnings once');
+    Assert.true(summary.success, 'Warnings should not fail the run');
+    Assert.contains(report, 'WARNINGS (1)', 'Should list warnings in the report');
+    Assert.contains(report, '[Configuration] Unrecognized columns', 'Should include warning context');
+  });
+  
   suite.test('ExecutionTracker - formatDuration', () => {
     const tracker = new ExecutionTracker();
     
@@ -0,0 +1,136 @@
+/**
+ * Event and Calendar Colors
+ *
+ * Summaries use the colors people already know from Google Calendar: an
+ * event's own color when it has one, otherwise its calendar's color. Events
+ * without either (e.g. from calls that pass no calendar information) keep the
+ * time-of-day colors of generateHtmlEmailBody.
+ *
+ * The "Event Colors" column filters by event color, using the names from the
+ * Calendar color picker (Tomato, Basil, ...), the CalendarApp.EventColor names
+ * (RED, GREEN, ...) or "Default" for events shown in their calendar's color:
+ *
+ *   Tomato, Banana      only events colored Tomato or Banana
+ *   -Graphite           everything except Graphite events
+ */
+
+/**
+ * Event colors by CalendarApp.EventColor value ("1" to "11")
+ */
+const EVENT_COLOR_PALETTE = {
+  '1': { name: 'Lavender', enumName: 'PALE_BLUE', hex: '#7986cb' },
+  '2': { name: 'Sage', enumName: 'PALE_GREEN', hex: '#33b679' },
+  '3': { name: 'Grape', enumName: 'MAUVE', hex: '#8e24aa' },
+  '4': { name: 'Flamingo', enumName: 'PALE_RED', hex: '#e67c73' },
+  '5': { name: 'Banana', enumName: 'YELLOW', hex: '#f6bf26' },
+  '6': { name: 'Tangerine', enumName: 'ORANGE', hex: '#f4511e' },
+  '7': { name: 'Peacock', enumName: 'CYAN', hex: '#039be5' },
+  '8': { name: 'Graphite', enumName: 'GRAY', hex: '#616161' },
+  '9': { name: 'Blueberry', enumName: 'BLUE', hex: '#3f51b5' },
+  '10': { name: 'Basil', enumName: 'GREEN', hex: '#0b8043' },
+  '11': { name: 'Tomato', enumName: 'RED', hex: '#d50000' }
+};
+
+/**
+ * Gets an event's own color
+ * @param {CalendarEvent} event - Calendar event
+ * @returns {string} EventColor value ("1" to "11"), or "" when the event uses its calendar's color
+ */
+function getEventColorId(event) {
+  const color = typeof event.getColor === 'function' ? String(event.getColor() || '') : '';
+  return EVENT_COLOR_PALETTE[color] ? color : '';
+}
+
+/**
+ * Gets a calendar's color as a hex value safe to put in a style attribute
+ * @param {Calendar} calendar - Calendar
+ * @returns {string|null} Color like "#0b8043", or null if unavailable
+ */
+function getCalendarColor(calendar) {
+  const color = calendar && typeof calendar.getColor === 'function' ? String(calendar.getColor() || '') : '';
+  return /^#[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : null;
+}
+
+/**
+ * Resolves the color to show for an event
+ * @param {CalendarEvent} event - Calendar event
+ * @param {Object} source - Calendar the event came from ({ name, color }, optional)
+ * @returns {string|null} Hex color, or null when neither the event nor its calendar has one
+ */
+function resolveEventColor(event, source = null) {
+  const colorId = getEventColorId(event);
+  if (colorId) {
+    return EVENT_COLOR_PALETTE[colorId].hex;
+  }
+  return source && source.color ? source.color : null;
+}
+
+/**
+ * Lightens a hex color towards white, for card backgrounds
+ * @param {string} hex - Color like "#0b8043"
+ * @param {number} amount - Share of white, 0 to 1 (default: 0.85)
+ * @returns {string} Lightened hex color
+ */
+function tintColor(hex, amount = 0.85) {
+  const channels = [1, 3, 5].map(i => parseInt(hex.substring(i, i + 2), 16));
+  return '#' + channels
+    .map(channel => Math.round(channel + (255 - channel) * amount).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Parses the "Event Colors" column
+ * @param {string} text - Comma-separated color names; a leading "-" excludes
+ * @returns {Object} { include, exclude } with EventColor values, "default" for calendar-colored events
+ * @throws {Error} If a color name is unknown
+ */
+function parseEventColorFilter(text) {
+  const filter = { include: [], exclude: [] };
+  String(text || '').split(',').map(entry => entry.trim()).filter(entry => entry).forEach(entry => {
+    const exclude = entry.startsWith('-');
+    const name = normalizeHeader(exclude ? entry.substring(1) : entry);
+    let colorId = ['default', 'calendar', 'none'].includes(name) ? 'default' : null;
+    if (!colorId) {
+      colorId = Object.keys(EVENT_COLOR_PALETTE).find(id => id === name ||
+        normalizeHeader(EVENT_COLOR_PALETTE[id].name) === name ||
+        normalizeHeader(EVENT_COLOR_PALETTE[id].enumName) === name);
+    }
+    if (!colorId) {
+      throw new Error(`Unknown color "${entry}" (expected ${Object.values(EVENT_COLOR_PALETTE).map(color => color.name).join(', ')} or Default)`);
+    }
+    (exclude ? filter.exclude : filter.include).push(colorId);
+  });
+  return filter;
+}
+
+/**
+ * Checks whether an event passes an "Event Colors" filter
+ * @param {CalendarEvent} event - Calendar event
+ * @param {Object} filter - Filter from parseEventColorFilter
+ * @returns {boolean} True if the event's color is included and not excluded
+ */
+function matchesEventColorFilter(event, filter) {
+  const colorId = getEventColorId(event) || 'default';
+  if (filter.include.length > 0 && !filter.include.includes(colorId)) {
+    return false;
+  }
+  return !filter.exclude.includes(colorId);
+}
+
+/**
+ * Renders a legend of calendar colors for multi-calendar summaries
+ * @param {Object[]} calendars - Calendars as { name, color }
+ * @returns {string} HTML, or "" for fewer than two calendars
+ */
+function renderCalendarLegend(calendars) {
+  if (!calendars || calendars.length < 2) {
+    return '';
+  }
+  const entries = calendars.map(calendar => `
+            <span style="display: inline-block; margin: 0 16px 6px 0; font-size: 13px; color: #555;">
+              <span style="display: inline-block; width: 10px; height: 10px; border-radius: 50%; background-color: ${calendar.color || '#1976d2'}; margin-right: 6px;"></span>${escapeHtml(calendar.name)}
+            </span>`).join('');
+  return `
+          <div style="margin: 0 0 16px 0; padding: 10px 12px; background-color: #fafafa; border-radius: 6px;">${entries}
+          </div>`;
+}
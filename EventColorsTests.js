@@ -0,0 +1,54 @@
+/**
+ * Unit Tests for Event and Calendar Colors
+ */
+
+function createEventColorsTestSuite() {
+  const suite = new TestSuite('Event and Calendar Colors');
+
+  const start = new Date('2026-10-19T10:00:00Z');
+  const end = new Date('2026-10-19T11:00:00Z');
+
+  suite.test('resolveEventColor - prefers the event color over the calendar color', () => {
+    const tomato = MockUtilities.createMockEvent('Deadline', start, end, '', '', { color: '11' });
+    const plain = MockUtilities.createMockEvent('Sync', start, end);
+    const source = { name: 'Team', color: getCalendarColor(MockUtilities.createMockCalendar('Team', [], '#0B8043')) };
+
+    Assert.equal(resolveEventColor(tomato, source), '#d50000', 'Should use the event color');
+    Assert.equal(resolveEventColor(plain, source), '#0b8043', 'Should fall back to the calendar color');
+    Assert.equal(resolveEventColor(plain), null, 'Should return null without color information');
+    Assert.equal(getCalendarColor({ getColor: () => 'red" onclick="x' }), null, 'Should reject values that are not hex colors');
+    Assert.equal(tintColor('#000000', 0.5), '#808080', 'Should lighten towards white');
+  });
+
+  suite.test('generateHtmlEmailBody - colors events by calendar and shows a legend', () => {
+    const personal = MockUtilities.createMockCalendar('Personal', [], '#8e24aa');
+    const team = MockUtilities.createMockCalendar('Team', [], '#0b8043');
+    const dentist = MockUtilities.createMockEvent('Dentist', start, end);
+    const review = MockUtilities.createMockEvent('Review', start, end, '', '', { color: '5' });
+    const eventSources = new Map([[dentist, { name: 'Personal', color: getCalendarColor(personal) }], [review, { name: 'Team', color: getCalendarColor(team) }]]);
+    const calendars = [{ name: 'Personal', color: '#8e24aa' }, { name: 'Team', color: '#0b8043' }];
+
+    const html = generateHtmlEmailBody('user', '2 calendars', [dentist, review], {}, null, { eventSources, calendars });
+    const single = generateHtmlEmailBody('user', 'Personal', [dentist], {}, null, { eventSources, calendars: calendars.slice(0, 1) });
+
+    Assert.contains(html, 'border-left: 4px solid #8e24aa', 'Should use the calendar color');
+    Assert.contains(html, 'border-left: 4px solid #f6bf26', 'Should use the event color');
+    Assert.contains(html, 'background-color: #8e24aa; margin-right: 6px;"></span>Personal', 'Should map colors to calendar names');
+    Assert.notContains(single, 'margin-right: 6px;"></span>', 'Should skip the legend for one calendar');
+  });
+
+  suite.test('parseEventColorFilter - includes and excludes by color name', () => {
+    const events = [
+      MockUtilities.createMockEvent('Deadline', start, end, '', '', { color: '11' }),
+      MockUtilities.createMockEvent('Focus', start, end, '', '', { color: '8' }),
+      MockUtilities.createMockEvent('Sync', start, end)
+    ];
+    const titles = (text) => filterEventsByAttributes(events, { colors: parseEventColorFilter(text) }).map(event => event.getTitle());
+
+    Assert.arrayEqual(titles('Tomato, default'), ['Deadline', 'Sync'], 'Should include listed colors');
+    Assert.arrayEqual(titles('-gray'), ['Deadline', 'Sync'], 'Should exclude by CalendarApp.EventColor name');
+    Assert.throws(() => parseEventColorFilter('Tomato, Teal'), 'Unknown color "Teal"', 'Should reject unknown colors');
+  });
+
+  return suite;
+}
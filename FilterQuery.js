@@ -0,0 +1,264 @@
+/**
+ * Event Filter Queries
+ *
+ * Parses the "Filter Keywords" column into a query that is evaluated against
+ * each event. The original syntax - comma-separated words that must all match,
+ * "-" to exclude - is a subset of the query language:
+ *
+ *   standup, -cancelled          both conditions must hold (comma = AND)
+ *   standup OR sync | retro      any alternative may match (OR or |)
+ *   "board, finance"             quoted phrase, may contain commas or OR
+ *   title:standup                search one field: title, description (desc), location (loc)
+ *   -location:remote             exclusions can be scoped too
+ *   /^1:1 with \w+$/             regular expression (always case-insensitive)
+ *   team*sync, room ?            wildcards: * any text, ? one character
+ *
+ * Unquoted text is matched as typed, spaces included, anywhere in the field.
+ * Queries are parsed once when the configuration is loaded; parse errors are
+ * reported per row.
+ *
+ * Cells written for the original syntax may contain *, ?, |, OR or a leading
+ * field name, quote or slash as plain text. readFilterKeywords warns when such
+ * a cell now reads differently, unless it uses a quoted phrase, and keeps the
+ * literal keywords when it no longer parses, so existing rows are not
+ * silently changed or skipped.
+ */
+
+/**
+ * Event fields a term can be scoped to, by accepted prefix
+ */
+const FILTER_QUERY_FIELDS = {
+  title: 'title',
+  description: 'description',
+  desc: 'description',
+  location: 'location',
+  loc: 'location'
+};
+
+/**
+ * Parses a filter query
+ * @param {string} text - Query text from the "Filter Keywords" column
+ * @returns {Object} Query { source, clauses }: clauses are ANDed, each an array of ORed terms
+ * @throws {Error} If the query is malformed; the message names the problem
+ */
+function parseFilterQuery(text) {
+  const source = String(text || '');
+  const clauses = [];
+  let alternatives = [];
+  let pos = 0;
+
+  const endClause = () => {
+    // Empty clauses are ignored, as with ",," in keyword lists
+    if (alternatives.length > 0) clauses.push(alternatives);
+    alternatives = [];
+  };
+
+  while (pos < source.length) {
+    if (/[\s,]/.test(source[pos])) {
+      if (source[pos] === ',') endClause();
+      pos++;
+      continue;
+    }
+
+    const parsed = parseFilterTerm(source, pos);
+    alternatives.push(parsed.term);
+    pos = parsed.end;
+
+    const rest = source.substring(pos);
+    const separator = rest.match(/^\s*(,|\||OR(?=\s|$))/);
+    if (!separator) {
+      if (rest.trim()) {
+        throw new Error(`Unexpected "${rest.trim()}" after ${describeFilterTerm(parsed.term)} - separate terms with a comma, OR or |`);
+      }
+      break;
+    }
+    pos += separator[0].length;
+    if (separator[1] === ',') {
+      endClause();
+    } else if (!source.substring(pos).trim() || /^[,|]/.test(source.substring(pos).trim())) {
+      throw new Error('"OR" must be followed by another term');
+    }
+  }
+  endClause();
+
+  return { source: source, clauses: clauses };
+}
+
+/**
+ * Parses one term of a filter query
+ * @param {string} source - Query text
+ * @param {number} start - Position of the term
+ * @returns {Object} { term: { field, negate, match: { text } | { regex } }, end }
+ */
+function parseFilterTerm(source, start) {
+  let pos = start;
+  const negate = source[pos] === '-';
+  if (negate) pos++;
+
+  let field = null;
+  const fieldMatch = source.substring(pos).match(/^([a-z]+):/i);
+  if (fieldMatch && FILTER_QUERY_FIELDS[fieldMatch[1].toLowerCase()]) {
+    field = FILTER_QUERY_FIELDS[fieldMatch[1].toLowerCase()];
+    pos += fieldMatch[0].length;
+  }
+
+  const prefix = source.substring(start, pos);
+  let match;
+  if (source[pos] === '"') {
+    const close = source.indexOf('"', pos + 1);
+    if (close === -1) {
+      throw new Error(`Missing closing quote after ${prefix}${source.substring(pos)}`);
+    }
+    match = { text: source.substring(pos + 1, close).toLowerCase() };
+    pos = close + 1;
+  } else if (source[pos] === '/') {
+    // The pattern ends at the next unescaped slash
+    let close = pos + 1;
+    while (close < source.length && source[close] !== '/') {
+      close += source[close] === '\\' ? 2 : 1;
+    }
+    if (close >= source.length) {
+      throw new Error(`Missing closing "/" in regular expression ${prefix}${source.substring(pos)}`);
+    }
+    const pattern = source.substring(pos + 1, close);
+    try {
+      match = { regex: new RegExp(pattern, 'i') };
+    } catch (e) {
+      throw new Error(`Invalid regular expression /${pattern}/: ${e.message}`);
+    }
+    pos = close + 1;
+  } else {
+    const rest = source.substring(pos);
+    const end = rest.search(/,|\||\s+OR(\s|$)/);
+    const value = (end === -1 ? rest : rest.substring(0, end)).trim();
+    pos += end === -1 ? rest.length : end;
+    match = /[*?]/.test(value) ? { regex: wildcardToRegex(value) } : { text: value.toLowerCase() };
+  }
+
+  if (match.text === '' || (match.regex && match.regex.source === '(?:)')) {
+    if (prefix === '-') {
+      throw new Error('"-" must be followed by a word to exclude');
+    }
+    throw new Error(prefix ? `"${prefix}" must be followed by a word, "phrase" or /pattern/` : 'Empty phrase or pattern');
+  }
+
+  return { term: { field: field, negate: negate, match: match }, end: pos };
+}
+
+/**
+ * Converts a wildcard pattern to a case-insensitive regular expression
+ * @param {string} pattern - Text with * (any text) and ? (one character)
+ * @returns {RegExp} Expression matching the pattern anywhere in a string
+ */
+function wildcardToRegex(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(escaped, 'i');
+}
+
+/**
+ * Describes a parsed term for error messages
+ * @param {Object} term - Parsed term
+ * @returns {string} Term as it would be written, e.g. -title:"lunch"
+ */
+function describeFilterTerm(term) {
+  const value = term.match.regex ? `/${term.match.regex.source}/` : `"${term.match.text}"`;
+  return `${term.negate ? '-' : ''}${term.field ? `${term.field}:` : ''}${value}`;
+}
+
+/**
+ * Builds a query from a keyword list in the original syntax
+ * Each keyword is a literal substring; a leading "-" excludes.
+ * @param {string[]} keywords - Keywords such as ['standup', '-cancelled']
+ * @returns {Object} Query (see parseFilterQuery)
+ */
+function keywordsToFilterQuery(keywords) {
+  const clauses = keywords
+    .map(keyword => String(keyword).trim().toLowerCase())
+    .filter(keyword => keyword)
+    .map(keyword => [{
+      field: null,
+      negate: keyword.startsWith('-'),
+      match: { text: keyword.startsWith('-') ? keyword.substring(1) : keyword }
+    }]);
+  return { source: keywords.join(', '), clauses: clauses };
+}
+
+/**
+ * Describes a parsed query for warnings
+ * @param {Object} query - Parsed query
+ * @returns {string} Query as it would be written, e.g. "standup" OR "sync", -"lunch"
+ */
+function describeFilterQuery(query) {
+  return query.clauses.map(alternatives => alternatives.map(describeFilterTerm).join(' OR ')).join(', ');
+}
+
+/**
+ * Reads a "Filter Keywords" cell, comparing it with the original keyword syntax
+ * @param {string} text - Cell text
+ * @returns {Object} { query, warnings }: the query to use and messages for the row
+ * @throws {Error} If the cell is malformed under both syntaxes
+ */
+function readFilterKeywords(text) {
+  const legacy = keywordsToFilterQuery(String(text || '').split(','));
+  const legacyValid = legacy.clauses.length > 0 && legacy.clauses.every(clause => clause[0].match.text);
+
+  let query;
+  try {
+    query = parseFilterQuery(text);
+  } catch (e) {
+    if (!legacyValid) throw e;
+    return {
+      query: legacy,
+      warnings: [`${e.message}; matching the keywords ${describeFilterQuery(legacy)} as plain text instead`]
+    };
+  }
+
+  // A quoted phrase only means something in the query syntax, so such cells are taken as written
+  const warnings = [];
+  if (legacyValid && !query.source.includes('"') && describeFilterQuery(query) !== describeFilterQuery(legacy)) {
+    warnings.push(`Now read as ${describeFilterQuery(query)} rather than the keywords ${describeFilterQuery(legacy)}; put plain text in double quotes (a cell with a quoted phrase is taken as written)`);
+  }
+  return { query: query, warnings: warnings };
+}
+
+/**
+ * Finds terms that are both required and excluded, so no event can match
+ * @param {Object} query - Parsed query
+ * @returns {string[]} Descriptions of the contradictory terms
+ */
+function findContradictoryFilterTerms(query) {
+  const required = query.clauses.filter(clause => clause.length === 1).map(clause => clause[0]);
+  return required
+    .filter(term => !term.negate && required.some(other => other.negate &&
+      other.field === term.field && describeFilterTerm({ ...other, negate: false }) === describeFilterTerm(term)))
+    .map(describeFilterTerm);
+}
+
+/**
+ * Checks whether an event matches a filter query
+ * @param {CalendarEvent} event - Calendar event
+ * @param {Object} query - Parsed query
+ * @returns {boolean} True if every clause has a matching alternative
+ */
+function matchesFilterQuery(event, query) {
+  const fields = {
+    title: (event.getTitle() || '').toLowerCase(),
+    description: (event.getDescription() || '').toLowerCase(),
+    location: (event.getLocation() || '').toLowerCase()
+  };
+  const allText = `${fields.title} ${fields.description} ${fields.location}`;
+
+  const matchesTerm = (term) => {
+    let found;
+    if (term.match.regex) {
+      // Patterns are tested per field so ^ and $ anchor to the title, description or location
+      const texts = term.field ? [fields[term.field]] : Object.values(fields);
+      found = texts.some(text => term.match.regex.test(text));
+    } else {
+      found = (term.field ? fields[term.field] : allText).includes(term.match.text);
+    }
+    return term.negate ? !found : found;
+  };
+
+  return query.clauses.every(alternatives => alternatives.some(matchesTerm));
+}
@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for Event Filter Queries
+ */
+
+function createFilterQueryTestSuite() {
+  const suite = new TestSuite('Event Filter Queries');
+
+  const start = new Date('2026-10-19T09:00:00Z');
+  const end = new Date('2026-10-19T10:00:00Z');
+  const events = [
+    MockUtilities.createMockEvent('Team Standup', start, end, 'Room 4', 'Daily sync'),
+    MockUtilities.createMockEvent('Board, Finance Review', start, end, 'HQ', 'Quarterly numbers'),
+    MockUtilities.createMockEvent('1:1 with Dana', start, end, 'Remote', ''),
+    MockUtilities.createMockEvent('Lunch', start, end, 'Cafe', 'Standup debrief')
+  ];
+  const titles = (query) => filterEventsByKeywords(events, parseFilterQuery(query)).map(event => event.getTitle());
+
+  suite.test('parseFilterQuery - keeps the keyword syntax', () => {
+    Assert.arrayEqual(titles('standup, -lunch'), ['Team Standup'], 'Should AND terms and exclude with "-"');
+    Assert.arrayEqual(titles('team standup'), ['Team Standup'], 'Should match unquoted text with spaces as a phrase');
+    Assert.arrayEqual(titles(' , standup,,'), ['Team Standup', 'Lunch'], 'Should ignore empty terms');
+  });
+
+  suite.test('parseFilterQuery - supports OR, phrases and field scoping', () => {
+    Assert.arrayEqual(titles('title:standup OR title:lunch'), ['Team Standup', 'Lunch'], 'Should match any alternative');
+    Assert.arrayEqual(titles('"board, finance" | dana'), ['Board, Finance Review', '1:1 with Dana'], 'Should keep commas in quoted phrases');
+    Assert.arrayEqual(titles('title:standup'), ['Team Standup'], 'Should only search the title');
+    Assert.arrayEqual(titles('-loc:remote, -desc:"standup"'), ['Team Standup', 'Board, Finance Review'], 'Should scope exclusions');
+  });
+
+  suite.test('parseFilterQuery - supports regular expressions and wildcards', () => {
+    Assert.arrayEqual(titles('/^1:1 with \\w+$/'), ['1:1 with Dana'], 'Should match regular expressions case-insensitively');
+    Assert.arrayEqual(titles('title:/board|lunch/'), ['Board, Finance Review', 'Lunch'], 'Should allow | inside patterns');
+    Assert.arrayEqual(titles('room ?, te*up'), ['Team Standup'], 'Should expand wildcards');
+  });
+
+  suite.test('parseFilterQuery - reports malformed queries', () => {
+    Assert.throws(() => parseFilterQuery('standup, -'), 'must be followed by a word to exclude', 'Should reject empty exclusions');
+    Assert.throws(() => parseFilterQuery('"board'), 'Missing closing quote', 'Should reject unterminated phrases');
+    Assert.throws(() => parseFilterQuery('/(standup/'), 'Invalid regular expression', 'Should reject invalid patterns');
+    Assert.throws(() => parseFilterQuery('standup OR'), '"OR" must be followed', 'Should reject dangling OR');
+    Assert.throws(() => parseFilterQuery('"board" review'), 'Unexpected "review"', 'Should reject text after a phrase');
+  });
+
+  suite.test('readFilterKeywords - warns when keyword cells read differently', () => {
+    const warned = ['Q&A?', 'Release 5*', 'Sales | Ops', 'HR OR Payroll', 'Location: HQ'];
+    warned.forEach(cell => {
+      const result = readFilterKeywords(cell);
+      Assert.equal(result.warnings.length, 1, `Should warn about ${cell}`);
+      Assert.contains(result.warnings[0], 'rather than the keywords', `Should name the old reading of ${cell}`);
+    });
+    Assert.contains(readFilterKeywords('Sales | Ops').warnings[0], '"sales" OR "ops" rather than the keywords "sales | ops"', 'Should show both readings');
+    Assert.arrayEqual(readFilterKeywords('Standup, -Cancelled, team sync').warnings, [], 'Should not warn for plain keywords');
+    Assert.arrayEqual(readFilterKeywords('"Q&A?", title:standup OR sync').warnings, [], 'Should take cells with a quoted phrase as written');
+    Assert.equal(readFilterKeywords('"Q&A?"').query.clauses[0][0].match.text, 'q&a?', 'Should match quoted text literally');
+  });
+
+  suite.test('readFilterKeywords - keeps literal keywords that no longer parse', () => {
+    const quoted = readFilterKeywords('"Board, Review');
+    Assert.arrayEqual(quoted.query.clauses.map(clause => clause[0].match.text), ['"board', 'review'], 'Should match the keywords as typed');
+    Assert.contains(quoted.warnings[0], 'Missing closing quote', 'Should explain why');
+
+    const path = readFilterKeywords('/api/v2 docs');
+    Assert.equal(path.query.clauses[0][0].match.text, '/api/v2 docs', 'Should keep a leading slash as text');
+    Assert.contains(path.warnings[0], 'as plain text instead', 'Should warn about the fallback');
+
+    Assert.throws(() => readFilterKeywords('standup, -'), 'must be followed by a word to exclude', 'Should still reject keywords that never worked');
+  });
+
+  suite.test('findContradictoryFilterTerms - flags terms that exclude themselves', () => {
+    Assert.arrayEqual(findContradictoryFilterTerms(parseFilterQuery('review, -Review, title:lunch, -lunch')), ['"review"'], 'Should compare field and text');
+  });
+
+  return suite;
+}
@@ -102,6 +102,265 @@ function createConfigurationIntegrationTestSuite() {
     Assert.equal(userRecipients[0].totalCalendars, 3, 'Should know total calendar count');
   });
   
+  suite.test('loadConfiguration - parses email format preference', () => {
+    this.PropertiesService = {
+      getScriptProperties: () => ({
+        getProperty: (key) => {
+          switch(key) {
+            case 'SPREADSHEET_ID': return 'test-spreadsheet-id';
+            case 'CONFIG_SHEET_NAME': return 'Config';
+            default: return null;
+          }
+        }
+      }),
+      getUserProperties: () => ({
+        getProperty: () => null
+      })
+    };
+    
+    this.SpreadsheetApp = {
+      openById: (id) => ({
+        getSheetByName: (name) => ({
+          getDataRange: () => ({
+            getValues: () => [
+              ['Recipient Email', 'Calendar ID', 'Format'],
+              ['html@example.com', 'html@gmail.com', 'HTML'],
+              ['text@example.com', 'text@gmail.com', 'text'],
+              ['unknown@example.com', 'unknown@gmail.com', 'rich']
+            ]
+          })
+        })
+      })
+    };
+    
+    const result = loadConfiguration();
+    const byEmail = {};
+    result.recipients.forEach(r => { byEmail[r.email] = r; });
+    
+    Assert.equal(byEmail['html@example.com'].preferences.emailFormat, 'html', 'Should normalize format case');
+    Assert.equal(byEmail['text@example.com'].preferences.emailFormat, 'text', 'Should parse text format');
+    Assert.falsy(byEmail['unknown@example.com'].preferences.emailFormat, 'Should ignore unknown formats');
+  });
+  
+  suite.test('loadConfiguration - parses send time and skip weekends preferences', () => {
+    this.PropertiesService = {
+      getScriptProperties: () => ({
+        getProperty: (key) => {
+          switch(key) {
+            case 'SPREADSHEET_ID': return 'test-spreadsheet-id';
+            case 'CONFIG_SHEET_NAME': return 'Config';
+            default: return null;
+          }
+        }
+      }),
+      getUserProperties: () => ({
+        getProperty: () => null
+      })
+    };
+    
+    this.SpreadsheetApp = {
+      openById: (id) => ({
+        getSheetByName: (name) => ({
+          getDataRange: () => ({
+            getValues: () => [
+              ['Recipient Email', 'Calendar ID', 'Timezone', 'Send Time', 'Skip Weekends'],
+              ['early@example.com', 'early@gmail.com', 'Europe/London', '6:30 AM', true],
+              ['evening@example.com', 'evening@gmail.com', 'America/New_York', '18:00', 'Yes'],
+              ['invalid@example.com', 'invalid@gmail.com', '', 'breakfast', 'no'],
+              ['default@example.com', 'default@gmail.com', '', '', '']
+            ]
+          })
+        })
+      })
+    };
+    
+    const result = loadConfiguration();
+    const byEmail = {};
+    result.recipients.forEach(r => { byEmail[r.email] = r; });
+    
+    Assert.equal(byEmail['early@example.com'].preferences.sendHour, 6, 'Should parse 12-hour time');
+    Assert.equal(byEmail['evening@example.com'].preferences.sendHour, 18, 'Should parse 24-hour time');
+    Assert.equal(byEmail['invalid@example.com'].preferences.sendHour, undefined, 'Should ignore invalid send times');
+    Assert.equal(byEmail['default@example.com'].preferences.sendHour, undefined, 'Should leave send hour unset when blank');
+    Assert.true(byEmail['early@example.com'].preferences.skipWeekends, 'Should read checkbox cells');
+    Assert.true(byEmail['evening@example.com'].preferences.skipWeekends, 'Should read "Yes"');
+    Assert.falsy(byEmail['invalid@example.com'].preferences.skipWeekends, 'Should not skip weekends for "no"');
+  });
+  
+  suite.test('loadConfiguration - matches headers by case, spacing and alias', () => {
+    this.PropertiesService = {
+      getScriptProperties: () => MockUtilities.createMockProperties({
+        'SPREADSHEET_ID': 'test-spreadsheet-id',
+        'CONFIG_SHEET_NAME': 'Config',
+        'CONFIG_HEADER_ALIASES': 'Frequency: How Often'
+      }),
+      getUserProperties: () => MockUtilities.createMockProperties()
+    };
+    
+    this.SpreadsheetApp = {
+      openById: (id) => ({
+        getSheetByName: (name) => ({
+          getDataRange: () => ({
+            getValues: () => [
+              ['email ', 'calendar_id', 'TIME ZONE', 'How often', 'Owner Notes'],
+              ['alias@example.com', 'alias@gmail.com', 'Asia/Tokyo', 'Weekdays', 'VIP']
+            ]
+          })
+        })
+      })
+    };
+    Config.clearCache();
+    
+    const result = loadConfiguration();
+    
+    Assert.equal(result.recipients.length, 1, 'Should load the recipient');
+    Assert.equal(result.recipients[0].preferences.timezone, 'Asia/Tokyo', 'Should match headers ignoring case and spacing');
+    Assert.equal(result.recipients[0].preferences.frequency, 'weekdays', 'Should use configured aliases');
+    Assert.equal(result.headerMatches['Recipient Email'].header, 'email ', 'Should report which header matched');
+    Assert.true(result.headerMatches['Recipient Email'].alias, 'Should report alias matches');
+    Assert.equal(result.warnings.length, 1, 'Should warn about unrecognized columns');
+    Assert.contains(result.warnings[0], 'Owner Notes', 'Should name the unrecognized column');
+  });
+  
+  suite.test('loadConfiguration - numbers recipients by row and records skipped rows', () => {
+    this.PropertiesService = {
+      getScriptProperties: () => MockUtilities.createMockProperties({ 'SPREADSHEET_ID': 'test-spreadsheet-id', 'CONFIG_SHEET_NAME': 'Config' }),
+      getUserProperties: () => MockUtilities.createMockProperties()
+    };
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', {
+      'Config': [
+        ['Recipient Email', 'Calendar ID', 'Status', 'Last Result'],
+        ['good@example.com', 'good@gmail.com', '', ''],
+        ['not-an-email', 'bad@gmail.com', '', ''],
+        ['', '', '', ''],
+        ['away@example.com', 'away@gmail.com', 'Disabled', ''],
+        ['nocal@example.com', '', '', '']
+      ]
+    });
+    this.SpreadsheetApp = { openById: () => spreadsheet };
+    Config.clearCache();
+    
+    const result = loadConfiguration();
+    
+    Assert.equal(result.recipients[0].row, 2, 'Should keep the sheet row number');
+    Assert.contains(result.rowResults.get(3), 'Invalid email format', 'Should record validation errors');
+    Assert.equal(result.rowResults.get(4), null, 'Should ignore blank rows');
+    Assert.equal(result.rowResults.get(5), '⏸️ Disabled', 'Should record opted-out rows');
+    Assert.equal(result.rowResults.get(6), `${ROW_RESULT_PROBLEM} Missing Calendar ID`, 'Should name the missing value');
+  });
+  
+  suite.test('loadConfiguration - warns about unknown preferences and reports skipped rows as errors', () => {
+    this.PropertiesService = {
+      getScriptProperties: () => MockUtilities.createMockProperties({ 'SPREADSHEET_ID': 'test-spreadsheet-id', 'CONFIG_SHEET_NAME': 'Config' }),
+      getUserProperties: () => MockUtilities.createMockProperties()
+    };
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', {
+      'Config': [
+        ['Recipient Email', 'Calendar ID', 'Timezone', 'Frequency', 'Format', 'Group By'],
+        ['good@example.com', 'good@gmail.com', 'Asia/Tokyo', 'Daily', 'rich', ''],
+        ['typo@example.com', 'typo@gmail.com', 'America/New York', 'Weekly', '', ''],
+        ['broken@example.com', 'broken@gmail.com', '', '', '', 'Color']
+      ]
+    });
+    this.SpreadsheetApp = { openById: () => spreadsheet };
+    Config.clearCache();
+    
+    const result = loadConfiguration();
+    
+    Assert.arrayEqual(result.recipients.map(r => r.email), ['good@example.com', 'typo@example.com'], 'Should keep sending rows with unknown timezone or frequency');
+    Assert.equal(result.warnings.length, 3, 'Should report each ignored value');
+    Assert.contains(result.warnings[1], 'Row 3 (typo@example.com) - Timezone', 'Should name the row and field');
+    Assert.contains(result.rowResults.get(2), `${ROW_RESULT_WARNING} Format`, 'Should flag ignored values on the row');
+    Assert.contains(result.rowResults.get(3), 'Frequency: Unknown value "Weekly", using Daily', 'Should list every ignored value on the row');
+    Assert.equal(result.errors.length, 1, 'Should report the skipped row as an error');
+    Assert.contains(result.errors[0], 'Row 4 (broken@example.com) skipped - Group By', 'Should name the row and field');
+    Assert.contains(result.rowResults.get(4), `${ROW_RESULT_PROBLEM} Group By`, 'Should flag the skipped row');
+  });
+  
+  suite.test('validateConfigSheet - checks each calendar once and writes results', () => {
+    this.PropertiesService = {
+      getScriptProperties: () => MockUtilities.createMockProperties({ 'SPREADSHEET_ID': 'test-spreadsheet-id', 'CONFIG_SHEET_NAME': 'Config' }),
+      getUserProperties: () => MockUtilities.createMockProperties()
+    };
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', {
+      'Config': [
+        ['Recipient Email', 'Calendar ID', 'Last Result'],
+        ['a@example.com', 'team@group.calendar.google.com, en.usa#holiday@group.v.calendar.google.com', ''],
+        ['b@example.com', 'team@group.calendar.google.com, gone@example.com', '']
+      ]
+    });
+    const lookups = [];
+    this.SpreadsheetApp = { openById: () => spreadsheet };
+    this.CalendarApp = {
+      getCalendarById: (id) => {
+        lookups.push(id);
+        return id === 'gone@example.com' ? null : MockUtilities.createMockCalendar(id, []);
+      }
+    };
+    this.Session = {
+      getActiveUser: () => ({ getEmail: () => 'owner@example.com' }),
+      getEffectiveUser: () => ({ getEmail: () => 'owner@example.com' })
+    };
+    Config.clearCache();
+    
+    const result = validateConfigSheet();
+    const rows = spreadsheet.getSheetByName('Config').rows;
+    
+    Assert.equal(lookups.length, 3, 'Should open each calendar once');
+    Assert.contains(result.calendarErrors['gone@example.com'], 'not shared with owner@example.com', 'Should explain inaccessible calendars');
+    Assert.equal(rows[1][2], '✅ Valid, calendars accessible', 'Should mark valid rows');
+    Assert.contains(rows[2][2], `${ROW_RESULT_PROBLEM} Calendar "gone@example.com" not found`, 'Should flag rows with missing calendars');
+  });
+  
+  suite.test('loadConfiguration - resolves recipient templates from Templates tab', () => {
+    this.PropertiesService = {
+      getScriptProperties: () => ({
+        getProperty: (key) => {
+          switch(key) {
+            case 'SPREADSHEET_ID': return 'test-spreadsheet-id';
+            case 'CONFIG_SHEET_NAME': return 'Config';
+            default: return null;
+          }
+        }
+      }),
+      getUserProperties: () => ({
+        getProperty: () => null
+      })
+    };
+    
+    const sheets = {
+      'Config': [
+        ['Recipient Email', 'Calendar ID', 'Template'],
+        ['custom@example.com', 'custom@gmail.com', 'Compact'],
+        ['missing@example.com', 'missing@gmail.com', 'Nonexistent'],
+        ['default@example.com', 'default@gmail.com', '']
+      ],
+      'Templates': [
+        ['Name', 'HTML Template', 'Text Template'],
+        ['Compact', '<p>{{recipientName}}</p>', 'Hi {{recipientName}}']
+      ]
+    };
+    
+    this.SpreadsheetApp = {
+      openById: (id) => ({
+        getSheetByName: (name) => sheets[name] ? {
+          getDataRange: () => ({
+            getValues: () => sheets[name]
+          })
+        } : null
+      })
+    };
+    
+    const result = loadConfiguration();
+    const byEmail = {};
+    result.recipients.forEach(r => { byEmail[r.email] = r; });
+    
+    Assert.truthy(result.templates.compact, 'Should expose loaded templates');
+    Assert.equal(byEmail['custom@example.com'].preferences.template, 'compact', 'Should select named template');
+    Assert.falsy(byEmail['missing@example.com'].preferences.template, 'Should fall back when template is unknown');
+    Assert.falsy(byEmail['default@example.com'].preferences.template, 'Should use built-in layout by default');
+  });
+  
   suite.test('loadConfiguration - filters out opted-out recipients', () => {
     this.Config = {
       get: (key) => {
@@ -399,6 +658,33 @@ function createEmailSendingIntegrationTestSuite() {
     Assert.equal(mailAppEmail.to, 'fail@example.com', 'Fallback should handle the failed email');
   });
   
+  suite.test('sendEmailsBatched - passes HTML body to GmailApp and MailApp fallback', () => {
+    this.GmailApp = {
+      sendEmail: (to, subject, body, options) => {
+        if (to === 'fail@example.com') {
+          throw new Error('Gmail service temporarily unavailable');
+        }
+        emailsSent.push({ service: 'GmailApp', to, subject, body, options });
+        return true;
+      }
+    };
+    
+    const emailQueue = [
+      { to: 'success@example.com', subject: 'Test 1', body: 'Body 1', options: { htmlBody: '<p>Body 1</p>' } },
+      { to: 'fail@example.com', subject: 'Test 2', body: 'Body 2', options: { htmlBody: '<p>Body 2</p>' } }
+    ];
+    
+    const tracker = new ExecutionTracker();
+    sendEmailsBatched(emailQueue, tracker);
+    
+    const gmailEmail = emailsSent.find(e => e.service === 'GmailApp');
+    const mailAppEmail = emailsSent.find(e => e.service === 'MailApp');
+    
+    Assert.equal(gmailEmail.options.htmlBody, '<p>Body 1</p>', 'GmailApp should receive HTML body');
+    Assert.equal(mailAppEmail.htmlBody, '<p>Body 2</p>', 'MailApp fallback should receive HTML body');
+    Assert.equal(mailAppEmail.body, 'Body 2', 'MailApp fallback should keep plain text body');
+  });
+  
   suite.test('sendEmailsBatched - tracks retry attempts', () => {
     let attempt = 0;
     this.retryOperation = (operation, maxRetries) => {
@@ -0,0 +1,345 @@
+/**
+ * Config Sheet Columns and Provisioning
+ *
+ * Declares the columns of the Config tab and resolves them from a header row.
+ * Headers match case-, spacing- and punctuation-insensitively, by their name
+ * or an alias (e.g. "email" for "Recipient Email"); more aliases can be added
+ * in the CONFIG_HEADER_ALIASES setting.
+ *
+ * Provisioning creates or repairs the Config tab: a bold, frozen header row
+ * with a note on every column, and dropdowns for columns that take a fixed set
+ * of values. Older sheets are migrated by appending the columns they lack
+ * after the existing ones, so no existing data moves. Rows whose "Last Result"
+ * reports a problem are highlighted (see RowResults.js).
+ */
+
+/**
+ * Columns of the Config tab
+ *   header   - Column name, written by provisioning
+ *   aliases  - Other header texts accepted for the column
+ *   required - Row is skipped without a value
+ *   note     - Shown as a note on the header cell
+ *   values   - Dropdown options (loadConfiguration ignores case)
+ *   output   - Filled in by the script after each run
+ */
+const CONFIG_SHEET_COLUMNS = [
+  {
+    header: 'Recipient Email',
+    aliases: ['Email', 'Email Address', 'Recipient'],
+    required: true,
+    note: 'Required. Email address that receives the summary.'
+  },
+  {
+    header: 'Calendar ID',
+    aliases: ['Calendar', 'Calendar IDs', 'Calendar Email'],
+    required: true,
+    note: 'Required. Calendar to summarize: its owner\'s email address, or the Calendar ID from Calendar settings > Integrate calendar for shared, room and holiday calendars. Separate several with commas.'
+  },
+  {
+    header: 'Timezone',
+    aliases: ['Time Zone', 'TZ'],
+    note: 'IANA timezone for times and "today", e.g. America/New_York. Blank uses the script timezone.'
+  },
+  {
+    header: 'Time Format',
+    aliases: ['Clock', 'Hour Format'],
+    note: '12h (default) or 24h.',
+    values: ['12h', '24h']
+  },
+  {
+    header: 'Date Range',
+    aliases: ['Range', 'Period'],
+    note: 'Which events to include. Blank means Today.',
+    values: ['Today', 'Tomorrow', 'Next 3 Days', 'This Week', 'Next Week', 'Weekdays Only']
+  },
+  {
+    header: 'Frequency',
+    aliases: ['Schedule', 'Send Days'],
+    note: 'Which days to send. Blank means Daily.',
+    values: ['Daily', 'Weekdays Only', 'Mondays Only', 'Wednesdays Only', 'Fridays Only', 'Weekends Only', 'Never']
+  },
+  {
+    header: 'Status',
+    aliases: ['State', 'Subscription'],
+    note: 'Disabled stops emails to this row (opt-out). Blank means Active.',
+    values: ['Active', 'Disabled']
+  },
+  {
+    header: 'Filter Keywords',
+    aliases: ['Keywords', 'Filter', 'Filters'],
+    note: 'Comma-separated terms an event must all match; "-" excludes. Also: a OR b, "quoted phrase", title:/description:/location: to search one field, /regex/, and * or ? wildcards.'
+  },
+  {
+    header: 'Format',
+    aliases: ['Email Format'],
+    note: 'html, text or both (default).'
+  },
+  {
+    header: 'Template',
+    aliases: ['Email Template', 'Template Name'],
+    note: 'Name of a template on the Templates tab. Blank uses the built-in layout.'
+  },
+  {
+    header: 'Send Time',
+    aliases: ['Send Hour', 'Delivery Time'],
+    note: 'Hour to send in the recipient\'s timezone, e.g. 7:00 or 6pm. Used by the hourly dispatch trigger.'
+  },
+  {
+    header: 'Skip Weekends',
+    aliases: ['Exclude Weekends', 'No Weekends'],
+    note: 'Yes to leave Saturdays and Sundays out of multi-day summaries.'
+  },
+  {
+    header: 'My Status',
+    aliases: ['RSVP', 'Response', 'Responses'],
+    note: 'Only include events you answered this way: comma-separated Accepted, Tentative, Declined, Invited (not answered yet). Events you created count as Accepted; events you are not a guest of are left out. Blank includes all.'
+  },
+  {
+    header: 'Ownership',
+    aliases: ['Owner', 'Organizer'],
+    note: 'Owned for events you created, Invited for events others added you to as a guest. Blank means Any.',
+    values: ['Any', 'Owned', 'Invited']
+  },
+  {
+    header: 'Visibility',
+    aliases: ['Privacy'],
+    note: 'Public (includes default visibility) or Private (includes confidential). Blank means Any.',
+    values: ['Any', 'Public', 'Private']
+  },
+  {
+    header: 'Show As',
+    aliases: ['Free Busy', 'Transparency', 'Availability'],
+    note: 'Busy or Free, as set on the event. Blank means Any.',
+    values: ['Any', 'Busy', 'Free']
+  },
+  {
+    header: 'Min Duration',
+    aliases: ['Minimum Duration', 'Min Length'],
+    note: 'Leave out events shorter than this, e.g. 15, 30m or 1h. All-day events are always included.'
+  },
+  {
+    header: 'Event Colors',
+    aliases: ['Colors', 'Event Color', 'Color Filter'],
+    note: 'Only include events with these colors, e.g. Tomato, Basil; "-" excludes, e.g. -Graphite. Default means events shown in their calendar\'s color. Blank includes all.'
+  },
+  {
+    header: 'Group By',
+    aliases: ['Grouping', 'Group Events'],
+    note: 'Time lists events in time order, tagged with their calendar when there are several (default). Calendar lists each calendar\'s events under its own heading.',
+    values: ['Time', 'Calendar']
+  },
+  {
+    header: 'Last Result',
+    aliases: ['Validation', 'Result', 'Status Message'],
+    note: 'Filled in by the script: what happened to this row in the latest run. Problem rows are highlighted.',
+    output: true
+  },
+  {
+    header: 'Last Sent',
+    aliases: ['Last Sent At', 'Sent At'],
+    note: 'Filled in by the script: when this row\'s summary was last delivered.',
+    output: true
+  }
+];
+
+
+/**
+ * Normalizes a header for matching: lower case, punctuation and extra spaces removed
+ * @param {*} header - Header cell value
+ * @returns {string} Normalized header, e.g. "recipient email" for " Recipient_Email "
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Parses the CONFIG_HEADER_ALIASES setting
+ * @param {string} text - Aliases like "Recipient Email: Mail, Addressee; Calendar ID: Cal"
+ * @returns {Object} { aliases: map of column name to aliases, warnings }
+ */
+function parseHeaderAliases(text) {
+  const aliases = {};
+  const warnings = [];
+
+  String(text || '').split(';').map(entry => entry.trim()).filter(entry => entry).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const name = separator === -1 ? entry : entry.substring(0, separator);
+    const column = CONFIG_SHEET_COLUMNS.find(candidate => normalizeHeader(candidate.header) === normalizeHeader(name));
+    if (separator === -1 || !column) {
+      warnings.push(`CONFIG_HEADER_ALIASES entry "${entry}" ignored - use "Column Name: alias, alias" with a known column`);
+      return;
+    }
+    aliases[column.header] = entry.substring(separator + 1).split(',').map(alias => alias.trim()).filter(alias => alias);
+  });
+
+  return { aliases, warnings };
+}
+
+/**
+ * Matches a header row to the Config tab columns
+ *
+ * A column's own name wins over its aliases. Each header is used for one
+ * column at most; non-empty headers that match nothing are unrecognized.
+ *
+ * @param {Array} headers - Header row
+ * @param {Object} extraAliases - Map of column name to additional aliases
+ * @returns {Object} { indexes: column name -> index or -1, matches: column name -> { header, alias }, unrecognized }
+ */
+function resolveConfigHeaders(headers, extraAliases = {}) {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  const indexes = {};
+  const matches = {};
+
+  CONFIG_SHEET_COLUMNS.forEach(column => {
+    indexes[column.header] = -1;
+    const candidates = [column.header, ...(column.aliases || []), ...(extraAliases[column.header] || [])];
+    for (const candidate of candidates) {
+      const index = normalized.findIndex((header, i) => header === normalizeHeader(candidate) && !used.has(i));
+      if (index !== -1) {
+        used.add(index);
+        indexes[column.header] = index;
+        matches[column.header] = { header: String(headers[index]), alias: normalizeHeader(candidate) !== normalizeHeader(column.header) };
+        break;
+      }
+    }
+  });
+
+  const unrecognized = headers
+    .filter((header, index) => normalized[index] && !used.has(index))
+    .map(header => String(header).trim());
+
+  return { indexes, matches, unrecognized };
+}
+
+/**
+ * Resolves a Config tab header row using the aliases from CONFIG_HEADER_ALIASES
+ * @param {Array} headers - Header row
+ * @returns {Object} resolveConfigHeaders result plus warnings about the alias setting
+ */
+function resolveConfigSheetHeaders(headers) {
+  const { aliases, warnings } = parseHeaderAliases(Config.get('CONFIG_HEADER_ALIASES'));
+  return { ...resolveConfigHeaders(headers, aliases), warnings };
+}
+
+/**
+ * Creates or repairs a Config tab
+ * @param {Spreadsheet} spreadsheet - Spreadsheet holding the tab
+ * @param {string} sheetName - Tab name
+ * @returns {Object} { sheetName, created, addedColumns }
+ */
+function provisionConfigTab(spreadsheet, sheetName) {
+  let sheet = spreadsheet.getSheetByName(sheetName);
+  const created = !sheet;
+  if (created) {
+    sheet = spreadsheet.insertSheet(sheetName);
+  }
+
+  const lastColumn = sheet.getLastColumn();
+  const headers = lastColumn > 0
+    ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(header => String(header).trim())
+    : [];
+
+  // Append missing columns after everything that is already there
+  const { indexes } = resolveConfigSheetHeaders(headers);
+  const addedColumns = CONFIG_SHEET_COLUMNS
+    .map(column => column.header)
+    .filter(header => indexes[header] === -1);
+  if (addedColumns.length > 0) {
+    sheet.getRange(1, lastColumn + 1, 1, addedColumns.length).setValues([addedColumns]);
+    addedColumns.forEach((header, i) => {
+      indexes[header] = lastColumn + i;
+    });
+  }
+
+  sheet.getRange(1, 1, 1, lastColumn + addedColumns.length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+
+  const dataRows = Math.max(sheet.getMaxRows() - 1, 1);
+  CONFIG_SHEET_COLUMNS.forEach(column => {
+    const columnNumber = indexes[column.header] + 1;
+    sheet.getRange(1, columnNumber).setNote(column.note);
+
+    if (column.values) {
+      // Invalid entries are flagged rather than rejected so existing rows keep working
+      const rule = SpreadsheetApp.newDataValidation()
+        .requireValueInList(column.values, true)
+        .setAllowInvalid(true)
+        .setHelpText(column.note)
+        .build();
+      sheet.getRange(2, columnNumber, dataRows, 1).setDataValidation(rule);
+    }
+  });
+
+  highlightRowResults(sheet, indexes['Last Result'] + 1, lastColumn + addedColumns.length, dataRows);
+
+  return { sheetName, created, addedColumns };
+}
+
+/**
+ * Converts a column number to its A1 letters
+ * @param {number} columnNumber - 1-based column number
+ * @returns {string} Column letters, e.g. "AB" for 28
+ */
+function getColumnLetter(columnNumber) {
+  let letters = '';
+  for (let n = columnNumber; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Highlights rows whose "Last Result" starts with a problem marker
+ * Earlier highlight rules are replaced, so the rules follow the column if it moves.
+ * @param {Sheet} sheet - Config tab
+ * @param {number} resultColumn - Column number of "Last Result"
+ * @param {number} lastColumn - Last column to highlight
+ * @param {number} dataRows - Number of data rows to cover
+ */
+function highlightRowResults(sheet, resultColumn, lastColumn, dataRows) {
+  const highlights = [
+    { prefix: ROW_RESULT_PROBLEM, background: '#f4cccc' },
+    { prefix: ROW_RESULT_WARNING, background: '#fce5cd' }
+  ];
+  const formulaPattern = /^=LEFT\(\$[A-Z]+2, 1\)=".+"$/;
+  const otherRules = sheet.getConditionalFormatRules().filter(rule => {
+    const condition = rule.getBooleanCondition();
+    return !condition || !formulaPattern.test(String(condition.getCriteriaValues()[0]));
+  });
+
+  const range = sheet.getRange(2, 1, dataRows, lastColumn);
+  const letter = getColumnLetter(resultColumn);
+  // "⚠️" is a sign plus a variation selector, so only the first character is compared
+  const highlightRules = highlights.map(highlight => SpreadsheetApp.newConditionalFormatRule()
+    .whenFormulaSatisfied(`=LEFT($${letter}2, 1)="${highlight.prefix.charAt(0)}"`)
+    .setBackground(highlight.background)
+    .setRanges([range])
+    .build());
+
+  sheet.setConditionalFormatRules([...otherRules, ...highlightRules]);
+}
+
+/**
+ * Creates or repairs the configured Config tab
+ * Safe to run repeatedly: existing headers and data are left in place.
+ * @returns {Object} Provisioning result (see provisionConfigTab)
+ */
+function provisionConfigSheet() {
+  requireScriptOwner('change its config sheet');
+  const spreadsheetId = Config.get('SPREADSHEET_ID');
+  if (!spreadsheetId) {
+    throw new Error('SPREADSHEET_ID not configured. Run the setup wizard or runInitialSetup() first.');
+  }
+
+  const result = provisionConfigTab(SpreadsheetApp.openById(spreadsheetId), Config.get('CONFIG_SHEET_NAME'));
+
+  if (result.created) {
+    Logger.log(`✅ Created config tab "${result.sheetName}" - add one row per recipient`);
+  } else if (result.addedColumns.length > 0) {
+    Logger.log(`✅ Added columns to "${result.sheetName}": ${result.addedColumns.join(', ')}`);
+  } else {
+    Logger.log(`✅ Config tab "${result.sheetName}" already has every column; refreshed notes and dropdowns`);
+  }
+  return result;
+}
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Config Sheet Provisioning
+ */
+
+function createProvisioningTestSuite() {
+  const suite = new TestSuite('Config Sheet Provisioning');
+
+  const ALL_HEADERS = CONFIG_SHEET_COLUMNS.map(column => column.header);
+
+  const mockServices = (spreadsheet) => {
+    this.SpreadsheetApp = {
+      openById: () => spreadsheet,
+      newDataValidation: () => MockUtilities.createMockDataValidationBuilder(),
+      newConditionalFormatRule: () => MockUtilities.createMockConditionalFormatRuleBuilder()
+    };
+    this.PropertiesService = {
+      getScriptProperties: () => MockUtilities.createMockProperties({ 'SPREADSHEET_ID': '1abcDEFghiJKLmnoPQRstuVWXyz0123456789', 'CONFIG_SHEET_NAME': 'Config' }),
+      getUserProperties: () => MockUtilities.createMockProperties()
+    };
+    Config.clearCache();
+  };
+
+  suite.test('provisionConfigTab - creates a tab with headers, notes and dropdowns', () => {
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars');
+    mockServices(spreadsheet);
+
+    const result = provisionConfigTab(spreadsheet, 'Config');
+    const sheet = spreadsheet.getSheetByName('Config');
+
+    Assert.true(result.created, 'Should report the created tab');
+    Assert.arrayEqual(sheet.rows[0], ALL_HEADERS, 'Should write every column header');
+    Assert.equal(sheet.frozenRows, 1, 'Should freeze the header row');
+    Assert.contains(sheet.notes['1,1'], 'Required', 'Should explain each column in a note');
+
+    const frequency = sheet.validations[`2,${ALL_HEADERS.indexOf('Frequency') + 1}`];
+    Assert.contains(frequency.rule.values, 'Weekdays Only', 'Should offer frequency values');
+    Assert.true(frequency.rule.allowInvalid, 'Should flag rather than reject existing values');
+    Assert.equal(Object.keys(sheet.validations).length, 8, 'Should add dropdowns for Time Format, Date Range, Frequency, Status, Ownership, Visibility, Show As and Group By');
+  });
+
+  suite.test('provisionConfigTab - migrates older sheets without moving data', () => {
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', {
+      'Config': [
+        ['Recipient Email', 'Calendar ID', 'Notes', 'Timezone'],
+        ['john@example.com', 'john@example.com', 'VIP', 'Europe/London']
+      ]
+    });
+    mockServices(spreadsheet);
+
+    const result = provisionConfigTab(spreadsheet, 'Config');
+    const sheet = spreadsheet.getSheetByName('Config');
+
+    Assert.false(result.created, 'Should reuse the existing tab');
+    Assert.notContains(result.addedColumns, 'Timezone', 'Should not duplicate existing columns');
+    Assert.contains(result.addedColumns, 'Send Time', 'Should add missing columns');
+    Assert.arrayEqual(sheet.rows[1], ['john@example.com', 'john@example.com', 'VIP', 'Europe/London'], 'Should leave data in place');
+    Assert.equal(sheet.rows[0][2], 'Notes', 'Should keep custom columns');
+    Assert.equal(sheet.rows[0].length, 4 + result.addedColumns.length, 'Should append new columns at the end');
+  });
+
+  suite.test('provisionConfigTab - is a no-op for up-to-date sheets', () => {
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', { 'Config': [ALL_HEADERS.slice()] });
+    mockServices(spreadsheet);
+
+    const result = provisionConfigTab(spreadsheet, 'Config');
+
+    Assert.equal(result.addedColumns.length, 0, 'Should add nothing');
+    Assert.equal(spreadsheet.getSheetByName('Config').rows[0].length, ALL_HEADERS.length, 'Should keep the header row');
+  });
+
+  suite.test('resolveConfigHeaders - prefers exact names and reports unrecognized headers', () => {
+    const resolution = resolveConfigHeaders(['Calendar', ' calendar id ', 'E-mail', 'Recipient_Email', 'Notes', '']);
+
+    Assert.equal(resolution.indexes['Calendar ID'], 1, 'Should prefer the column name over an alias');
+    Assert.equal(resolution.indexes['Recipient Email'], 3, 'Should ignore case and punctuation');
+    Assert.false(resolution.matches['Calendar ID'].alias, 'Should report a name match');
+    Assert.equal(resolution.indexes['Timezone'], -1, 'Should report missing columns');
+    Assert.arrayEqual(resolution.unrecognized, ['Calendar', 'E-mail', 'Notes'], 'Should list non-empty unmatched headers');
+  });
+
+  suite.test('parseHeaderAliases - reads extra aliases and flags bad entries', () => {
+    const parsed = parseHeaderAliases('recipient email: Mail, Addressee; Nickname: Nick; Calendar ID');
+
+    Assert.arrayEqual(parsed.aliases['Recipient Email'], ['Mail', 'Addressee'], 'Should map aliases to the column');
+    Assert.equal(parsed.warnings.length, 2, 'Should warn about unknown columns and missing aliases');
+    Assert.equal(resolveConfigHeaders(['Addressee'], parsed.aliases).indexes['Recipient Email'], 0, 'Should match extra aliases');
+  });
+
+  suite.test('provisionConfigTab - treats aliased headers as present', () => {
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', { 'Config': [['Email', 'Calendar']] });
+    mockServices(spreadsheet);
+
+    const result = provisionConfigTab(spreadsheet, 'Config');
+
+    Assert.notContains(result.addedColumns, 'Recipient Email', 'Should not add a column matched by alias');
+    Assert.notContains(result.addedColumns, 'Calendar ID', 'Should not add a column matched by alias');
+  });
+
+  suite.test('provisionConfigTab - highlights problem rows and replaces its own rules', () => {
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', { 'Config': [['Recipient Email', 'Calendar ID', 'Last Result']] });
+    mockServices(spreadsheet);
+    const sheet = spreadsheet.getSheetByName('Config');
+    const ownerRule = { getBooleanCondition: () => null };
+    sheet.conditionalFormatRules = [ownerRule];
+
+    provisionConfigTab(spreadsheet, 'Config');
+    provisionConfigTab(spreadsheet, 'Config');
+
+    const formulas = sheet.conditionalFormatRules.filter(rule => rule !== ownerRule).map(rule => rule.formula);
+    Assert.equal(sheet.conditionalFormatRules[0], ownerRule, 'Should keep other conditional formatting');
+    Assert.arrayEqual(formulas, ['=LEFT($C2, 1)="❌"', '=LEFT($C2, 1)="⚠"'], 'Should highlight by the Last Result column once');
+    Assert.equal(getColumnLetter(28), 'AB', 'Should convert column numbers to letters');
+  });
+
+  suite.test('provisionConfigSheet - uses the configured spreadsheet and tab', () => {
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', { 'Sheet1': [] });
+    mockServices(spreadsheet);
+
+    const result = provisionConfigSheet();
+
+    Assert.equal(result.sheetName, 'Config', 'Should use CONFIG_SHEET_NAME');
+    Assert.truthy(spreadsheet.getSheetByName('Config'), 'Should create the configured tab');
+  });
+
+  return suite;
+}
@@ -0,0 +1,139 @@
+/**
+ * Config Sheet Row Results
+ *
+ * Collects what happened to each Config tab row during a run - sent, already
+ * sent, skipped by frequency, disabled, or the problem that stopped it - and
+ * writes it to the "Last Result" and "Last Sent" columns, so sheet editors can
+ * see why someone did not get an email without opening the execution logs.
+ *
+ * Problem results start with ROW_RESULT_PROBLEM or ROW_RESULT_WARNING;
+ * provisioning highlights rows whose result starts with either.
+ *
+ * Hourly dispatch loads every row but only processes those due, so rows a run
+ * does not process keep their last delivery outcome; only their validation
+ * results are refreshed.
+ */
+
+/**
+ * Prefix of results that stopped a row from being sent
+ */
+const ROW_RESULT_PROBLEM = '❌';
+
+/**
+ * Prefix of results for rows that were sent with something ignored
+ */
+const ROW_RESULT_WARNING = '⚠️';
+
+/**
+ * Prefixes of delivery outcomes that rows not processed by a run carry over
+ */
+const ROW_RESULT_OUTCOME_PREFIXES = ['✅', '⏭️', '⏸️', '⏳'];
+
+/**
+ * Per-row outcomes of a run for the Config tab
+ */
+class ConfigRowResults {
+  /**
+   * @param {Sheet} sheet - Config tab (null when results cannot be written)
+   * @param {Object} columns - Column name -> index, as from resolveConfigHeaders
+   */
+  constructor(sheet, columns = {}) {
+    this.sheet = sheet;
+    this.columns = columns;
+    this.results = new Map();
+    this.sentRows = new Set();
+    this.keptRows = new Set();
+  }
+
+  /**
+   * Records an outcome for one or more rows
+   * A row can collect several outcomes, e.g. one per calendar; duplicates are dropped.
+   * @param {number|number[]} rows - Sheet row numbers (1-based, header is row 1)
+   * @param {string} result - Outcome text
+   */
+  record(rows, result) {
+    [].concat(rows).filter(row => row).forEach(row => {
+      const outcomes = this.results.get(row) || [];
+      if (!outcomes.includes(result)) {
+        outcomes.push(result);
+      }
+      this.results.set(row, outcomes);
+    });
+  }
+
+  /**
+   * Records that a summary was delivered for one or more rows
+   * @param {number|number[]} rows - Sheet row numbers
+   */
+  markSent(rows) {
+    [].concat(rows).filter(row => row).forEach(row => this.sentRows.add(row));
+  }
+
+  /**
+   * Marks rows this run does not process, so their last delivery outcome is kept
+   * Validation results recorded for them still replace the previous ones.
+   * @param {number|number[]} rows - Sheet row numbers
+   */
+  keepPreviousOutcome(rows) {
+    [].concat(rows).filter(row => row).forEach(row => this.keptRows.add(row));
+  }
+
+  /**
+   * Gets the combined outcome of a row, problems first
+   * @param {number} row - Sheet row number
+   * @returns {string|null} Outcome text, or null if nothing was recorded
+   */
+  get(row) {
+    const outcomes = this.results.get(row);
+    if (!outcomes) return null;
+
+    const isProblem = (result) => result.startsWith(ROW_RESULT_PROBLEM) || result.startsWith(ROW_RESULT_WARNING);
+    return [...outcomes.filter(isProblem), ...outcomes.filter(result => !isProblem(result))].join('; ');
+  }
+
+  /**
+   * Writes the recorded outcomes to the "Last Result" and "Last Sent" columns
+   * Rows without an outcome in this run keep their previous values. Each
+   * column is read and written in one call.
+   * @param {Date} sentAt - Timestamp for "Last Sent" (default: now)
+   * @returns {number} Number of rows updated
+   */
+  write(sentAt = new Date()) {
+    if (!this.sheet || (this.results.size === 0 && this.sentRows.size === 0)) {
+      return 0;
+    }
+
+    const resultIndex = this.columns['Last Result'] === undefined ? -1 : this.columns['Last Result'];
+    const sentIndex = this.columns['Last Sent'] === undefined ? -1 : this.columns['Last Sent'];
+    if (resultIndex === -1 && sentIndex === -1) {
+      Logger.log('Tip: run provisionConfigSheet() to add "Last Result" and "Last Sent" columns showing each row\'s outcome');
+      return 0;
+    }
+
+    const lastRow = Math.max(...this.results.keys(), ...this.sentRows);
+    const updateColumn = (index, valueForRow) => {
+      if (index === -1) return;
+      const range = this.sheet.getRange(2, index + 1, lastRow - 1, 1);
+      const values = range.getValues();
+      values.forEach((value, i) => {
+        const newValue = valueForRow(i + 2, value[0]);
+        if (newValue !== null) {
+          value[0] = newValue;
+        }
+      });
+      range.setValues(values);
+    };
+    const resultForRow = (row, previous) => {
+      const result = this.get(row);
+      if (result === null || !this.keptRows.has(row)) return result;
+      const outcomes = String(previous || '').split('; ')
+        .filter(outcome => ROW_RESULT_OUTCOME_PREFIXES.some(prefix => outcome.startsWith(prefix)) && !this.results.get(row).includes(outcome));
+      return [result, ...outcomes].join('; ');
+    };
+
+    updateColumn(resultIndex, resultForRow);
+    updateColumn(sentIndex, row => this.sentRows.has(row) ? sentAt : null);
+
+    return new Set([...this.results.keys(), ...this.sentRows]).size;
+  }
+}
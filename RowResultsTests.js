@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for Config Sheet Row Results
+ */
+
+function createRowResultsTestSuite() {
+  const suite = new TestSuite('Config Sheet Row Results');
+
+  const HEADERS = ['Recipient Email', 'Calendar ID', 'Last Result', 'Last Sent'];
+
+  suite.test('ConfigRowResults - combines outcomes per row, problems first', () => {
+    const results = new ConfigRowResults(null);
+
+    results.record(2, '✅ Sent');
+    results.record([2, 3], `${ROW_RESULT_PROBLEM} Calendar with ID "old@example.com" not found.`);
+    results.record(2, '✅ Sent');
+
+    Assert.equal(results.get(2), `${ROW_RESULT_PROBLEM} Calendar with ID "old@example.com" not found.; ✅ Sent`, 'Should list problems first without duplicates');
+    Assert.equal(results.get(4), null, 'Should return null for rows without outcomes');
+  });
+
+  suite.test('ConfigRowResults - writes recorded rows and keeps the rest', () => {
+    const lastWeek = new Date('2026-10-12T07:00:00Z');
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', {
+      'Config': [
+        HEADERS,
+        ['a@example.com', 'a@example.com', '✅ Sent', lastWeek],
+        ['b@example.com', 'b@example.com', '', ''],
+        ['c@example.com', 'c@example.com', 'old result', lastWeek]
+      ]
+    });
+    const sheet = spreadsheet.getSheetByName('Config');
+    const results = new ConfigRowResults(sheet, resolveConfigHeaders(HEADERS).indexes);
+    const now = new Date('2026-10-19T07:00:00Z');
+
+    results.record(3, '✅ Sent');
+    results.markSent(3);
+    results.record(4, `${ROW_RESULT_PROBLEM} Send failed: quota`);
+
+    Assert.equal(results.write(now), 2, 'Should report the updated rows');
+    Assert.arrayEqual(sheet.rows[1], ['a@example.com', 'a@example.com', '✅ Sent', lastWeek], 'Should leave rows without outcomes alone');
+    Assert.equal(sheet.rows[2][2], '✅ Sent', 'Should write the result');
+    Assert.equal(sheet.rows[2][3], now, 'Should stamp delivered rows');
+    Assert.equal(sheet.rows[3][2], `${ROW_RESULT_PROBLEM} Send failed: quota`, 'Should replace the previous result');
+    Assert.equal(sheet.rows[3][3], lastWeek, 'Should keep the last delivery of failed rows');
+  });
+
+  suite.test('ConfigRowResults - keeps the last outcome of rows a run does not process', () => {
+    const morning = new Date('2026-10-19T07:00:00Z');
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', {
+      'Config': [
+        HEADERS,
+        ['a@example.com', 'a@example.com', `${ROW_RESULT_WARNING} Time Format: Unknown value "24 hours", using 12h; ✅ Sent`, morning],
+        ['b@example.com', 'b@example.com', '✅ Sent', morning],
+        ['c@example.com', 'c@example.com', '', '']
+      ]
+    });
+    const sheet = spreadsheet.getSheetByName('Config');
+    const results = new ConfigRowResults(sheet, resolveConfigHeaders(HEADERS).indexes);
+
+    // A later hourly run: a and b are no longer due, c was skipped while loading the sheet
+    results.record(2, `${ROW_RESULT_WARNING} Time Format: Unknown value "24 hours", using 12h`);
+    results.record(3, `${ROW_RESULT_WARNING} Format: Unknown email format "rich", using "both"`);
+    results.record(4, `${ROW_RESULT_PROBLEM} Group By: Unknown value "Color"`);
+    results.keepPreviousOutcome([2, 3]);
+    results.write(new Date('2026-10-19T09:00:00Z'));
+
+    Assert.equal(sheet.rows[1][2], `${ROW_RESULT_WARNING} Time Format: Unknown value "24 hours", using 12h; ✅ Sent`, 'Should not change between runs');
+    Assert.equal(sheet.rows[2][2], `${ROW_RESULT_WARNING} Format: Unknown email format "rich", using "both"; ✅ Sent`, 'Should refresh validation results and keep the outcome');
+    Assert.equal(sheet.rows[2][3], morning, 'Should keep the last delivery');
+    Assert.equal(sheet.rows[3][2], `${ROW_RESULT_PROBLEM} Group By: Unknown value "Color"`, 'Should write validation-only results');
+  });
+
+  suite.test('ConfigRowResults - skips sheets without result columns', () => {
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', {
+      'Config': [['Recipient Email', 'Calendar ID'], ['a@example.com', 'a@example.com']]
+    });
+    const sheet = spreadsheet.getSheetByName('Config');
+    const results = new ConfigRowResults(sheet, resolveConfigHeaders(sheet.rows[0]).indexes);
+
+    results.record(2, '✅ Sent');
+
+    Assert.equal(results.write(), 0, 'Should not write anything');
+    Assert.equal(sheet.rows[1].length, 2, 'Should not add columns');
+  });
+
+  return suite;
+}
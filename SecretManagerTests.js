@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for the Secret Manager configuration backend
+ */
+
+function createSecretManagerTestSuite() {
+  const suite = new TestSuite('Secret Manager Configuration');
+
+  // Fake HTTP layer: maps secret resource names to [status, body] and records requests
+  const createFakeFetch = (responses) => {
+    const requests = [];
+    const fetch = (url, params) => {
+      requests.push({ url, params });
+      const name = url.replace('https://secretmanager.googleapis.com/v1/', '').replace(':access', '');
+      const [status, body] = responses[name] || [404, '{"error":{"code":404}}'];
+      return {
+        getResponseCode: () => status,
+        getContentText: () => typeof body === 'string' ? body : JSON.stringify(body)
+      };
+    };
+    return { fetch, requests };
+  };
+
+  const mockProperties = (values) => {
+    this.PropertiesService = {
+      getScriptProperties: () => MockUtilities.createMockProperties(values),
+      getUserProperties: () => MockUtilities.createMockProperties()
+    };
+  };
+
+  suite.test('getFromSecretManager - reads latest version with OAuth token', () => {
+    mockProperties({ 'GOOGLE_CLOUD_PROJECT_ID': 'my-project' });
+    const { fetch, requests } = createFakeFetch({
+      'projects/my-project/secrets/SPREADSHEET_ID/versions/latest': [200, { name: 'x', payload: { data: 'c2hlZXQtZnJvbS1zZWNyZXQ=' } }]
+    });
+    const config = new ConfigurationManager({ fetch, getAccessToken: () => 'token-123' });
+
+    const value = config.getFromSecretManager('SPREADSHEET_ID');
+
+    Assert.equal(value, 'sheet-from-secret', 'Should decode the secret payload');
+    Assert.equal(requests.length, 1, 'Should make one request');
+    Assert.equal(requests[0].url, 'https://secretmanager.googleapis.com/v1/projects/my-project/secrets/SPREADSHEET_ID/versions/latest:access', 'Should call the access endpoint');
+    Assert.equal(requests[0].params.headers.Authorization, 'Bearer token-123', 'Should send the OAuth token');
+    Assert.true(requests[0].params.muteHttpExceptions, 'Should handle HTTP errors itself');
+  });
+
+  suite.test('getFromSecretManager - uses pinned version', () => {
+    mockProperties({ 'GOOGLE_CLOUD_PROJECT_ID': 'my-project', 'SECRET_MANAGER_VERSION_SPREADSHEET_ID': '3' });
+    const { fetch } = createFakeFetch({
+      'projects/my-project/secrets/SPREADSHEET_ID/versions/3': [200, { payload: { data: 'cGlubmVkLXNoZWV0' } }]
+    });
+    const config = new ConfigurationManager({ fetch, getAccessToken: () => 'token' });
+
+    Assert.equal(config.getFromSecretManager('SPREADSHEET_ID'), 'pinned-sheet', 'Should read the pinned version');
+  });
+
+  suite.test('Config.get - prefers Secret Manager and falls back to Properties', () => {
+    mockProperties({ 'GOOGLE_CLOUD_PROJECT_ID': 'my-project', 'SPREADSHEET_ID': 'from-properties', 'CONFIG_SHEET_NAME': 'Config' });
+    const { fetch } = createFakeFetch({
+      'projects/my-project/secrets/SPREADSHEET_ID/versions/latest': [200, { payload: { data: 'c2hlZXQtZnJvbS1zZWNyZXQ=' } }]
+    });
+    const config = new ConfigurationManager({ fetch, getAccessToken: () => 'token' });
+
+    Assert.equal(config.get('SPREADSHEET_ID'), 'sheet-from-secret', 'Should use Secret Manager value');
+    Assert.equal(config.get('CONFIG_SHEET_NAME'), 'Config', 'Should fall back to Properties when secret is missing');
+  });
+
+  suite.test('getFromSecretManager - caches found and missing secrets', () => {
+    mockProperties({ 'GOOGLE_CLOUD_PROJECT_ID': 'my-project' });
+    const { fetch, requests } = createFakeFetch({
+      'projects/my-project/secrets/SPREADSHEET_ID/versions/latest': [200, { payload: { data: 'c2hlZXQtZnJvbS1zZWNyZXQ=' } }]
+    });
+    const config = new ConfigurationManager({ fetch, getAccessToken: () => 'token' });
+
+    config.getFromSecretManager('SPREADSHEET_ID');
+    config.getFromSecretManager('SPREADSHEET_ID');
+    config.getFromSecretManager('MISSING_KEY');
+    config.getFromSecretManager('MISSING_KEY');
+
+    Assert.equal(requests.length, 2, 'Should fetch each secret once');
+  });
+
+  suite.test('getFromSecretManager - does not cache server errors', () => {
+    mockProperties({ 'GOOGLE_CLOUD_PROJECT_ID': 'my-project' });
+    const { fetch, requests } = createFakeFetch({
+      'projects/my-project/secrets/SPREADSHEET_ID/versions/latest': [503, 'Service Unavailable']
+    });
+    const config = new ConfigurationManager({ fetch, getAccessToken: () => 'token' });
+
+    Assert.equal(config.getFromSecretManager('SPREADSHEET_ID'), null, 'Should return null on server error');
+    config.getFromSecretManager('SPREADSHEET_ID');
+    Assert.equal(requests.length, 2, 'Should retry on the next read');
+  });
+
+  suite.test('Config.get - only looks up secret keys in Secret Manager', () => {
+    mockProperties({ 'GOOGLE_CLOUD_PROJECT_ID': 'my-project', 'ACTIVE_PROFILE': 'dev', 'CONFIG_SHEET_NAME': 'Config', 'SEND_HOUR': '6' });
+    const { fetch, requests } = createFakeFetch({
+      'projects/my-project/secrets/PROFILE_DEV__SPREADSHEET_ID/versions/latest': [200, { payload: { data: 'ZGV2LXNoZWV0' } }]
+    });
+    const config = new ConfigurationManager({ fetch, getAccessToken: () => 'token' });
+
+    Assert.equal(config.get('CONFIG_SHEET_NAME'), 'Config', 'Should read non-secret keys from Properties');
+    Assert.strictEqual(config.get('SEND_HOUR'), 6, 'Should read non-secret keys from Properties');
+    Assert.equal(requests.length, 0, 'Should not call Secret Manager for non-secret keys or their profile overrides');
+    Assert.equal(config.get('SPREADSHEET_ID'), 'dev-sheet', 'Should read profile overrides of secret keys from Secret Manager');
+    Assert.arrayEqual(requests.map(request => request.url.split('/secrets/')[1]), ['PROFILE_DEV__SPREADSHEET_ID/versions/latest:access'], 'Should only request the secret');
+  });
+
+  suite.test('getFromSecretManager - skipped without a Cloud project', () => {
+    mockProperties({});
+    const { fetch, requests } = createFakeFetch({});
+    const config = new ConfigurationManager({ fetch, getAccessToken: () => 'token' });
+
+    Assert.equal(config.getFromSecretManager('SPREADSHEET_ID'), null, 'Should return null');
+    Assert.equal(requests.length, 0, 'Should not call the API');
+  });
+
+  return suite;
+}
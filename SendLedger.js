@@ -0,0 +1,129 @@
+/**
+ * Send Ledger
+ *
+ * Records which summaries have already been delivered so that re-running
+ * sendDailyEventSummary (manual runs, trigger hiccups, retries after a timeout)
+ * does not email a recipient twice for the same date range.
+ *
+ * Entries are stored in Script Properties as
+ * SEND_LEDGER_<email>|<day>|<start>|<end>, with the send timestamp
+ * (milliseconds) as the value. <day> is the recipient's local date of the run,
+ * so a range that spans several days ("this week") is still sent once a day.
+ * Script Properties share a ~500 KB quota with Config and Checkpoint, so
+ * prune() drops entries once their day or date range has ended - no run can
+ * build that key again - so the ledger holds at most two entries per recipient
+ * (the day is local, so yesterday's is kept until it has ended everywhere).
+ */
+
+const SEND_LEDGER_PREFIX = 'SEND_LEDGER_';
+
+class SendLedger {
+  /**
+   * @param {Properties} properties - Properties store (default: Script Properties)
+   */
+  constructor(properties = null) {
+    this.properties = properties || PropertiesService.getScriptProperties();
+  }
+
+  /**
+   * Builds the ledger key for a recipient, the day of the run and the date range
+   * @param {string} email - Recipient email address
+   * @param {Object} dateRange - Date range from calculateDateRange; its runDate is the day of the run
+   * @returns {string} Ledger key
+   */
+  static buildKey(email, dateRange) {
+    const day = dateRange.runDate || formatLedgerDay(getZonedDateParts(new Date(), dateRange.timezone));
+    return `${String(email).trim().toLowerCase()}|${day}|${dateRange.startDate.getTime()}|${dateRange.endDate.getTime()}`;
+  }
+
+  /**
+   * Checks whether a summary was already sent for the given key
+   * @param {string} key - Ledger key from buildKey
+   * @returns {boolean} True if the ledger has an entry
+   */
+  hasSent(key) {
+    return this.getSentAt(key) !== null;
+  }
+
+  /**
+   * Gets when a summary was sent for the given key
+   * @param {string} key - Ledger key from buildKey
+   * @returns {Date|null} Send time or null if not sent
+   */
+  getSentAt(key) {
+    const value = this.properties.getProperty(SEND_LEDGER_PREFIX + key);
+    return value ? new Date(Number(value)) : null;
+  }
+
+  /**
+   * Records a successful send
+   * @param {string} key - Ledger key from buildKey
+   * @param {Date} sentAt - Send time (default: now)
+   */
+  recordSent(key, sentAt = new Date()) {
+    this.properties.setProperty(SEND_LEDGER_PREFIX + key, String(sentAt.getTime()));
+  }
+
+  /**
+   * Removes the entry for a key so the summary can be sent again
+   * @param {string} key - Ledger key from buildKey
+   */
+  remove(key) {
+    this.properties.deleteProperty(SEND_LEDGER_PREFIX + key);
+  }
+
+  /**
+   * Removes entries whose day or date range has ended, or that are older than the retention period
+   * @param {number} retentionDays - Days to keep entries at most (default: 14)
+   * @param {Date} now - Reference time (default: now)
+   * @returns {number} Number of entries removed
+   */
+  prune(retentionDays = 14, now = new Date()) {
+    const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+    const allProperties = this.properties.getProperties();
+    let removed = 0;
+
+    Object.keys(allProperties).forEach(propertyKey => {
+      if (!propertyKey.startsWith(SEND_LEDGER_PREFIX)) return;
+
+      const sentAt = Number(allProperties[propertyKey]);
+      const parts = propertyKey.split('|');
+      const rangeEnd = Number(parts[parts.length - 1]);
+      // The day is the recipient's local date; two days after its UTC midnight it has ended in every timezone
+      const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(parts[parts.length - 3] || '');
+      const dayEnded = day && Date.UTC(Number(day[1]), Number(day[2]) - 1, Number(day[3]) + 2) <= now.getTime();
+      if (!sentAt || sentAt < cutoff || (rangeEnd && rangeEnd <= now.getTime()) || dayEnded) {
+        this.properties.deleteProperty(propertyKey);
+        removed++;
+      }
+    });
+
+    if (removed > 0) {
+      Logger.log(`Pruned ${removed} send ledger entries for ended days or date ranges, or older than ${retentionDays} days`);
+    }
+    return removed;
+  }
+}
+
+/**
+ * Formats a local date for ledger keys
+ * @param {Object} parts - Date parts from getZonedDateParts
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function formatLedgerDay(parts) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+/**
+ * Removes send ledger entries that can no longer prevent a duplicate
+ * Runs automatically after each summary run; can also be run manually
+ * @param {number} retentionDays - Days to keep entries (default: SEND_LEDGER_RETENTION_DAYS or 14)
+ */
+function pruneSendLedger(retentionDays = null) {
+  requireScriptOwner('change its send ledger');
+  const days = retentionDays || Config.get('SEND_LEDGER_RETENTION_DAYS');
+  const removed = new SendLedger().prune(days);
+  Logger.log(`✅ Send ledger pruned (${removed} entries removed)`);
+  return removed;
+}
@@ -0,0 +1,176 @@
+/**
+ * Unit Tests for the Send Ledger
+ */
+
+function createSendLedgerTestSuite() {
+  const suite = new TestSuite('Send Ledger');
+  
+  const dateRange = {
+    startDate: new Date(2023, 0, 2),
+    endDate: new Date(2023, 0, 3),
+    description: 'today',
+    runDate: '2023-01-02'
+  };
+  
+  suite.test('SendLedger.buildKey - normalizes email and includes the day and date range', () => {
+    const key = SendLedger.buildKey(' John@Example.com ', dateRange);
+    
+    Assert.equal(key, `john@example.com|2023-01-02|${dateRange.startDate.getTime()}|${dateRange.endDate.getTime()}`, 'Should build normalized key');
+  });
+  
+  suite.test('SendLedger - sends multi-day ranges once a day', () => {
+    const ledger = new SendLedger(MockUtilities.createMockProperties());
+    const timezone = 'America/New_York';
+    const monday = new Date('2023-01-02T12:00:00Z');
+    const tuesday = new Date('2023-01-03T12:00:00Z');
+    const recipient = { email: 'weekly@example.com', preferences: { dateRange: 'this week', timezone: timezone, sendHour: 7 } };
+    
+    ledger.recordSent(SendLedger.buildKey(recipient.email, calculateDateRange('this week', timezone, monday)), monday);
+    
+    Assert.true(ledger.hasSent(SendLedger.buildKey(recipient.email, calculateDateRange('this week', timezone, monday))), 'Should skip a second send on Monday');
+    Assert.false(ledger.hasSent(SendLedger.buildKey(recipient.email, calculateDateRange('this week', timezone, tuesday))), 'Should not skip Tuesday');
+    Assert.arrayEqual(selectDueRecipients([recipient], tuesday, 7, ledger), [recipient], 'Should be due again on Tuesday');
+  });
+  
+  suite.test('SendLedger - records and detects sent summaries', () => {
+    const ledger = new SendLedger(MockUtilities.createMockProperties());
+    const key = SendLedger.buildKey('john@example.com', dateRange);
+    const otherRange = { startDate: new Date(2023, 0, 3), endDate: new Date(2023, 0, 4) };
+    
+    Assert.false(ledger.hasSent(key), 'Should not have entry before sending');
+    
+    const sentAt = new Date(2023, 0, 2, 7, 0);
+    ledger.recordSent(key, sentAt);
+    
+    Assert.true(ledger.hasSent(key), 'Should have entry after sending');
+    Assert.equal(ledger.getSentAt(key).getTime(), sentAt.getTime(), 'Should store send time');
+    Assert.false(ledger.hasSent(SendLedger.buildKey('john@example.com', otherRange)), 'Should be specific to the date range');
+  });
+  
+  suite.test('SendLedger.prune - removes only old ledger entries', () => {
+    const now = new Date(2023, 0, 20, 12, 0);
+    const thisWeek = `${new Date(2023, 0, 15).getTime()}|${new Date(2023, 0, 22).getTime()}`;
+    const properties = MockUtilities.createMockProperties({
+      'SPREADSHEET_ID': 'keep-me',
+      [`SEND_LEDGER_old@example.com|2023-01-20|${thisWeek}`]: String(new Date(2023, 0, 1).getTime()),
+      [`SEND_LEDGER_tuesday@example.com|2023-01-17|${thisWeek}`]: String(new Date(2023, 0, 17).getTime()),
+      [`SEND_LEDGER_new@example.com|2023-01-20|${thisWeek}`]: String(new Date(2023, 0, 20, 7, 0).getTime())
+    });
+    const ledger = new SendLedger(properties);
+    
+    const removed = ledger.prune(14, now);
+    
+    Assert.equal(removed, 2, 'Should remove expired entries');
+    Assert.falsy(properties.store[`SEND_LEDGER_old@example.com|2023-01-20|${thisWeek}`], 'Should remove expired entry');
+    Assert.falsy(properties.store[`SEND_LEDGER_tuesday@example.com|2023-01-17|${thisWeek}`], 'Should remove entries for past days');
+    Assert.truthy(properties.store[`SEND_LEDGER_new@example.com|2023-01-20|${thisWeek}`], 'Should keep today\'s entry');
+    Assert.equal(properties.store['SPREADSHEET_ID'], 'keep-me', 'Should not touch other properties');
+  });
+  
+  suite.test('SendLedger.prune - keeps at most two entries per recipient', () => {
+    const properties = MockUtilities.createMockProperties();
+    const ledger = new SendLedger(properties);
+    const recipients = Array.from({ length: 300 }, (_, i) => `recipient${i}@example.com`);
+    
+    // Two weeks of daily runs for "this week" summaries, pruning after each run as sendDailyEventSummary does
+    for (let day = 1; day <= 14; day++) {
+      const sentAt = new Date(Date.UTC(2023, 0, day, 12, 0));
+      const range = calculateDateRange('this week', 'UTC', sentAt);
+      recipients.forEach(email => ledger.recordSent(SendLedger.buildKey(email, range), sentAt));
+      ledger.prune(14, sentAt);
+    }
+    
+    const entries = Object.keys(properties.store).filter(key => key.startsWith(SEND_LEDGER_PREFIX));
+    const bytes = entries.reduce((total, key) => total + key.length + properties.store[key].length, 0);
+    Assert.equal(entries.length, 2 * recipients.length, 'Should only keep entries for today and yesterday');
+    Assert.true(bytes < 100 * 1024, `Should stay far below the Script Properties quota (${bytes} bytes)`);
+  });
+  
+  suite.test('sendEmailsBatched - skips summaries already in the ledger', () => {
+    const sent = [];
+    this.GmailApp = {
+      sendEmail: (to, subject, body, options) => { sent.push(to); }
+    };
+    
+    const ledger = new SendLedger(MockUtilities.createMockProperties());
+    const key = SendLedger.buildKey('john@example.com', dateRange);
+    ledger.recordSent(key);
+    
+    const emailQueue = [
+      { to: 'john@example.com', subject: 'Test', body: 'Body', ledgerKey: key },
+      { to: 'jane@example.com', subject: 'Test', body: 'Body', ledgerKey: SendLedger.buildKey('jane@example.com', dateRange) }
+    ];
+    const tracker = new ExecutionTracker();
+    
+    sendEmailsBatched(emailQueue, tracker, { ledger: ledger });
+    
+    Assert.arrayEqual(sent, ['jane@example.com'], 'Should only send to recipient not in ledger');
+    Assert.equal(tracker.metrics.emailsSkipped, 1, 'Should count skipped email');
+    Assert.true(ledger.hasSent(emailQueue[1].ledgerKey), 'Should record newly sent summary');
+  });
+  
+  suite.test('sendEmailsBatched - force resend ignores the ledger', () => {
+    const sent = [];
+    this.GmailApp = {
+      sendEmail: (to, subject, body, options) => { sent.push(to); }
+    };
+    
+    const ledger = new SendLedger(MockUtilities.createMockProperties());
+    const key = SendLedger.buildKey('john@example.com', dateRange);
+    ledger.recordSent(key);
+    
+    const tracker = new ExecutionTracker();
+    sendEmailsBatched([{ to: 'john@example.com', subject: 'Test', body: 'Body', ledgerKey: key }], tracker, { ledger: ledger, forceResend: true });
+    
+    Assert.arrayEqual(sent, ['john@example.com'], 'Should resend despite ledger entry');
+    Assert.equal(tracker.metrics.emailsSkipped, 0, 'Should not count as skipped');
+  });
+  
+  suite.test('sendEmailsBatched - holds the script lock from ledger check to record', () => {
+    const originalLockService = this.LockService;
+    const steps = [];
+    let lockFree = true;
+    this.LockService = {
+      getScriptLock: () => ({
+        tryLock: () => { steps.push(lockFree ? 'lock' : 'busy'); return lockFree; },
+        releaseLock: () => steps.push('unlock')
+      })
+    };
+    this.GmailApp = {
+      sendEmail: (to) => steps.push(`send ${to}`)
+    };
+    
+    const ledger = new SendLedger(MockUtilities.createMockProperties());
+    const email = (to) => ({ to: to, subject: 'Test', body: 'Body', ledgerKey: SendLedger.buildKey(to, dateRange) });
+    const sent = sendEmailsBatched([email('john@example.com')], new ExecutionTracker(), { ledger: ledger });
+    
+    lockFree = false;
+    const busy = sendEmailsBatched([email('jane@example.com')], new ExecutionTracker(), { ledger: ledger });
+    this.LockService = originalLockService;
+    
+    Assert.arrayEqual(steps, ['lock', 'send john@example.com', 'unlock', 'busy'], 'Should check, send and record under the lock');
+    Assert.arrayEqual(sent, [], 'Should send when the lock is free');
+    Assert.arrayEqual(busy.map(emailData => emailData.to), ['jane@example.com'], 'Should defer while another run holds the lock');
+    Assert.false(ledger.hasSent(busy[0].ledgerKey), 'Should not record deferred emails');
+  });
+  
+  suite.test('sendEmailsBatched - failed sends are not recorded', () => {
+    this.GmailApp = {
+      sendEmail: () => { throw new Error('Invalid recipient'); }
+    };
+    this.MailApp = {
+      sendEmail: () => { throw new Error('Invalid recipient'); }
+    };
+    
+    const ledger = new SendLedger(MockUtilities.createMockProperties());
+    const key = SendLedger.buildKey('john@example.com', dateRange);
+    const tracker = new ExecutionTracker();
+    
+    sendEmailsBatched([{ to: 'john@example.com', subject: 'Test', body: 'Body', ledgerKey: key }], tracker, { ledger: ledger });
+    
+    Assert.false(ledger.hasSent(key), 'Should not record failed send');
+    Assert.equal(tracker.metrics.emailsFailed, 1, 'Should count failure');
+  });
+  
+  return suite;
+}
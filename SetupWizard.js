@@ -0,0 +1,200 @@
+/**
+ * Setup Wizard
+ *
+ * Connects the script to its configuration spreadsheet without editing code.
+ * Deploy the project as a web app (Deploy > New deployment > Web app, execute
+ * as Me, who has access: Only myself - as in appsscript.json) and open its
+ * URL, or call runInitialSetup('<sheet URL or ID>').
+ *
+ * The web app runs as the owner, and any page it serves can call every global
+ * function through google.script.run. Do not widen its access: entry points
+ * that change the setup or send email check requireScriptOwner(), but helper
+ * functions do not.
+ *
+ * The wizard accepts a sheet URL or ID, checks that the spreadsheet can be
+ * opened and that the config tab has the required columns, can create the
+ * config tab (see Provisioning.js), and stores the result with Config.set.
+ */
+
+/**
+ * Serves the setup wizard web app
+ * Only the script owner may use it: the web app runs as the deploying user,
+ * so anyone else could otherwise rewrite the configuration.
+ * @returns {HtmlOutput} Wizard page
+ */
+function doGet() {
+  if (!isScriptOwner()) {
+    return HtmlService.createHtmlOutput('<p>Only the owner of this script can run the setup wizard.</p>')
+      .setTitle('Calendar Summary Setup');
+  }
+  return HtmlService.createHtmlOutputFromFile('SetupWizard').setTitle('Calendar Summary Setup');
+}
+
+/**
+ * Whether the current user is the user the script runs as
+ * @returns {boolean} True for the script owner
+ */
+function isScriptOwner() {
+  const activeUser = Session.getActiveUser().getEmail();
+  return Boolean(activeUser) && activeUser === Session.getEffectiveUser().getEmail();
+}
+
+/**
+ * Extracts a spreadsheet ID from a sheet URL or a bare ID
+ * @param {string} input - URL like https://docs.google.com/spreadsheets/d/<id>/edit, or the ID itself
+ * @returns {string} Spreadsheet ID
+ */
+function parseSpreadsheetId(input) {
+  const text = String(input || '').trim();
+  const urlMatch = text.match(/\/spreadsheets\/d\/([a-zA-Z0-9_-]+)/);
+  if (urlMatch) {
+    return urlMatch[1];
+  }
+  if (/^[a-zA-Z0-9_-]{20,}$/.test(text)) {
+    return text;
+  }
+  throw new Error(`"${text}" is not a Google Sheets URL or spreadsheet ID`);
+}
+
+/**
+ * Opens a spreadsheet and checks its config tab
+ * @param {string} input - Sheet URL or ID
+ * @param {string} sheetName - Config tab name
+ * @returns {Object} Spreadsheet name, tabs, headers and missing required headers
+ */
+function inspectSetupSpreadsheet(input, sheetName) {
+  const spreadsheetId = parseSpreadsheetId(input);
+  let spreadsheet;
+  try {
+    spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+  } catch (e) {
+    throw new Error(`Could not open spreadsheet ${spreadsheetId}. Check the ID and that you have access. Error: ${e.message}`);
+  }
+
+  const sheet = spreadsheet.getSheetByName(sheetName);
+  const headers = sheet && sheet.getLastColumn() > 0
+    ? sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(header => String(header).trim())
+    : [];
+  const { indexes } = resolveConfigSheetHeaders(headers);
+
+  return {
+    spreadsheetId: spreadsheetId,
+    spreadsheetName: spreadsheet.getName(),
+    sheetName: sheetName,
+    sheetExists: Boolean(sheet),
+    sheets: spreadsheet.getSheets().map(tab => tab.getName()),
+    headers: headers,
+    missingHeaders: CONFIG_SHEET_COLUMNS
+      .filter(column => column.required && indexes[column.header] === -1)
+      .map(column => column.header)
+  };
+}
+
+/**
+ * Validates the spreadsheet and stores it as the script's configuration
+ * @param {Object} options - Setup options
+ * @param {string} options.spreadsheet - Sheet URL or ID
+ * @param {string} options.sheetName - Config tab name (default: "Config")
+ * @param {boolean} options.createSheet - Create the config tab if it does not exist
+ * @param {boolean} options.installTrigger - Install the daily trigger if none is installed (default: true)
+ * @returns {Object} Setup result
+ */
+function applySetup(options) {
+  requireScriptOwner();
+  const sheetName = String(options.sheetName || 'Config').trim();
+  let inspection = inspectSetupSpreadsheet(options.spreadsheet, sheetName);
+
+  let createdSheet = false;
+  if (!inspection.sheetExists) {
+    if (!options.createSheet) {
+      throw new Error(`Tab "${sheetName}" not found in "${inspection.spreadsheetName}". Existing tabs: ${inspection.sheets.join(', ')}`);
+    }
+    provisionConfigTab(SpreadsheetApp.openById(inspection.spreadsheetId), sheetName);
+    Logger.log(`✅ Created config tab "${sheetName}"`);
+    inspection = inspectSetupSpreadsheet(inspection.spreadsheetId, sheetName);
+    createdSheet = true;
+  }
+
+  if (inspection.missingHeaders.length > 0) {
+    throw new Error(`Tab "${sheetName}" is missing required columns: ${inspection.missingHeaders.join(', ')}`);
+  }
+
+  Config.set('SPREADSHEET_ID', inspection.spreadsheetId);
+  Config.set('CONFIG_SHEET_NAME', sheetName);
+
+  const validation = Config.validateConfiguration();
+  let triggerInstalled = false;
+  if (validation.valid && options.installTrigger !== false && !getDailyTriggerStatus().installed) {
+    installDailyTrigger();
+    triggerInstalled = true;
+  }
+
+  const warnings = validation.warnings.filter(warning => !triggerInstalled || !warning.startsWith('No schedule trigger'));
+  if (validation.profile) {
+    warnings.push(`Profile "${validation.profile}" is active; its overrides take precedence over these shared values`);
+  }
+
+  Logger.log(`✅ Setup saved: "${inspection.spreadsheetName}" / ${sheetName}`);
+  return {
+    spreadsheetName: inspection.spreadsheetName,
+    sheetName: sheetName,
+    createdSheet: createdSheet,
+    triggerInstalled: triggerInstalled,
+    valid: validation.valid,
+    message: validation.message,
+    warnings: warnings
+  };
+}
+
+/**
+ * Current setup, for pre-filling the wizard form
+ * @returns {Object} Masked configuration and validation status
+ */
+function getSetupStatus() {
+  requireScriptOwner();
+  const validation = Config.validateConfiguration();
+  return {
+    configuration: Config.getAllConfiguration(),
+    valid: validation.valid,
+    message: validation.message,
+    warnings: validation.warnings
+  };
+}
+
+/**
+ * Wizard step 1: checks a spreadsheet without saving anything
+ * @param {string} input - Sheet URL or ID
+ * @param {string} sheetName - Config tab name
+ * @returns {Object} Inspection result (see inspectSetupSpreadsheet)
+ */
+function checkSpreadsheetSetup(input, sheetName) {
+  requireScriptOwner();
+  return inspectSetupSpreadsheet(input, String(sheetName || 'Config').trim());
+}
+
+/**
+ * Wizard step 2: saves the setup
+ * @param {Object} form - Setup options (see applySetup)
+ * @returns {Object} Setup result
+ */
+function completeSetup(form) {
+  requireScriptOwner();
+  return applySetup(form);
+}
+
+/**
+ * Rejects calls from anyone but the script owner
+ * Used by the wizard and by every global function that changes the setup,
+ * triggers or sheets, or sends email.
+ * @param {string} action - What the caller tried to do, for the error message
+ * @param {boolean} allowTriggerRuns - Also accept calls without an active user; time-driven
+ *   triggers may run without one (for functions that triggers call)
+ */
+function requireScriptOwner(action = 'change its setup', allowTriggerRuns = false) {
+  if (allowTriggerRuns && !Session.getActiveUser().getEmail()) {
+    return;
+  }
+  if (!isScriptOwner()) {
+    throw new Error(`Only the owner of this script can ${action}`);
+  }
+}
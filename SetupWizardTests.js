@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for the Setup Wizard
+ */
+
+function createSetupWizardTestSuite() {
+  const suite = new TestSuite('Setup Wizard');
+
+  const SHEET_ID = '1abcDEFghiJKLmnoPQRstuVWXyz0123456789';
+
+  const mockServices = (spreadsheet, activeUser = 'owner@example.com') => {
+    const properties = MockUtilities.createMockProperties();
+    const scriptApp = MockUtilities.createMockScriptApp();
+    this.PropertiesService = {
+      getScriptProperties: () => properties,
+      getUserProperties: () => MockUtilities.createMockProperties()
+    };
+    this.ScriptApp = scriptApp;
+    this.Session = {
+      getActiveUser: () => ({ getEmail: () => activeUser }),
+      getEffectiveUser: () => ({ getEmail: () => 'owner@example.com' }),
+      getScriptTimeZone: () => 'America/Chicago'
+    };
+    this.SpreadsheetApp = {
+      openById: (id) => {
+        if (id !== SHEET_ID) throw new Error('Requested entity was not found');
+        return spreadsheet;
+      },
+      newDataValidation: () => MockUtilities.createMockDataValidationBuilder(),
+      newConditionalFormatRule: () => MockUtilities.createMockConditionalFormatRuleBuilder()
+    };
+    Config.clearCache();
+    return { properties, scriptApp };
+  };
+
+  suite.test('parseSpreadsheetId - accepts URLs and bare IDs', () => {
+    Assert.equal(parseSpreadsheetId(`https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit#gid=0`), SHEET_ID, 'Should extract the ID from a URL');
+    Assert.equal(parseSpreadsheetId(`  ${SHEET_ID} `), SHEET_ID, 'Should accept a bare ID');
+    Assert.throws(() => parseSpreadsheetId('my sheet'), 'not a Google Sheets URL', 'Should reject other input');
+  });
+
+  suite.test('applySetup - stores a valid spreadsheet and installs the trigger', () => {
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', {
+      'Recipients': [['Recipient Email', 'Calendar ID', 'Timezone']]
+    });
+    const { properties, scriptApp } = mockServices(spreadsheet);
+
+    const result = applySetup({ spreadsheet: `https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit`, sheetName: 'Recipients' });
+
+    Assert.equal(properties.store['SPREADSHEET_ID'], SHEET_ID, 'Should store the spreadsheet ID');
+    Assert.equal(properties.store['CONFIG_SHEET_NAME'], 'Recipients', 'Should store the tab name');
+    Assert.true(result.valid, 'Should report a valid configuration');
+    Assert.true(result.triggerInstalled, 'Should install the daily trigger');
+    Assert.equal(scriptApp.triggers.length, 1, 'Should create one trigger');
+  });
+
+  suite.test('applySetup - rejects tabs without the required columns', () => {
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', {
+      'Config': [['Mail', 'Calendar ID']]
+    });
+    const { properties } = mockServices(spreadsheet);
+
+    Assert.throws(() => applySetup({ spreadsheet: SHEET_ID }), 'missing required columns: Recipient Email', 'Should list missing columns');
+    Assert.equal(properties.store['SPREADSHEET_ID'], undefined, 'Should not store anything');
+  });
+
+  suite.test('applySetup - creates a template config tab when asked', () => {
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', { 'Sheet1': [] });
+    mockServices(spreadsheet);
+
+    Assert.throws(() => applySetup({ spreadsheet: SHEET_ID }), 'Existing tabs: Sheet1', 'Should not create tabs unless asked');
+
+    const result = applySetup({ spreadsheet: SHEET_ID, createSheet: true, installTrigger: false });
+    const headers = spreadsheet.getSheetByName('Config').rows[0];
+
+    Assert.true(result.createdSheet, 'Should report the created tab');
+    Assert.arrayEqual(headers, CONFIG_SHEET_COLUMNS.map(column => column.header), 'Should add every supported column');
+    Assert.false(result.triggerInstalled, 'Should respect installTrigger: false');
+  });
+
+  suite.test('applySetup - reports inaccessible spreadsheets', () => {
+    mockServices(MockUtilities.createMockSpreadsheet('Team Calendars'));
+
+    Assert.throws(() => applySetup({ spreadsheet: '1zzzzzzzzzzzzzzzzzzzzzzzzzzzz' }), 'Could not open spreadsheet', 'Should explain access failures');
+  });
+
+  suite.test('wizard - only the script owner can use it', () => {
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', { 'Config': [['Recipient Email', 'Calendar ID']] });
+    this.HtmlService = {
+      createHtmlOutput: (html) => ({ html: html, setTitle() { return this; } }),
+      createHtmlOutputFromFile: (file) => ({ file: file, setTitle() { return this; } })
+    };
+
+    mockServices(spreadsheet, 'someone@example.com');
+    Assert.contains(doGet().html, 'Only the owner', 'Should not serve the wizard to other users');
+    Assert.throws(() => completeSetup({ spreadsheet: SHEET_ID }), 'Only the owner', 'Should reject setup calls from other users');
+
+    mockServices(spreadsheet);
+    Assert.equal(doGet().file, 'SetupWizard', 'Should serve the wizard to the owner');
+  });
+
+  suite.test('requireScriptOwner - guards entry points reachable through google.script.run', () => {
+    const spreadsheet = MockUtilities.createMockSpreadsheet('Team Calendars', { 'Config': [['Recipient Email', 'Calendar ID']] });
+    const { properties } = mockServices(spreadsheet, 'someone@example.com');
+    const sent = [];
+    this.GmailApp = { sendEmail: (to) => sent.push(to) };
+    const queue = [{ to: 'someone@example.com', subject: 'Hi', body: 'Body' }];
+
+    [
+      () => setupSpreadsheetId(SHEET_ID),
+      () => switchProfile('prod'),
+      () => pinSecretVersion('SPREADSHEET_ID', 2),
+      () => installDailyTrigger(7),
+      () => removeDailyTriggers(),
+      () => provisionConfigSheet(),
+      () => sendDailyEventSummary(),
+      () => forceResendDailyEventSummary(),
+      () => sendEmailsBatched(queue, new ExecutionTracker())
+    ].forEach(call => Assert.throws(call, 'Only the owner', `Should reject ${call.toString().replace(/^\(\) => /, '')}`));
+    Assert.equal(Object.keys(properties.store).length, 0, 'Should not change the configuration');
+    Assert.equal(sent.length, 0, 'Should not send email');
+
+    // Time-driven triggers may run without an active user
+    mockServices(spreadsheet, '');
+    this.GmailApp = { sendEmail: (to) => sent.push(to) };
+    sendEmailsBatched(queue, new ExecutionTracker());
+    Assert.arrayEqual(sent, ['someone@example.com'], 'Should let trigger runs send');
+    Assert.throws(() => setupSpreadsheetId(SHEET_ID), 'Only the owner', 'Should still require the owner for setup');
+    mockServices(spreadsheet);
+  });
+
+  suite.test('pinSecretVersion - only pins keys read from Secret Manager', () => {
+    const { properties } = mockServices(MockUtilities.createMockSpreadsheet('Team Calendars', {}));
+
+    pinSecretVersion('SPREADSHEET_ID', 2);
+
+    Assert.equal(properties.store[`${SECRET_VERSION_PROPERTY_PREFIX}SPREADSHEET_ID`], '2', 'Should pin secret keys');
+    Assert.throws(() => pinSecretVersion('CONFIG_SHEET_NAME', 2), 'not a secret key', 'Should reject keys read from Properties');
+  });
+
+  suite.test('runInitialSetup - explains how to set up without a spreadsheet', () => {
+    Assert.throws(() => runInitialSetup(), 'setup wizard', 'Should point to the setup wizard');
+  });
+
+  return suite;
+}
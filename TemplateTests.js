@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for the Email Template Engine
+ */
+
+function createTemplateEngineTestSuite() {
+  const suite = new TestSuite('Email Template Engine');
+
+  suite.test('TemplateEngine.render - substitutes and escapes values', () => {
+    const engine = new TemplateEngine();
+    const result = engine.render('<p>Hello {{name}}!</p>', { name: '<b>John</b>' });
+
+    Assert.equal(result, '<p>Hello &lt;b&gt;John&lt;/b&gt;!</p>', 'Should escape HTML in values');
+  });
+
+  suite.test('TemplateEngine.render - triple braces insert raw values', () => {
+    const engine = new TemplateEngine();
+    const result = engine.render('{{{markup}}}', { markup: '<b>bold</b>' });
+
+    Assert.equal(result, '<b>bold</b>', 'Should not escape triple-brace values');
+  });
+
+  suite.test('TemplateEngine.render - no escaping for text templates', () => {
+    const engine = new TemplateEngine();
+    const result = engine.render('Meeting: {{title}}', { title: 'Q&A <session>' }, { escape: false });
+
+    Assert.equal(result, 'Meeting: Q&A <session>', 'Should leave values untouched');
+  });
+
+  suite.test('TemplateEngine.render - loops with item fields and loop variables', () => {
+    const engine = new TemplateEngine();
+    const template = '{{#each events}}{{@number}}. {{title}} for {{recipientName}}{{#unless @last}}, {{/unless}}{{/each}}';
+    const result = engine.render(template, {
+      recipientName: 'john',
+      events: [{ title: 'Standup' }, { title: 'Review' }]
+    });
+
+    Assert.equal(result, '1. Standup for john, 2. Review for john', 'Should render each item and resolve outer scope');
+  });
+
+  suite.test('TemplateEngine.render - nested loops and dotted paths', () => {
+    const engine = new TemplateEngine();
+    const template = '{{#each days}}[{{label}}:{{#each events}} {{this.title}}{{/each}}]{{/each}}';
+    const result = engine.render(template, {
+      days: [
+        { label: 'Mon', events: [{ title: 'A' }, { title: 'B' }] },
+        { label: 'Tue', events: [] }
+      ]
+    });
+
+    Assert.equal(result, '[Mon: A B][Tue:]', 'Should support nested loops');
+  });
+
+  suite.test('TemplateEngine.render - if/else blocks', () => {
+    const engine = new TemplateEngine();
+    const template = '{{#if hasEvents}}{{eventCount}} events{{else}}Nothing today{{/if}}';
+
+    Assert.equal(engine.render(template, { hasEvents: true, eventCount: 2 }), '2 events', 'Should render if branch');
+    Assert.equal(engine.render(template, { hasEvents: false }), 'Nothing today', 'Should render else branch');
+  });
+
+  suite.test('TemplateEngine.render - missing values render as empty', () => {
+    const engine = new TemplateEngine();
+
+    Assert.equal(engine.render('[{{missing}}][{{a.b.c}}]', {}), '[][]', 'Should render missing values as empty strings');
+  });
+
+  suite.test('TemplateEngine.compile - reports syntax errors', () => {
+    const engine = new TemplateEngine();
+
+    Assert.throws(() => engine.compile('{{#each events}}no end'), 'unclosed', 'Should reject unclosed blocks');
+    Assert.throws(() => engine.compile('{{/if}}'), 'unexpected', 'Should reject stray closing tags');
+    Assert.throws(() => engine.compile('{{#with x}}{{/with}}'), 'unsupported block', 'Should reject unknown blocks');
+  });
+
+  suite.test('loadEmailTemplates - reads named templates from the Templates tab', () => {
+    const spreadsheet = {
+      getSheetByName: (name) => name === 'Templates' ? {
+        getDataRange: () => ({
+          getValues: () => [
+            ['Name', 'HTML Template', 'Text Template', 'Subject'],
+            ['Compact', '<p>{{recipientName}}</p>', 'Hi {{recipientName}}', 'Agenda for {{dateDescription}}'],
+            ['Broken', '{{#each events}}', '', ''],
+            ['', '<p>ignored</p>', '', '']
+          ]
+        })
+      } : null
+    };
+
+    const templates = loadEmailTemplates(spreadsheet);
+
+    Assert.truthy(templates.compact, 'Should load template keyed by lowercase name');
+    Assert.equal(templates.compact.subject, 'Agenda for {{dateDescription}}', 'Should load subject template');
+    Assert.falsy(templates.broken, 'Should skip templates with syntax errors');
+    Assert.equal(Object.keys(templates).length, 1, 'Should skip rows without a name');
+  });
+
+  suite.test('loadEmailTemplates - missing Templates tab returns no templates', () => {
+    const spreadsheet = { getSheetByName: () => null };
+
+    Assert.objectEqual(loadEmailTemplates(spreadsheet), {}, 'Should return empty templates');
+  });
+
+  suite.test('generateEmailBody - renders recipient template', () => {
+    const mockEvents = [
+      MockUtilities.createMockEvent('Standup', new Date(2023, 0, 1, 9, 0), new Date(2023, 0, 1, 9, 30), 'Room A', '')
+    ];
+    const template = {
+      name: 'Compact',
+      html: '<ul>{{#each events}}<li>{{startTime}} {{title}}</li>{{/each}}</ul>',
+      text: '{{#each events}}- {{title}} @ {{location}}\n{{/each}}',
+      subject: '{{eventCount}} events {{dateDescription}}'
+    };
+
+    const result = generateEmailBody('john@example.com', 'Work', mockEvents, {}, null, { template: template });
+
+    Assert.contains(result.htmlBody, '<li>09:00 AM Standup</li>', 'Should render HTML template');
+    Assert.equal(result.textBody, '- Standup @ Room A\n', 'Should render text template');
+    Assert.equal(result.subject, '1 events today', 'Should render subject template');
+  });
+
+  suite.test('generateEmailBody - falls back to built-in layout for missing template parts', () => {
+    const template = { name: 'HtmlOnly', html: '<p>Custom {{recipientName}}</p>', text: null, subject: null };
+
+    const result = generateEmailBody('jane@example.com', 'Work', [], {}, null, { template: template });
+
+    Assert.equal(result.htmlBody, '<p>Custom jane</p>', 'Should use template HTML');
+    Assert.contains(result.textBody, 'Hello jane', 'Should use built-in text body');
+    Assert.falsy(result.subject, 'Should not define a subject');
+  });
+
+  return suite;
+}
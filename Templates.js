@@ -0,0 +1,360 @@
+/**
+ * Email Template Engine
+ *
+ * Renders summary emails from named templates managed in the "Templates" tab
+ * of the configuration spreadsheet. Recipients pick a template by name in the
+ * "Template" column; when none is configured the built-in layout is used.
+ *
+ * Template syntax:
+ *   {{name}}                              Value (HTML-escaped in HTML templates)
+ *   {{{name}}}                            Raw value, never escaped
+ *   {{#each events}} ... {{/each}}        Loop over an array
+ *   {{#if location}} ... {{else}} ... {{/if}}   Conditional block
+ *   {{#unless hasEvents}} ... {{/unless}}       Inverted conditional block
+ *
+ * Inside a loop, names resolve against the current item first and then the
+ * enclosing scopes. {{this}}, {{@index}}, {{@number}}, {{@first}} and {{@last}}
+ * are available, and dotted paths such as {{event.title}} are supported.
+ */
+
+class TemplateEngine {
+  constructor() {
+    this.compiled = new Map();
+  }
+
+  /**
+   * Renders a template with the given context
+   * @param {string} source - Template source
+   * @param {Object} context - Values available to the template
+   * @param {Object} options - Rendering options
+   * @param {boolean} options.escape - Whether to HTML-escape {{name}} values (default: true)
+   * @returns {string} Rendered output
+   */
+  render(source, context = {}, options = {}) {
+    const escape = options.escape !== false;
+    const nodes = this.compile(source);
+    return this.renderNodes(nodes, [context], escape);
+  }
+
+  /**
+   * Parses template source into a node tree (cached per source string)
+   * @param {string} source - Template source
+   * @returns {Object[]} Parsed nodes
+   */
+  compile(source) {
+    if (this.compiled.has(source)) {
+      return this.compiled.get(source);
+    }
+
+    const root = { children: [] };
+    const stack = [root];
+    const tagPattern = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([#\/]?)\s*([^}]*?)\s*\}\}/g;
+    let lastIndex = 0;
+    let match;
+
+    const current = () => {
+      const block = stack[stack.length - 1];
+      return block.inElse ? block.elseChildren : block.children;
+    };
+
+    while ((match = tagPattern.exec(source)) !== null) {
+      if (match.index > lastIndex) {
+        current().push({ type: 'text', value: source.substring(lastIndex, match.index) });
+      }
+      lastIndex = tagPattern.lastIndex;
+
+      if (match[1] !== undefined) {
+        current().push({ type: 'value', path: match[1], raw: true });
+        continue;
+      }
+
+      const marker = match[2];
+      const expression = match[3];
+
+      if (marker === '#') {
+        const [blockType, ...rest] = expression.split(/\s+/);
+        const path = rest.join(' ');
+        if (!['each', 'if', 'unless'].includes(blockType) || !path) {
+          throw new Error(`Template syntax error: unsupported block "{{#${expression}}}"`);
+        }
+        const block = { type: blockType, path: path, children: [], elseChildren: [], inElse: false };
+        current().push(block);
+        stack.push(block);
+      } else if (marker === '/') {
+        const block = stack.pop();
+        if (stack.length === 0 || block.type !== expression) {
+          throw new Error(`Template syntax error: unexpected "{{/${expression}}}"`);
+        }
+        delete block.inElse;
+      } else if (expression === 'else') {
+        const block = stack[stack.length - 1];
+        if (stack.length === 1 || block.type === 'each' || block.inElse) {
+          throw new Error('Template syntax error: "{{else}}" outside of an if/unless block');
+        }
+        block.inElse = true;
+      } else {
+        current().push({ type: 'value', path: expression, raw: false });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Template syntax error: unclosed "{{#${stack[stack.length - 1].type}}}" block`);
+    }
+
+    if (lastIndex < source.length) {
+      root.children.push({ type: 'text', value: source.substring(lastIndex) });
+    }
+
+    this.compiled.set(source, root.children);
+    return root.children;
+  }
+
+  renderNodes(nodes, scopes, escape) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+
+        case 'value': {
+          const value = this.lookup(node.path, scopes);
+          const text = value === null || value === undefined ? '' : String(value);
+          return escape && !node.raw ? escapeHtml(text) : text;
+        }
+
+        case 'if':
+        case 'unless': {
+          const value = this.lookup(node.path, scopes);
+          const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+          const branch = truthy === (node.type === 'if') ? node.children : node.elseChildren;
+          return this.renderNodes(branch, scopes, escape);
+        }
+
+        case 'each': {
+          const items = this.lookup(node.path, scopes);
+          if (!Array.isArray(items)) {
+            return '';
+          }
+          return items.map((item, index) => {
+            const loopScope = {
+              '@item': item,
+              '@index': index,
+              '@number': index + 1,
+              '@first': index === 0,
+              '@last': index === items.length - 1
+            };
+            return this.renderNodes(node.children, [...scopes, loopScope], escape);
+          }).join('');
+        }
+
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  /**
+   * Resolves a (dotted) name against the scope chain, innermost first
+   * @param {string} path - Name such as "title", "event.title", "this" or "@index"
+   * @param {Object[]} scopes - Scope chain
+   * @returns {*} Resolved value or undefined
+   */
+  lookup(path, scopes) {
+    const [head, ...rest] = path.split('.');
+
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+      let value;
+
+      if (head === 'this') {
+        if (!('@item' in scope)) continue;
+        value = scope['@item'];
+      } else if (head in scope) {
+        value = scope[head];
+      } else if ('@item' in scope && scope['@item'] !== null && typeof scope['@item'] === 'object' && head in scope['@item']) {
+        value = scope['@item'][head];
+      } else {
+        continue;
+      }
+
+      for (const key of rest) {
+        if (value === null || value === undefined) return undefined;
+        value = value[key];
+      }
+      return value;
+    }
+
+    return undefined;
+  }
+}
+
+// Shared template engine instance (keeps compiled templates for the execution)
+const Templates = new TemplateEngine();
+
+/**
+ * Loads named email templates from the templates tab of the configuration spreadsheet
+ *
+ * Expected columns: "Name", "HTML Template", "Text Template" and optionally "Subject".
+ *
+ * @param {Spreadsheet} spreadsheet - The configuration spreadsheet
+ * @returns {Object} Templates keyed by lowercase name
+ */
+function loadEmailTemplates(spreadsheet) {
+  const templatesSheetName = Config.get('TEMPLATES_SHEET_NAME');
+  const templates = {};
+
+  const templatesSheet = spreadsheet.getSheetByName(templatesSheetName);
+  if (!templatesSheet) {
+    return templates;
+  }
+
+  const data = templatesSheet.getDataRange().getValues();
+  if (data.length < 2) {
+    return templates;
+  }
+
+  const headers = data[0];
+  const nameIndex = headers.indexOf('Name');
+  const htmlIndex = headers.indexOf('HTML Template');
+  const textIndex = headers.indexOf('Text Template');
+  const subjectIndex = headers.indexOf('Subject');
+
+  if (nameIndex === -1 || (htmlIndex === -1 && textIndex === -1)) {
+    Logger.log(`WARNING: Templates sheet "${templatesSheetName}" needs a "Name" column and an "HTML Template" or "Text Template" column`);
+    return templates;
+  }
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const name = row[nameIndex] ? String(row[nameIndex]).trim() : '';
+    if (!name) continue;
+
+    const template = {
+      name: name,
+      html: htmlIndex !== -1 && row[htmlIndex] ? String(row[htmlIndex]) : null,
+      text: textIndex !== -1 && row[textIndex] ? String(row[textIndex]) : null,
+      subject: subjectIndex !== -1 && row[subjectIndex] ? String(row[subjectIndex]) : null
+    };
+
+    // Reject templates with syntax errors up front so recipients fall back to the built-in layout
+    try {
+      [template.html, template.text, template.subject].filter(source => source).forEach(source => Templates.compile(source));
+    } catch (e) {
+      Logger.log(`WARNING: Skipping template "${name}" in row ${i + 1}: ${e.message}`);
+      continue;
+    }
+
+    templates[name.toLowerCase()] = template;
+  }
+
+  Logger.log(`Loaded ${Object.keys(templates).length} email templates from "${templatesSheetName}"`);
+  return templates;
+}
+
+/**
+ * Builds the values available to email templates
+ *
+ * Each event also carries locationHtml and descriptionHtml: pre-escaped HTML with
+ * linked URLs, intended for raw insertion in HTML templates ({{{locationHtml}}}).
+ * allDay and dayLabel ("Day 2 of 3", empty for single-day events) describe all-day
+ * and multi-day events; allDayEvents and timedEvents split the list accordingly.
+ * For ranges longer than a day, days lists each date ({{label}}, {{hasEvents}},
+ * {{events}}) and isMultiDay is true; weekends are left out for "Skip Weekends".
+ * calendar and calendarColor name the calendar an event came from, and
+ * calendars lists the recipient's calendars ({{name}}, {{color}}, {{hasEvents}},
+ * {{events}}) for templates that group by calendar.
+ *
+ * @param {string} recipientName - The recipient's name
+ * @param {string} calendarName - The name of the calendar
+ * @param {CalendarEvent[]} events - Array of calendar events
+ * @param {Object} preferences - Recipient preferences
+ * @param {Object} dateRange - Date range from calculateDateRange (optional)
+ * @param {Object} renderOptions - eventSources and calendars, as for generateHtmlEmailBody (optional)
+ * @returns {Object} Template context
+ */
+function buildTemplateContext(recipientName, calendarName, events, preferences = {}, dateRange = null, renderOptions = {}) {
+  const use24Hour = preferences.use24Hour || false;
+  const referenceDate = dateRange ? dateRange.startDate : new Date();
+  const eventSources = renderOptions.eventSources || new Map();
+  const calendars = renderOptions.calendars || [];
+
+  const toEventContext = (event, dayDate) => ({
+    calendar: (eventSources.get(event) || {}).name || calendarName,
+    calendarColor: (eventSources.get(event) || {}).color || '',
+    title: event.getTitle(),
+    startTime: formatEventTime(event.getStartTime(), preferences.timezone, use24Hour),
+    endTime: formatEventTime(event.getEndTime(), preferences.timezone, use24Hour),
+    allDay: isAllDayEvent(event),
+    dayLabel: getMultiDayLabel(event, preferences.timezone, dayDate),
+    location: event.getLocation(),
+    description: event.getDescription(),
+    locationHtml: linkifyText(event.getLocation()),
+    descriptionHtml: linkifyText(event.getDescription())
+  });
+
+  const eventContexts = events.map(event => toEventContext(event, referenceDate));
+  const days = groupEventsByDay(events, dateRange, preferences) || [];
+
+  return {
+    recipientName: recipientName,
+    calendarName: calendarName,
+    dateDescription: dateRange ? dateRange.description : 'today',
+    dateString: new Date().toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    }),
+    timezone: preferences.timezone || '',
+    hasEvents: events.length > 0,
+    eventCount: events.length,
+    events: eventContexts,
+    allDayEvents: eventContexts.filter(event => event.allDay),
+    timedEvents: eventContexts.filter(event => !event.allDay),
+    isMultiDay: days.length > 0,
+    days: days.map(day => ({
+      label: day.label,
+      hasEvents: day.events.length > 0,
+      events: day.events.map(event => toEventContext(event, day.start))
+    })),
+    calendars: calendars.map(calendar => {
+      const calendarEvents = events.filter(event => eventSources.get(event) === calendar);
+      return {
+        name: calendar.name,
+        color: calendar.color || '',
+        hasEvents: calendarEvents.length > 0,
+        events: calendarEvents.map(event => toEventContext(event, referenceDate))
+      };
+    })
+  };
+}
+
+/**
+ * Renders an email from a sheet-managed template
+ *
+ * Parts the template does not define (or that fail to render) are left null
+ * so the caller can fall back to the built-in layout.
+ *
+ * @param {Object} template - Template from loadEmailTemplates
+ * @param {Object} context - Context from buildTemplateContext
+ * @returns {Object} Rendered htmlBody, textBody and subject (each may be null)
+ */
+function renderEmailTemplate(template, context) {
+  const rendered = { htmlBody: null, textBody: null, subject: null };
+
+  try {
+    if (template.html) {
+      rendered.htmlBody = Templates.render(template.html, context, { escape: true });
+    }
+    if (template.text) {
+      rendered.textBody = Templates.render(template.text, context, { escape: false });
+    }
+    if (template.subject) {
+      rendered.subject = Templates.render(template.subject, context, { escape: false }).trim();
+    }
+  } catch (e) {
+    Logger.log(`WARNING: Failed to render template "${template.name}", using built-in layout: ${e.message}`);
+    return { htmlBody: null, textBody: null, subject: null };
+  }
+
+  return rendered;
+}
@@ -7,19 +7,37 @@
 
 // Mock utilities for Google Apps Script services
 class MockUtilities {
-  static createMockEvent(title, startTime, endTime, location = '', description = '') {
+  static createMockEvent(title, startTime, endTime, location = '', description = '', options = {}) {
     return {
+      // Same ID for every occurrence, as with recurring events (override with options.id)
+      getId: () => options.id || `mock-${title}`,
       getTitle: () => title,
       getStartTime: () => startTime,
       getEndTime: () => endTime,
       getLocation: () => location,
-      getDescription: () => description
+      getDescription: () => description,
+      isAllDayEvent: () => Boolean(options.allDay),
+      getAllDayStartDate: () => startTime,
+      getAllDayEndDate: () => endTime,
+      // Enum names as returned by CalendarApp (GuestStatus, Visibility, EventTransparency)
+      // getMyStatus/isOwnedByMe answer for the script user; recipients are looked up via guests and creators
+      getMyStatus: () => options.myStatus || 'OWNER',
+      isOwnedByMe: () => (options.myStatus || 'OWNER') === 'OWNER',
+      getCreators: () => options.creators || [],
+      getGuestByEmail: (email) => {
+        const status = (options.guests || {})[email];
+        return status ? { getEmail: () => email, getGuestStatus: () => status } : null;
+      },
+      getVisibility: () => options.visibility || 'DEFAULT',
+      getTransparency: () => options.transparency || 'OPAQUE',
+      getColor: () => options.color || ''
     };
   }
   
-  static createMockCalendar(name, events = []) {
+  static createMockCalendar(name, events = [], color = '#039be5') {
     return {
       getName: () => name,
+      getColor: () => color,
       getEvents: (startDate, endDate) => {
         // Filter events within the date range
         return events.filter(event => {
@@ -30,6 +48,67 @@ class MockUtilities {
     };
   }
   
+  static createMockProperties(initial = {}) {
+    const store = { ...initial };
+    return {
+      getProperty: (key) => Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null,
+      setProperty: (key, value) => { store[key] = String(value); },
+      deleteProperty: (key) => { delete store[key]; },
+      getProperties: () => ({ ...store }),
+      getKeys: () => Object.keys(store),
+      store: store
+    };
+  }
+  
+  static createMockCache(initial = {}) {
+    const store = { ...initial };
+    const ttls = {};
+    return {
+      get: (key) => Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null,
+      put: (key, value, ttl) => { store[key] = String(value); ttls[key] = ttl; },
+      remove: (key) => { delete store[key]; },
+      store: store,
+      ttls: ttls
+    };
+  }
+
+  static createMockScriptApp(handlers = []) {
+    let nextId = 1;
+    const createTrigger = (handler, schedule = {}) => ({
+      getHandlerFunction: () => handler,
+      getEventType: () => 'CLOCK',
+      getTriggerSource: () => 'CLOCK',
+      getUniqueId: () => `trigger-${nextId++}`,
+      schedule: schedule
+    });
+    const triggers = handlers.map(handler => createTrigger(handler));
+
+    return {
+      getProjectTriggers: () => triggers.slice(),
+      deleteTrigger: (trigger) => {
+        const index = triggers.indexOf(trigger);
+        if (index !== -1) triggers.splice(index, 1);
+      },
+      newTrigger: (handler) => {
+        const schedule = {};
+        const builder = {
+          timeBased: () => builder,
+          everyDays: (days) => { schedule.everyDays = days; return builder; },
+          everyHours: (hours) => { schedule.everyHours = hours; return builder; },
+          atHour: (hour) => { schedule.atHour = hour; return builder; },
+          after: (ms) => { schedule.after = ms; return builder; },
+          create: () => {
+            const trigger = createTrigger(handler, schedule);
+            triggers.push(trigger);
+            return trigger;
+          }
+        };
+        return builder;
+      },
+      triggers: triggers
+    };
+  }
+
   static createMockSpreadsheetData(headers, rows) {
     return {
       getDataRange: () => ({
@@ -39,6 +118,84 @@ class MockUtilities {
     };
   }
   
+  static createMockSpreadsheet(name, tabs = {}) {
+    const createSheet = (tabName, rows) => {
+      const sheet = {
+        rows: rows,
+        frozenRows: 0,
+        notes: {},
+        validations: {},
+        conditionalFormatRules: [],
+        getName: () => tabName,
+        getLastRow: () => rows.length,
+        getMaxRows: () => 1000,
+        getLastColumn: () => rows.reduce((max, row) => Math.max(max, row.length), 0),
+        getDataRange: () => ({ getValues: () => rows.map(row => row.slice()) }),
+        getRange: (row, column, numRows = 1, numColumns = 1) => {
+          const range = {
+            getValues: () => Array.from({ length: numRows }, (_, r) =>
+              Array.from({ length: numColumns }, (_, c) => {
+                const value = (rows[row - 1 + r] || [])[column - 1 + c];
+                return value === undefined ? '' : value;
+              })),
+            setValues: (values) => {
+              values.forEach((rowValues, r) => {
+                rows[row - 1 + r] = rows[row - 1 + r] || [];
+                rowValues.forEach((value, c) => { rows[row - 1 + r][column - 1 + c] = value; });
+              });
+              return range;
+            },
+            setFontWeight: () => range,
+            setNote: (note) => { sheet.notes[`${row},${column}`] = note; return range; },
+            setDataValidation: (rule) => { sheet.validations[`${row},${column}`] = { rule, numRows }; return range; }
+          };
+          return range;
+        },
+        setFrozenRows: (count) => { sheet.frozenRows = count; },
+        getConditionalFormatRules: () => sheet.conditionalFormatRules.slice(),
+        setConditionalFormatRules: (rules) => { sheet.conditionalFormatRules = rules; }
+      };
+      return sheet;
+    };
+    const sheets = Object.keys(tabs).map(tabName => createSheet(tabName, tabs[tabName]));
+
+    return {
+      getName: () => name,
+      getSheets: () => sheets.slice(),
+      getSheetByName: (tabName) => sheets.find(sheet => sheet.getName() === tabName) || null,
+      insertSheet: (tabName) => {
+        const sheet = createSheet(tabName, []);
+        sheets.push(sheet);
+        return sheet;
+      },
+      sheets: sheets
+    };
+  }
+
+  static createMockDataValidationBuilder() {
+    const rule = {};
+    const builder = {
+      requireValueInList: (values, showDropdown) => { rule.values = values; rule.showDropdown = showDropdown; return builder; },
+      setAllowInvalid: (allowInvalid) => { rule.allowInvalid = allowInvalid; return builder; },
+      setHelpText: (helpText) => { rule.helpText = helpText; return builder; },
+      build: () => rule
+    };
+    return builder;
+  }
+
+  static createMockConditionalFormatRuleBuilder() {
+    const rule = {
+      getBooleanCondition: () => ({ getCriteriaValues: () => [rule.formula] })
+    };
+    const builder = {
+      whenFormulaSatisfied: (formula) => { rule.formula = formula; return builder; },
+      setBackground: (color) => { rule.background = color; return builder; },
+      setRanges: (ranges) => { rule.ranges = ranges; return builder; },
+      build: () => rule
+    };
+    return builder;
+  }
+
   static mockGoogleAppsScriptServices() {
     // Store original services if they exist
     const originalServices = {};
@@ -94,6 +251,9 @@ class MockUtilities {
     this.Session = {
       getActiveUser: () => ({
         getEmail: () => 'admin@example.com'
+      }),
+      getEffectiveUser: () => ({
+        getEmail: () => 'admin@example.com'
       })
     };
     
@@ -281,6 +441,36 @@ class TestFixtures {
     ];
   }
   
+  // Events with hostile or malformed content for escaping tests
+  static getHostileEvents() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    
+    return [
+      MockUtilities.createMockEvent(
+        '<script>alert("xss")</script>',
+        new Date(today.getTime() + 9 * 60 * 60 * 1000),
+        new Date(today.getTime() + 10 * 60 * 60 * 1000),
+        '<img src=x onerror=alert(1)>',
+        'Q&A <b>session</b>'
+      ),
+      MockUtilities.createMockEvent(
+        'Budget < 5k & "quotes" \'too\'',
+        new Date(today.getTime() + 11 * 60 * 60 * 1000),
+        new Date(today.getTime() + 12 * 60 * 60 * 1000),
+        'https://meet.example.com/abc?x=1&y=2',
+        'Join: javascript:alert(1) or https://example.com/"onmouseover="alert(1)'
+      ),
+      MockUtilities.createMockEvent(
+        'Unclosed <div',
+        new Date(today.getTime() + 13 * 60 * 60 * 1000),
+        new Date(today.getTime() + 14 * 60 * 60 * 1000),
+        'Room </span></div>',
+        'See http://example.com/docs.'
+      )
+    ];
+  }
+  
   // Mock calendars for testing
   static getMockCalendars() {
     const events = TestFixtures.getMockEvents();
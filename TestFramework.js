@@ -127,6 +127,11 @@ class TestRunner {
       endTime: null
     };
     
+    // Keep mocked configuration values out of the shared cache used by real runs
+    if (typeof Config !== 'undefined') {
+      Config.disableScriptCache();
+    }
+
     Logger.log('\n🚀 Starting Test Runner');
     Logger.log('='.repeat(60));
     
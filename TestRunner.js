@@ -18,11 +18,22 @@ function runAllUnitTests() {
   // Add all unit test suites
   runner.addSuite(createValidationTestSuite());
   runner.addSuite(createConfigurationValidationTestSuite());
+  runner.addSuite(createSecretManagerTestSuite());
+  runner.addSuite(createConfigCacheTestSuite());
   runner.addSuite(createDateTimeTestSuite());
   runner.addSuite(createFrequencyTestSuite());
   runner.addSuite(createEmailGenerationTestSuite());
+  runner.addSuite(createTemplateEngineTestSuite());
   runner.addSuite(createEventFilteringTestSuite());
   runner.addSuite(createExecutionTrackerTestSuite());
+  runner.addSuite(createSendLedgerTestSuite());
+  runner.addSuite(createRunCheckpointTestSuite());
+  runner.addSuite(createTriggerManagementTestSuite());
+  runner.addSuite(createSetupWizardTestSuite());
+  runner.addSuite(createProvisioningTestSuite());
+  runner.addSuite(createRowResultsTestSuite());
+  runner.addSuite(createFilterQueryTestSuite());
+  runner.addSuite(createEventColorsTestSuite());
   
   return runner.runAll();
 }
@@ -302,11 +313,22 @@ function runSpecificTestSuite(suiteName) {
   const suiteMap = {
     'validation': createValidationTestSuite,
     'config-validation': createConfigurationValidationTestSuite,
+    'secrets': createSecretManagerTestSuite,
+    'config-cache': createConfigCacheTestSuite,
     'datetime': createDateTimeTestSuite,
     'frequency': createFrequencyTestSuite,
     'email': createEmailGenerationTestSuite,
+    'templates': createTemplateEngineTestSuite,
     'filtering': createEventFilteringTestSuite,
     'tracker': createExecutionTrackerTestSuite,
+    'ledger': createSendLedgerTestSuite,
+    'checkpoint': createRunCheckpointTestSuite,
+    'triggers': createTriggerManagementTestSuite,
+    'setup': createSetupWizardTestSuite,
+    'provisioning': createProvisioningTestSuite,
+    'row-results': createRowResultsTestSuite,
+    'filter-query': createFilterQueryTestSuite,
+    'event-colors': createEventColorsTestSuite,
     'config-integration': createConfigurationIntegrationTestSuite,
     'calendar-batching': createCalendarBatchingIntegrationTestSuite,
     'email-integration': createEmailSendingIntegrationTestSuite,
@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for Trigger Management
+ */
+
+function createTriggerManagementTestSuite() {
+  const suite = new TestSuite('Trigger Management');
+
+  const mockServices = (handlers = []) => {
+    const scriptApp = MockUtilities.createMockScriptApp(handlers);
+    const properties = MockUtilities.createMockProperties();
+    this.ScriptApp = scriptApp;
+    this.PropertiesService = {
+      getScriptProperties: () => properties,
+      getUserProperties: () => MockUtilities.createMockProperties()
+    };
+    this.Session = {
+      getScriptTimeZone: () => 'America/New_York',
+      getActiveUser: () => ({ getEmail: () => 'admin@example.com' }),
+      getEffectiveUser: () => ({ getEmail: () => 'admin@example.com' })
+    };
+    return { scriptApp, properties };
+  };
+
+  suite.test('installDailyTrigger - creates daily trigger at the given hour', () => {
+    const { scriptApp, properties } = mockServices();
+
+    installDailyTrigger(9);
+
+    Assert.equal(scriptApp.triggers.length, 1, 'Should create one trigger');
+    Assert.equal(scriptApp.triggers[0].getHandlerFunction(), 'sendDailyEventSummary', 'Should run the daily summary');
+    Assert.equal(scriptApp.triggers[0].schedule.everyDays, 1, 'Should run every day');
+    Assert.equal(scriptApp.triggers[0].schedule.atHour, 9, 'Should run at the given hour');
+    Assert.equal(properties.store['SEND_HOUR'], '9', 'Should store the send hour');
+  });
+
+  suite.test('installDailyTrigger - replaces existing and duplicate triggers', () => {
+    const { scriptApp } = mockServices(['sendDailyEventSummary', 'sendDailyEventSummary', 'resumeDailyEventSummary']);
+
+    installDailyTrigger(6);
+
+    const daily = scriptApp.triggers.filter(t => t.getHandlerFunction() === 'sendDailyEventSummary');
+    Assert.equal(daily.length, 1, 'Should leave exactly one daily trigger');
+    Assert.equal(daily[0].schedule.atHour, 6, 'Should use the new hour');
+    Assert.equal(scriptApp.triggers.length, 2, 'Should not touch other triggers');
+  });
+
+  suite.test('installDailyTrigger - rejects invalid hours', () => {
+    const { scriptApp } = mockServices(['sendDailyEventSummary']);
+
+    Assert.throws(() => installDailyTrigger(24), 'Invalid send hour', 'Should reject hour 24');
+    Assert.throws(() => installDailyTrigger(7.5), 'Invalid send hour', 'Should reject fractional hours');
+    Assert.throws(() => installDailyTrigger('morning'), 'Invalid send hour', 'Should reject non-numeric hours');
+    Assert.equal(scriptApp.triggers.length, 1, 'Should keep the existing trigger on invalid input');
+  });
+
+  suite.test('installHourlyDispatchTrigger - replaces the daily trigger', () => {
+    const { scriptApp } = mockServices(['sendDailyEventSummary', 'resumeDailyEventSummary']);
+
+    installHourlyDispatchTrigger();
+
+    const handlers = scriptApp.triggers.map(t => t.getHandlerFunction());
+    Assert.arrayEqual(handlers, ['resumeDailyEventSummary', 'dispatchHourlySummaries'], 'Should swap the daily trigger for the dispatcher');
+    Assert.equal(scriptApp.triggers[1].schedule.everyHours, 1, 'Should run every hour');
+
+    installDailyTrigger(7);
+    Assert.equal(getDailyTriggerStatus().count, 1, 'Installing the daily trigger should remove the dispatcher');
+  });
+
+  suite.test('removeDailyTriggers - removes only daily summary triggers', () => {
+    const { scriptApp } = mockServices(['sendDailyEventSummary', 'resumeDailyEventSummary', 'sendDailyEventSummary']);
+
+    const removed = removeDailyTriggers();
+
+    Assert.equal(removed, 2, 'Should report removed triggers');
+    Assert.equal(scriptApp.triggers.length, 1, 'Should keep other triggers');
+  });
+
+  suite.test('listTriggers - describes installed triggers', () => {
+    mockServices(['sendDailyEventSummary', 'resumeDailyEventSummary']);
+
+    const triggers = listTriggers();
+
+    Assert.equal(triggers.length, 2, 'Should list all project triggers');
+    Assert.equal(triggers[0].handler, 'sendDailyEventSummary', 'Should include handler name');
+    Assert.equal(triggers[0].eventType, 'CLOCK', 'Should include event type');
+  });
+
+  suite.test('getDailyTriggerStatus - detects missing and duplicate triggers', () => {
+    mockServices();
+    Assert.false(getDailyTriggerStatus().installed, 'Should report no trigger');
+
+    mockServices(['sendDailyEventSummary', 'sendDailyEventSummary']);
+    const status = getDailyTriggerStatus();
+    Assert.true(status.installed, 'Should report installed trigger');
+    Assert.true(status.duplicate, 'Should report duplicates');
+    Assert.equal(status.count, 2, 'Should count triggers');
+
+    mockServices(['sendDailyEventSummary', 'dispatchHourlySummaries']);
+    Assert.true(getDailyTriggerStatus().duplicate, 'Should treat daily trigger plus dispatcher as duplicates');
+  });
+
+  suite.test('validateConfiguration - reports trigger status', () => {
+    mockServices();
+    const configManager = new ConfigurationManager();
+
+    let validation = configManager.validateConfiguration();
+    Assert.false(validation.trigger.installed, 'Should report missing trigger');
+    Assert.equal(validation.warnings.length, 1, 'Should warn about missing trigger');
+
+    mockServices(['sendDailyEventSummary']);
+    validation = configManager.validateConfiguration();
+    Assert.true(validation.trigger.installed, 'Should report installed trigger');
+    Assert.equal(validation.warnings.length, 0, 'Should not warn with a single trigger');
+  });
+
+  return suite;
+}
@@ -0,0 +1,143 @@
+/**
+ * Trigger Management
+ *
+ * Installs, lists and removes the time-driven trigger that sends the summary.
+ * Two schedules are supported, and only one should be installed at a time:
+ *
+ *   Daily:  sendDailyEventSummary runs once a day at SEND_HOUR in the script's
+ *           timezone (appsscript.json) and emails every recipient.
+ *   Hourly: dispatchHourlySummaries runs every hour and emails the recipients
+ *           whose "Send Time" (or SEND_HOUR) has come in their own timezone.
+ *           Recipients not yet in the send ledger stay due for the rest of
+ *           their day, so hours skipped by daylight saving changes catch up.
+ *           The admin report is only emailed when a run has errors.
+ */
+
+const DAILY_TRIGGER_HANDLER = 'sendDailyEventSummary';
+const HOURLY_DISPATCH_HANDLER = 'dispatchHourlySummaries';
+const SCHEDULE_HANDLERS = [DAILY_TRIGGER_HANDLER, HOURLY_DISPATCH_HANDLER];
+const DEFAULT_SEND_HOUR = 7;
+
+/**
+ * Parses and validates a send hour
+ * @param {*} hour - Hour of day (0-23)
+ * @returns {number} Validated hour
+ */
+function parseSendHour(hour) {
+  const parsed = Number(hour);
+  if (hour === null || hour === '' || !Number.isInteger(parsed) || parsed < 0 || parsed > 23) {
+    throw new Error(`Invalid send hour "${hour}". Use a whole hour from 0 to 23.`);
+  }
+  return parsed;
+}
+
+/**
+ * Installs the daily trigger for sendDailyEventSummary
+ *
+ * Any existing schedule triggers (including duplicates and the hourly
+ * dispatcher) are removed first, so running this again simply moves the schedule.
+ *
+ * @param {number} hour - Hour of day to send (0-23); defaults to the configured SEND_HOUR or 7
+ * @returns {string} Unique ID of the installed trigger
+ */
+function installDailyTrigger(hour = null) {
+  requireScriptOwner('change its triggers');
+  const sendHour = parseSendHour(hour !== null ? hour : Config.get('SEND_HOUR'));
+
+  const removed = removeDailyTriggers();
+  if (removed > 0) {
+    Logger.log(`Replaced ${removed} existing schedule trigger(s)`);
+  }
+
+  const trigger = ScriptApp.newTrigger(DAILY_TRIGGER_HANDLER)
+    .timeBased()
+    .everyDays(1)
+    .atHour(sendHour)
+    .create();
+
+  Config.set('SEND_HOUR', String(sendHour));
+  Logger.log(`✅ Daily trigger installed: ${DAILY_TRIGGER_HANDLER} runs every day around ${sendHour}:00 (${Session.getScriptTimeZone()})`);
+  return trigger.getUniqueId();
+}
+
+/**
+ * Installs the hourly dispatcher for per-recipient send times
+ *
+ * Replaces the daily trigger: recipients then receive their summary at their
+ * "Send Time" column hour (or SEND_HOUR) in their own "Timezone".
+ *
+ * @returns {string} Unique ID of the installed trigger
+ */
+function installHourlyDispatchTrigger() {
+  requireScriptOwner('change its triggers');
+  const removed = removeDailyTriggers();
+  if (removed > 0) {
+    Logger.log(`Replaced ${removed} existing schedule trigger(s)`);
+  }
+
+  const trigger = ScriptApp.newTrigger(HOURLY_DISPATCH_HANDLER)
+    .timeBased()
+    .everyHours(1)
+    .create();
+
+  Logger.log(`✅ Hourly dispatch trigger installed: ${HOURLY_DISPATCH_HANDLER} sends each recipient's summary at their local send time`);
+  return trigger.getUniqueId();
+}
+
+/**
+ * Removes all triggers that send the summary (daily trigger and hourly dispatcher)
+ * @returns {number} Number of triggers removed
+ */
+function removeDailyTriggers() {
+  requireScriptOwner('change its triggers');
+  const triggers = ScriptApp.getProjectTriggers()
+    .filter(trigger => SCHEDULE_HANDLERS.includes(trigger.getHandlerFunction()));
+
+  triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  if (triggers.length > 0) {
+    Logger.log(`Removed ${triggers.length} schedule trigger(s)`);
+  }
+  return triggers.length;
+}
+
+/**
+ * Lists all triggers installed for this project
+ * @returns {Object[]} Trigger descriptions (handler, event type, source, id)
+ */
+function listTriggers() {
+  const triggers = ScriptApp.getProjectTriggers().map(trigger => ({
+    handler: trigger.getHandlerFunction(),
+    eventType: String(trigger.getEventType()),
+    source: String(trigger.getTriggerSource()),
+    id: trigger.getUniqueId()
+  }));
+
+  if (triggers.length === 0) {
+    Logger.log('No triggers installed for this project');
+  } else {
+    Logger.log(`📋 ${triggers.length} trigger(s) installed:`);
+    triggers.forEach(trigger => {
+      Logger.log(`  • ${trigger.handler} (${trigger.eventType}, ${trigger.source}) [${trigger.id}]`);
+    });
+  }
+
+  return triggers;
+}
+
+/**
+ * Reports whether a schedule trigger is installed and detects duplicates
+ * Having both the daily trigger and the hourly dispatcher counts as a duplicate.
+ * @returns {Object} Status with installed, count, duplicate and handlers
+ */
+function getDailyTriggerStatus() {
+  const handlers = ScriptApp.getProjectTriggers()
+    .map(trigger => trigger.getHandlerFunction())
+    .filter(handler => SCHEDULE_HANDLERS.includes(handler));
+
+  return {
+    installed: handlers.length > 0,
+    count: handlers.length,
+    duplicate: handlers.length > 1,
+    handlers: handlers
+  };
+}
@@ -88,6 +88,120 @@ function createValidationTestSuite() {
     }
   });
   
+  suite.test('validateCalendarId - accepts Google calendar ID forms', () => {
+    const ids = {
+      'colleague@example.com': 'user',
+      'c_1a2b3c4d5e6f@group.calendar.google.com': 'group',
+      'abc123def456ghi789@group.calendar.google.com': 'group',
+      'en.usa#holiday@group.v.calendar.google.com': 'special',
+      'addressbook#contacts@group.v.calendar.google.com': 'special',
+      'example.com_3132333435363738@resource.calendar.google.com': 'resource',
+      'c_188a1b2c3d4e5f6g7h8i9j0k@resource.calendar.google.com': 'resource',
+      'q9p8o7n6m5l4k3j2@import.calendar.google.com': 'import'
+    };
+    
+    Object.keys(ids).forEach(id => {
+      const result = validateCalendarId(id);
+      Assert.true(result.isValid, `Should accept ${id}`);
+      Assert.equal(result.type, ids[id], `Should recognize ${id} as ${ids[id]}`);
+    });
+  });
+  
+  suite.test('validateCalendarId - rejects malformed IDs', () => {
+    ['en.usa holiday@group.v.calendar.google.com', 'team@calendar.google.com', 'group.calendar.google.com', 'a@b', '', null].forEach(id => {
+      const result = validateCalendarId(id);
+      Assert.false(result.isValid, `Should reject ${id}`);
+      Assert.contains(result.errors[0], 'Invalid calendar ID format', 'Should explain the problem');
+    });
+    Assert.true(validateRecipientData('user@example.com', 'en.usa#holiday@group.v.calendar.google.com').isValid, 'Should accept holiday calendars for recipients');
+  });
+  
+  suite.test('validateRecipientPreferences - parses valid preferences', () => {
+    const result = validateRecipientPreferences({
+      'Timezone': ' Europe/London ',
+      'Time Format': '24H',
+      'Date Range': 'Next 3 Days',
+      'Frequency': 'Weekdays Only',
+      'Filter Keywords': 'Standup, -Cancelled',
+      'Format': 'HTML',
+      'Send Time': '6:30 AM',
+      'Skip Weekends': true,
+      'Group By': 'calendar'
+    });
+    
+    Assert.true(result.isValid, 'Should accept dropdown values in any case');
+    Assert.equal(result.warnings.length, 0, 'Should have no warnings');
+    Assert.equal(result.preferences.timezone, 'Europe/London', 'Should trim the timezone');
+    Assert.equal(result.preferences.dateRange, 'next 3 days', 'Should normalize the date range');
+    Assert.equal(result.preferences.filterQuery.clauses.length, 2, 'Should parse the keywords once');
+    Assert.equal(result.preferences.sendHour, 6, 'Should parse the send time');
+    Assert.true(result.preferences.skipWeekends, 'Should read checkbox cells');
+    Assert.equal(result.preferences.groupBy, 'calendar', 'Should read the grouping');
+  });
+  
+  suite.test('validateRecipientPreferences - reports values it cannot honor as field errors', () => {
+    const result = validateRecipientPreferences({
+      'Filter Keywords': 'standup, -',
+      'Group By': 'Color'
+    });
+    
+    Assert.false(result.isValid, 'Should be invalid');
+    Assert.arrayEqual(result.errors.map(error => error.field), ['Filter Keywords', 'Group By'], 'Should name each field');
+    Assert.contains(result.errors[1].message, 'Calendar', 'Should list the accepted values');
+  });
+  
+  suite.test('validateRecipientPreferences - sends unknown timezone, date range and frequency with the defaults', () => {
+    const result = validateRecipientPreferences({
+      'Timezone': 'Mars/Olympus',
+      'Date Range': 'Next Month',
+      'Frequency': 'Weekly'
+    });
+    
+    Assert.true(result.isValid, 'Should keep the row, as before');
+    Assert.arrayEqual(result.warnings.map(warning => warning.field), ['Timezone', 'Date Range', 'Frequency'], 'Should warn per field');
+    Assert.contains(result.warnings[0].message, 'using the script timezone', 'Should name the timezone used');
+    Assert.contains(result.warnings[1].message, 'using Today (expected Today, Tomorrow, Next 3 Days', 'Should name the default and the accepted values');
+    Assert.contains(result.warnings[2].message, 'using Daily', 'Should name the frequency used');
+    Assert.equal(result.preferences.timezone, undefined, 'Should not use the unknown timezone');
+    Assert.equal(result.preferences.frequency, undefined, 'Should fall back to the default frequency');
+  });
+  
+  suite.test('validateRecipientPreferences - parses event attribute filters', () => {
+    const valid = validateRecipientPreferences({ 'My Status': 'Accepted, Tentative', 'Ownership': 'Any', 'Show As': 'Busy', 'Min Duration': '30m' });
+    const invalid = validateRecipientPreferences({ 'My Status': 'Accepted, Maybe', 'Visibility': 'Secret', 'Min Duration': 'long' });
+    
+    Assert.arrayEqual(valid.preferences.eventFilters.myStatuses, ['accepted', 'tentative'], 'Should list the responses');
+    Assert.equal(valid.preferences.eventFilters.ownership, undefined, 'Should treat Any as no filter');
+    Assert.equal(valid.preferences.eventFilters.minDurationMinutes, 30, 'Should parse the duration');
+    Assert.arrayEqual(invalid.errors.map(error => error.field), ['My Status', 'Visibility', 'Min Duration'], 'Should reject unknown values');
+  });
+  
+  suite.test('validateRecipientPreferences - warns about ignored values', () => {
+    const result = validateRecipientPreferences({
+      'Time Format': '24 hours',
+      'Status': 'Paused',
+      'Filter Keywords': 'review, -review',
+      'Format': 'rich',
+      'Template': 'Missing',
+      'Send Time': 'breakfast',
+      'Skip Weekends': 'sometimes'
+    }, {});
+    
+    Assert.true(result.isValid, 'Should still be valid');
+    Assert.arrayEqual(result.warnings.map(warning => warning.field), ['Time Format', 'Status', 'Filter Keywords', 'Format', 'Template', 'Send Time', 'Skip Weekends'], 'Should warn per field');
+    Assert.contains(result.warnings[2].message, 'no event can match', 'Should explain contradictory keywords');
+  });
+
+  suite.test('validateRecipientPreferences - keeps rows with legacy filter keywords', () => {
+    const wildcard = validateRecipientPreferences({ 'Filter Keywords': 'Q&A?' }, {});
+    const unclosed = validateRecipientPreferences({ 'Filter Keywords': '"Offsite' }, {});
+
+    Assert.true(wildcard.isValid, 'Should accept the cell');
+    Assert.arrayEqual(wildcard.warnings.map(warning => warning.field), ['Filter Keywords'], 'Should warn that the meaning changed');
+    Assert.true(unclosed.isValid, 'Should not skip the row');
+    Assert.equal(unclosed.preferences.filterQuery.clauses[0][0].match.text, '"offsite', 'Should match the keyword as typed');
+  });
+  
   return suite;
 }
 
@@ -213,5 +327,112 @@ function createConfigurationValidationTestSuite() {
     Assert.equal(retrieved, 'stored_value', 'Should store and retrieve value correctly');
   });
   
+  const mockConfigProperties = (values) => {
+    const properties = MockUtilities.createMockProperties(values);
+    this.PropertiesService = {
+      getScriptProperties: () => properties,
+      getUserProperties: () => MockUtilities.createMockProperties()
+    };
+    return properties;
+  };
+  
+  suite.test('parseConfigValue - coerces values by schema type', () => {
+    Assert.strictEqual(parseConfigValue('SEND_HOUR', ' 9 ').value, 9, 'Should parse integers');
+    Assert.contains(parseConfigValue('SEND_HOUR', '24').error, '0 to 23', 'Should enforce integer range');
+    Assert.contains(parseConfigValue('SEND_LEDGER_RETENTION_DAYS', 'two weeks').error, 'whole number', 'Should reject non-numbers');
+    Assert.contains(parseConfigValue('ADMIN_EMAIL_OVERRIDE', 'admin').error, 'email address', 'Should validate email keys');
+    Assert.strictEqual(parseConfigValue('UNKNOWN_KEY', 'raw').value, 'raw', 'Should pass through keys outside the schema');
+  });
+  
+  suite.test('Config.get - returns typed values and schema defaults', () => {
+    mockConfigProperties({ 'SEND_HOUR': '9', 'SEND_LEDGER_RETENTION_DAYS': 'soon' });
+    const config = new ConfigurationManager();
+    
+    Assert.strictEqual(config.get('SEND_HOUR'), 9, 'Should coerce integers');
+    Assert.equal(config.get('CONFIG_SHEET_NAME'), 'Config', 'Should use the schema default');
+    Assert.equal(config.get('CONFIG_SHEET_NAME', 'Recipients'), 'Recipients', 'Explicit default should win');
+    Assert.strictEqual(config.get('SEND_LEDGER_RETENTION_DAYS'), 14, 'Should ignore invalid stored values');
+  });
+  
+  suite.test('Config.set - validates and canonicalizes schema keys', () => {
+    const properties = mockConfigProperties({});
+    const config = new ConfigurationManager();
+    
+    config.set('SEND_HOUR', 6);
+    Assert.strictEqual(properties.store['SEND_HOUR'], '6', 'Should store numbers as strings');
+    Assert.throws(() => config.set('SEND_HOUR', '25'), 'SEND_HOUR must be 0 to 23', 'Should reject out-of-range values');
+    Assert.equal(properties.store['SEND_HOUR'], '6', 'Should keep the previous value');
+  });
+  
+  suite.test('Config.validateConfiguration - reports invalid values', () => {
+    mockConfigProperties({ 'SPREADSHEET_ID': '1abc123def456ghi', 'CONFIG_SHEET_NAME': 'Config', 'SEND_HOUR': 'noon' });
+    const result = new ConfigurationManager().validateConfiguration();
+    
+    Assert.false(result.valid, 'Should be invalid with a malformed value');
+    Assert.equal(result.invalid.length, 1, 'Should report one invalid key');
+    Assert.equal(result.invalid[0].key, 'SEND_HOUR', 'Should name the invalid key');
+    Assert.contains(result.message, 'SEND_HOUR', 'Message should mention the invalid key');
+  });
+  
+  suite.test('Config.getAllConfiguration - masks only secret keys', () => {
+    mockConfigProperties({ 'SPREADSHEET_ID': '1abc123def456ghi', 'GOOGLE_CLOUD_PROJECT_ID': 'my-project-id', 'CONFIG_SHEET_NAME': 'Recipients ID list' });
+    // With a project ID secret keys are looked up in Secret Manager first; answer "not found" instead of calling it
+    const requests = [];
+    const fetch = (url) => {
+      requests.push(url);
+      return { getResponseCode: () => 404, getContentText: () => '{"error":{"code":404}}' };
+    };
+    const all = new ConfigurationManager({ fetch, getAccessToken: () => 'token' }).getAllConfiguration();
+    
+    Assert.true(requests.length > 0, 'Should only reach Secret Manager through the injected fetch');
+    Assert.equal(all.SPREADSHEET_ID, '1abc123d...', 'Should mask the spreadsheet ID');
+    Assert.equal(all.GOOGLE_CLOUD_PROJECT_ID, 'my-proje...', 'Should mask the project ID');
+    Assert.equal(all.CONFIG_SHEET_NAME, 'Recipients ID list', 'Should not mask non-secret keys');
+    Assert.strictEqual(all.SEND_HOUR, 7, 'Should include defaults');
+  });
+  
+  suite.test('Config.getConfigurationReport - lists keys, defaults and problems', () => {
+    mockConfigProperties({ 'SPREADSHEET_ID': '1abc123def456ghi', 'SEND_HOUR': '30' });
+    const report = new ConfigurationManager().getConfigurationReport();
+    
+    Assert.contains(report, 'INVALID', 'Should show overall status');
+    Assert.contains(report, 'SPREADSHEET_ID = 1abc123d...', 'Should mask secrets');
+    Assert.notContains(report, '1abc123def456ghi', 'Should never show a full secret');
+    Assert.contains(report, 'CONFIG_SHEET_NAME = Config (default)', 'Should mark defaults');
+    Assert.contains(report, 'SEND_HOUR must be 0 to 23', 'Should explain invalid values');
+  });
+  
+  suite.test('Config.get - active profile overrides fall back to shared values', () => {
+    mockConfigProperties({
+      'SPREADSHEET_ID': 'prod-sheet-id',
+      'CONFIG_SHEET_NAME': 'Config',
+      'PROFILE_DEV__SPREADSHEET_ID': 'dev-sheet-id'
+    });
+    
+    Assert.equal(new ConfigurationManager().get('SPREADSHEET_ID'), 'prod-sheet-id', 'Should use shared values without a profile');
+    
+    const config = new ConfigurationManager();
+    config.set('ACTIVE_PROFILE', 'dev');
+    Assert.equal(config.get('SPREADSHEET_ID'), 'dev-sheet-id', 'Should use the profile override');
+    Assert.equal(config.get('CONFIG_SHEET_NAME'), 'Config', 'Should fall back to the shared value');
+    Assert.equal(config.validateConfiguration().profile, 'dev', 'Should report the active profile');
+    
+    config.remove('ACTIVE_PROFILE');
+    Assert.equal(config.get('SPREADSHEET_ID'), 'prod-sheet-id', 'Should return to shared values');
+  });
+  
+  suite.test('Config.setForProfile - validates and lists profile overrides', () => {
+    const properties = mockConfigProperties({});
+    const config = new ConfigurationManager();
+    
+    config.setForProfile('staging', 'SEND_HOUR', 5);
+    config.setForProfile('staging', 'SPREADSHEET_ID', 'staging-sheet-id');
+    
+    Assert.equal(properties.store['PROFILE_STAGING__SEND_HOUR'], '5', 'Should store under the profile key');
+    Assert.throws(() => config.setForProfile('staging', 'SEND_HOUR', 'dawn'), 'SEND_HOUR must be a whole number', 'Should validate against the schema');
+    Assert.throws(() => config.setForProfile('dev__x', 'SEND_HOUR', 5), 'Invalid profile name', 'Should reject unsafe profile names');
+    Assert.arrayEqual(config.listProfiles().staging, ['SEND_HOUR', 'SPREADSHEET_ID'], 'Should list overridden keys');
+  });
+  
   return suite;
 }
\ No newline at end of file